@@ -13,8 +13,21 @@ export default [
       globals: {
         document: true,
         window: true,
+        performance: true,
+        setTimeout: true,
+        clearTimeout: true,
+        setInterval: true,
+        clearInterval: true,
+        URL: true,
+        Blob: true,
+        describe: true,
         test: true,
-        expect: true
+        expect: true,
+        jest: true,
+        beforeAll: true,
+        beforeEach: true,
+        afterEach: true,
+        afterAll: true
       }
     },
     rules: {
@@ -23,6 +36,21 @@ export default [
 
     }
   },
+  {
+    // Node tooling: the library build and the jam session relay
+    files: ["scripts/**/*.js", "server/**/*.js"],
+    languageOptions: {
+      sourceType: "commonjs",
+      globals: {
+        require: true,
+        module: true,
+        process: true,
+        __dirname: true,
+        console: true,
+        performance: true
+      }
+    }
+  },
   pluginJs.configs.recommended,
   {
     plugins: { react: pluginReact },
@@ -0,0 +1,114 @@
+// Builds the embeddable library from src/lib.js into dist/esm (ES modules) and dist/cjs (CommonJS).
+//
+// Each module reachable from src/lib.js is compiled on its own with the same Babel preset as the app
+// (JSX, browser targets from "browserslist"), keeping the file layout; stylesheets are copied next to
+// the modules that import them. Nothing is bundled: React stays a peer dependency of the caller.
+//
+//   npm run build:lib
+
+const fs = require("fs");
+const path = require("path");
+
+process.env.NODE_ENV = process.env.NODE_ENV || "production";
+process.env.BABEL_ENV = process.env.NODE_ENV;
+
+const babel = require("@babel/core");
+
+const ROOT = path.resolve(__dirname, "..");
+const SRC = path.join(ROOT, "src");
+const DIST = path.join(ROOT, "dist");
+const ENTRY = "lib.js";
+
+// The preset leaves import/export alone for callers that say they understand them and converts
+// them to require/exports otherwise.
+const FORMATS = {
+  esm: { type: "module", supportsStaticESM: true },
+  cjs: { type: "commonjs", supportsStaticESM: false }
+};
+
+function isRelative(specifier) {
+  return specifier.startsWith("./") || specifier.startsWith("../");
+}
+
+// Resolves an extensionless relative import the way the app's bundler does.
+function resolveImport(fromFile, specifier) {
+  const base = path.resolve(path.dirname(fromFile), specifier);
+  const candidates = path.extname(base) ? [base] : [`${base}.js`, path.join(base, "index.js")];
+  const found = candidates.find((file) => fs.existsSync(file));
+  if (!found) throw new Error(`Cannot resolve "${specifier}" from ${path.relative(ROOT, fromFile)}`);
+  return found;
+}
+
+// Babel plugin: records the relative imports of a module and, for ES modules, spells out the ".js"
+// extension so the output also loads in Node and browsers without a bundler.
+function importsPlugin(file, found, addExtension) {
+  return () => {
+    const visitSource = (nodePath) => {
+      const source = nodePath.node.source;
+      if (!source || !isRelative(source.value)) return;
+      const resolved = resolveImport(file, source.value);
+      found.push(resolved);
+      if (addExtension && !path.extname(source.value)) {
+        const relative = path.relative(path.dirname(file), resolved).split(path.sep).join("/");
+        source.value = relative.startsWith(".") ? relative : `./${relative}`;
+      }
+    };
+    return {
+      visitor: {
+        ImportDeclaration: visitSource,
+        ExportNamedDeclaration: visitSource,
+        ExportAllDeclaration: visitSource
+      }
+    };
+  };
+}
+
+function compile(file, format, found) {
+  const { code } = babel.transformFileSync(file, {
+    babelrc: false,
+    configFile: false,
+    presets: [[require.resolve("babel-preset-react-app"), { runtime: "automatic", helpers: false }]],
+    plugins: [importsPlugin(file, found, format === "esm")],
+    caller: {
+      name: "build-lib",
+      supportsStaticESM: FORMATS[format].supportsStaticESM,
+      supportsDynamicImport: FORMATS[format].supportsStaticESM
+    },
+    sourceType: "module"
+  });
+  return code;
+}
+
+function writeFile(file, contents) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, contents);
+}
+
+function build() {
+  fs.rmSync(DIST, { recursive: true, force: true });
+  const queue = [path.join(SRC, ENTRY)];
+  const seen = new Set();
+  while (queue.length) {
+    const file = queue.shift();
+    if (seen.has(file)) continue;
+    seen.add(file);
+    const relative = path.relative(SRC, file);
+    Object.keys(FORMATS).forEach((format) => {
+      const out = path.join(DIST, format, relative);
+      if (path.extname(file) !== ".js") {
+        writeFile(out, fs.readFileSync(file));
+        return;
+      }
+      const found = [];
+      writeFile(out, compile(file, format, found));
+      if (format === "esm") queue.push(...found);
+    });
+  }
+  // Lets Node tell the two flavours apart, since both use the .js extension.
+  Object.keys(FORMATS).forEach((format) => {
+    writeFile(path.join(DIST, format, "package.json"), `${JSON.stringify({ type: FORMATS[format].type }, null, 2)}\n`);
+  });
+  console.log(`Built ${seen.size} files from src/${ENTRY} into dist/esm and dist/cjs.`);
+}
+
+build();
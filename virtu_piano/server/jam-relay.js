@@ -0,0 +1,148 @@
+// WebSocket relay for jam sessions: every note a participant plays is passed on to everyone else.
+// It keeps no music state beyond who is connected, so it is small enough to run next to the dev
+// server for playing together on one machine or a local network.
+//
+//   npm run jam-relay                  listens on ws://127.0.0.1:8787
+//   JAM_RELAY_HOST=0.0.0.0 npm run jam-relay   also accepts other machines on the network
+//
+// Messages are JSON objects with a `type`:
+//   client -> relay
+//     { type: "hello", name, color }            join under a name; `color` ("#rrggbb") is optional
+//                                                and replaced when someone else already has it
+//     { type: "note", action: "down" | "up", note, velocity, time }
+//                                                `note` is a name like "C#4"; velocity is 0-1
+//     { type: "ping", id, sent }                 clock sync; answered with a pong
+//     { type: "latency", latency }               the client's one-way latency estimate in ms
+//   relay -> client
+//     { type: "welcome", id, participants }      reply to hello
+//     { type: "participants", participants }     whenever someone joins or leaves, or their
+//                                                reported latency moves by LATENCY_STEP_MS or more
+//     { type: "note", from, action, note, velocity, time }
+//     { type: "pong", id, sent, serverTime }
+// A participant is { id, name, color, latency }. Note `time`s are in the relay's clock (ms), which
+// clients estimate from ping/pong; see src/jamSession.js.
+
+const { WebSocketServer } = require("ws");
+
+const DEFAULT_PORT = 8787;
+const DEFAULT_HOST = "127.0.0.1";
+const MAX_NAME_LENGTH = 32;
+// Latency changes smaller than this (ms) are kept quiet rather than re-sending everyone the list.
+const LATENCY_STEP_MS = 5;
+// Same note names as src/notes.js, which as an ES module can't be required from here.
+const NOTE_NAME_PATTERN = /^([A-G])((?:#|b|x|♯|♭){0,2})(-?\d+)$/;
+
+// Colours handed out to participants that don't pick one, in joining order.
+const PALETTE = ["#4FC3F7", "#F06292", "#81C784", "#FFB74D", "#BA68C8", "#4DB6AC", "#E57373", "#AED581"];
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+function parseMessage(data) {
+  try {
+    const message = JSON.parse(data);
+    return message && typeof message.type === "string" ? message : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Starts a relay on `port` (0 picks a free one) and `host`.
+ * Resolves to { port, close() } once it is listening; close() resolves when it has shut down.
+ */
+function startJamRelay({ port = DEFAULT_PORT, host = DEFAULT_HOST } = {}) {
+  const wss = new WebSocketServer({ port, host });
+  const participants = new Map(); // socket -> participant
+  let nextId = 1;
+
+  const list = () => Array.from(participants.values());
+
+  const send = (socket, message) => {
+    if (socket.readyState === socket.OPEN) socket.send(JSON.stringify(message));
+  };
+
+  const broadcast = (message, except = null) => {
+    participants.forEach((_, socket) => {
+      if (socket !== except) send(socket, message);
+    });
+  };
+
+  wss.on("connection", (socket) => {
+    socket.on("message", (data) => {
+      const message = parseMessage(data);
+      if (!message) return;
+      const self = participants.get(socket);
+
+      if (message.type === "ping") {
+        send(socket, { type: "pong", id: message.id, sent: message.sent, serverTime: performance.now() });
+      } else if (message.type === "hello" && !self) {
+        const taken = new Set(list().map((p) => p.color));
+        // A colour someone else already has is swapped for a free one, so players stay distinguishable.
+        const requested = COLOR_PATTERN.test(message.color || "") ? message.color.toUpperCase() : null;
+        const color = requested && !taken.has(requested)
+          ? requested
+          : PALETTE.find((c) => !taken.has(c)) || PALETTE[(nextId - 1) % PALETTE.length];
+        const participant = {
+          id: String(nextId++),
+          name: String(message.name || "").trim().slice(0, MAX_NAME_LENGTH) || "Guest",
+          color,
+          latency: null
+        };
+        participants.set(socket, participant);
+        send(socket, { type: "welcome", id: participant.id, participants: list() });
+        broadcast({ type: "participants", participants: list() }, socket);
+      } else if (message.type === "note" && self) {
+        if (message.action !== "down" && message.action !== "up") return;
+        if (typeof message.note !== "string" || !NOTE_NAME_PATTERN.test(message.note)) return;
+        broadcast(
+          {
+            type: "note",
+            from: self.id,
+            action: message.action,
+            note: message.note,
+            velocity: typeof message.velocity === "number" ? Math.min(1, Math.max(0, message.velocity)) : 1,
+            time: typeof message.time === "number" ? message.time : performance.now()
+          },
+          socket
+        );
+      } else if (message.type === "latency" && self && typeof message.latency === "number") {
+        const latency = Math.max(0, Math.round(message.latency));
+        if (self.latency !== null && Math.abs(latency - self.latency) < LATENCY_STEP_MS) return;
+        self.latency = latency;
+        broadcast({ type: "participants", participants: list() });
+      }
+    });
+
+    socket.on("close", () => {
+      if (!participants.delete(socket)) return;
+      broadcast({ type: "participants", participants: list() });
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    wss.once("error", reject);
+    wss.once("listening", () => {
+      resolve({
+        port: wss.address().port,
+        close: () =>
+          new Promise((done) => {
+            wss.clients.forEach((socket) => socket.terminate());
+            wss.close(() => done());
+          })
+      });
+    });
+  });
+}
+
+module.exports = { startJamRelay, DEFAULT_PORT };
+
+if (require.main === module) {
+  const port = Number(process.env.JAM_RELAY_PORT) || DEFAULT_PORT;
+  const host = process.env.JAM_RELAY_HOST || DEFAULT_HOST;
+  startJamRelay({ port, host }).then(
+    (relay) => console.log(`Jam relay listening on ws://${host}:${relay.port}`),
+    (err) => {
+      console.error(`Could not start the jam relay: ${err.message}`);
+      process.exit(1);
+    }
+  );
+}
@@ -1,17 +1,94 @@
-import React from 'react';
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import './App.css';
 import PianoKeyboard from "./PianoKeyboard";
 import './PianoKeyboard.css';
+import Recorder from "./Recorder";
+import useRecorder from "./useRecorder";
+import InstrumentPicker from "./InstrumentPicker";
+import { DEFAULT_INSTRUMENT } from "./instruments";
+import KeyBindingEditor from "./KeyBindingEditor";
+import useKeyLayout from "./useKeyLayout";
+import FallingNotes from "./FallingNotes";
+import SongMode from "./SongMode";
+import useSongPlayer from "./useSongPlayer";
+import Metronome from "./Metronome";
+import useMetronome from "./useMetronome";
+import TheoryPanel from "./TheoryPanel";
+import { scalePitchClasses } from "./theory";
+import { keyRangeCovering, resolveKeyRange } from "./notes";
+import EffectsPanel from "./EffectsPanel";
+import useMasterBus from "./useMasterBus";
+import LibraryDemo from "./LibraryDemo";
+import JamPanel from "./JamPanel";
+import useJamSession from "./useJamSession";
+
+// Keyboard sizes offered in the range picker; "" keeps the single default octave.
+const RANGE_OPTIONS = [
+  { value: "", label: "1 octave (C4–B4)" },
+  { value: "25", label: "25 keys" },
+  { value: "49", label: "49 keys" },
+  { value: "61", label: "61 keys" },
+  { value: "88", label: "88 keys" }
+];
+
+// Start in high contrast when the OS asks for more contrast.
+function prefersHighContrast() {
+  return !!window.matchMedia && window.matchMedia("(prefers-contrast: more)").matches;
+}
+
+// "#library" swaps the app for the docs/demo page of the embeddable keyboard.
+const LIBRARY_HASH = "#library";
+
+function currentPage() {
+  return window.location.hash === LIBRARY_HASH ? "library" : "app";
+}
 
 function App() {
-  // Sample handlers for demonstration
-  const handleNoteDown = (note, idx) => {
-    // TODO: trigger audio playback (future)
-    // For now, just log
-    //console.log("Note pressed:", note);
+  const [page, setPage] = useState(currentPage);
+  useEffect(() => {
+    const handleHashChange = () => setPage(currentPage());
+    window.addEventListener("hashchange", handleHashChange);
+    return () => window.removeEventListener("hashchange", handleHashChange);
+  }, []);
+  const [keyCount, setKeyCount] = useState("");
+  const [highContrast, setHighContrast] = useState(prefersHighContrast);
+  const [instrument, setInstrument] = useState(DEFAULT_INSTRUMENT);
+  const keyLayout = useKeyLayout();
+  const [editingBindings, setEditingBindings] = useState(false);
+  const [learning, setLearning] = useState(false);
+  const songPlayer = useSongPlayer();
+  const metronome = useMetronome();
+  const masterBus = useMasterBus();
+  const jam = useJamSession();
+  const [heldNotes, setHeldNotes] = useState([]);
+  const [scale, setScale] = useState({ tonic: "C", scaleId: "", locked: false });
+  const scaleKeys = useMemo(
+    () => (scale.scaleId ? scalePitchClasses(scale.tonic, scale.scaleId) : undefined),
+    [scale.tonic, scale.scaleId]
+  );
+
+  // In learning mode the keyboard grows by whole octaves to cover the song, so every note can be played.
+  const keyRange = useMemo(() => {
+    const range = resolveKeyRange({ keys: Number(keyCount) || undefined });
+    return learning ? keyRangeCovering(range, songPlayer.song.notes.map((n) => n.midi)) : range;
+  }, [keyCount, learning, songPlayer.song]);
+
+  const pianoRef = useRef(null);
+
+  // Playback goes through the keyboard's ref API so replayed notes light their keys.
+  const playNote = useCallback((note, velocity, when) => pianoRef.current && pianoRef.current.playNote(note, velocity, when), []);
+  const stopNote = useCallback((note, when) => pianoRef.current && pianoRef.current.stopNote(note, when), []);
+  const setSustain = useCallback((down, when) => pianoRef.current && pianoRef.current.setSustain(down, when), []);
+  const recorder = useRecorder({ playNote, stopNote, setSustain });
+
+  const handleNoteDown = (note, idx, velocity) => {
+    recorder.noteDown(note, velocity);
+    jam.noteDown(note, velocity);
+    if (learning) songPlayer.noteDown(note);
   };
-  const handleNoteUp = (note, idx) => {
-    // Note released handler
+  const handleNoteUp = (note) => {
+    recorder.noteUp(note);
+    jam.noteUp(note);
   };
 
   return (
@@ -22,6 +99,9 @@ function App() {
             <div className="logo">
               <span className="logo-symbol">*</span> KAVIA AI
             </div>
+            <a className="nav-link" href={page === "library" ? "#" : LIBRARY_HASH}>
+              {page === "library" ? "Back to the piano" : "Library demo"}
+            </a>
           </div>
         </div>
       </nav>
@@ -31,11 +111,65 @@ function App() {
           <div className="hero" style={{paddingTop: "120px", paddingBottom: "28px"}}>
             <div className="subtitle" style={{fontSize:'1.02rem'}}>Virtual Piano Keyboard Demo</div>
             <h1 className="title" style={{fontSize: "2.5rem"}}>VirtuPiano</h1>
-            <div className="description" style={{maxWidth:'360px', marginBottom:24}}>
-              Play using your keyboard (Q, 2, W, 3, E, R, 5, T, 6, Y, 7, U) or click/tap on keys below.<br/>
-              Highlight: <span style={{color:'#FFD700'}}>Key pressed</span>
-            </div>
-            <PianoKeyboard onNoteDown={handleNoteDown} onNoteUp={handleNoteUp} />
+            {page === "library" ? <LibraryDemo /> : (<>
+              <div className="description" style={{maxWidth:'360px', marginBottom:24}}>
+                Play using your computer keyboard (the letters shown on the keys) or click/tap on keys below.
+                Shift the octave with the keys shown by − / + and hold Space for the sustain pedal.
+                Without a mouse, Tab to the keys, move with the arrow keys and press Enter or Space to play.<br/>
+                Highlight: <span style={{color:'#FFD700'}}>Key pressed</span>
+              </div>
+              <label className="control-label">
+                Keyboard size{" "}
+                <select value={keyCount} onChange={e => setKeyCount(e.target.value)}>
+                  {RANGE_OPTIONS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+                </select>
+              </label>
+              <label className="control-label">
+                <input type="checkbox" checked={highContrast} onChange={e => setHighContrast(e.target.checked)} />
+                High contrast
+              </label>
+              <InstrumentPicker instrument={instrument} onChange={setInstrument} />
+              <EffectsPanel masterBus={masterBus} />
+              <Metronome metronome={metronome} />
+              <JamPanel jam={jam} />
+              <KeyBindingEditor
+                keyLayout={keyLayout}
+                editing={editingBindings}
+                onEditingChange={setEditingBindings}
+              />
+              <PianoKeyboard
+                ref={pianoRef}
+                instrument={instrument}
+                keyLayout={keyLayout.layout}
+                bindingEditMode={editingBindings}
+                onBindKey={keyLayout.bindKey}
+                renderAboveKeys={learning ? (pianoKeys) => <FallingNotes player={songPlayer} pianoKeys={pianoKeys} /> : undefined}
+                from={keyRange.from}
+                to={keyRange.to}
+                onNoteDown={handleNoteDown}
+                onNoteUp={handleNoteUp}
+                onSustainChange={recorder.sustainChange}
+                onActiveKeysChange={setHeldNotes}
+                highlightPitchClasses={scaleKeys}
+                lockToHighlight={scale.locked}
+                highContrast={highContrast}
+                remoteNotes={jam.remoteNotes}
+              />
+              <TheoryPanel heldNotes={heldNotes} scale={scale} onScaleChange={setScale} />
+              <label className="control-label">
+                <input
+                  type="checkbox"
+                  checked={learning}
+                  onChange={e => {
+                    if (!e.target.checked) songPlayer.stop();
+                    setLearning(e.target.checked);
+                  }}
+                />
+                Learning mode
+              </label>
+              {learning && <SongMode player={songPlayer} />}
+              <Recorder recorder={recorder} instrument={instrument} />
+            </>)}
           </div>
         </div>
       </main>
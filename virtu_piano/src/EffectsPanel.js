@@ -0,0 +1,150 @@
+import React, { useState } from "react";
+import "./EffectsPanel.css";
+
+// Slider ranges for each effect parameter; `scale` converts the stored value for display.
+const SECTIONS = [
+  {
+    id: "eq",
+    title: "3-band EQ",
+    controls: [
+      { key: "low", label: "Low", min: -12, max: 12, step: 1, unit: " dB" },
+      { key: "mid", label: "Mid", min: -12, max: 12, step: 1, unit: " dB" },
+      { key: "high", label: "High", min: -12, max: 12, step: 1, unit: " dB" }
+    ]
+  },
+  {
+    id: "chorus",
+    title: "Chorus",
+    controls: [
+      { key: "rate", label: "Rate", min: 0.1, max: 5, step: 0.1, unit: " Hz" },
+      { key: "depth", label: "Depth", min: 0.5, max: 8, step: 0.5, unit: " ms" },
+      { key: "mix", label: "Mix", min: 0, max: 1, step: 0.05, unit: "%", scale: 100 }
+    ]
+  },
+  {
+    id: "delay",
+    title: "Delay",
+    controls: [
+      { key: "time", label: "Time", min: 0.05, max: 1.5, step: 0.01, unit: " ms", scale: 1000 },
+      { key: "feedback", label: "Feedback", min: 0, max: 0.9, step: 0.05, unit: "%", scale: 100 },
+      { key: "mix", label: "Mix", min: 0, max: 1, step: 0.05, unit: "%", scale: 100 }
+    ]
+  },
+  {
+    id: "reverb",
+    title: "Reverb",
+    controls: [
+      { key: "decay", label: "Decay", min: 0.3, max: 6, step: 0.1, unit: " s" },
+      { key: "mix", label: "Mix", min: 0, max: 1, step: 0.05, unit: "%", scale: 100 }
+    ]
+  },
+  {
+    id: "compressor",
+    title: "Compressor",
+    controls: [
+      { key: "threshold", label: "Threshold", min: -48, max: 0, step: 1, unit: " dB" },
+      { key: "ratio", label: "Ratio", min: 1, max: 20, step: 0.5, unit: ":1" }
+    ]
+  }
+];
+
+function formatValue(control, value) {
+  const shown = value * (control.scale || 1);
+  return `${Math.round(shown * 10) / 10}${control.unit}`;
+}
+
+/**
+ * Master volume, effect controls and preset management for a `useMasterBus()` state object.
+ * The effect sections fold away behind a toggle; the volume stays visible.
+ *
+ * PUBLIC_INTERFACE
+ */
+const EffectsPanel = ({ masterBus }) => {
+  const [open, setOpen] = useState(false);
+  const [newName, setNewName] = useState("");
+  const { settings, presets, presetName } = masterBus;
+  const selectedPreset = presets.find((p) => p.name === presetName);
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    if (masterBus.savePreset(newName)) setNewName("");
+  };
+
+  return (
+    <section className="effects-panel" aria-label="Master output">
+      <div className="effects-master">
+        <label className="control-label">
+          Volume
+          <input
+            type="range" min={0} max={1} step={0.01} value={settings.volume}
+            className="effects-volume"
+            onChange={(e) => masterBus.setVolume(Number(e.target.value))}
+          />
+        </label>
+        <label className="control-label">
+          Preset
+          <select value={presetName} onChange={(e) => masterBus.applyPreset(e.target.value)}>
+            {!presetName && <option value="">(edited)</option>}
+            {presets.map((p) => <option key={p.name} value={p.name}>{p.name}</option>)}
+          </select>
+        </label>
+        <button
+          type="button"
+          className={"control-btn" + (open ? " active" : "")}
+          aria-expanded={open}
+          onClick={() => setOpen(!open)}
+        >
+          Effects
+        </button>
+      </div>
+
+      {open && (
+        <div className="effects-sections">
+          {SECTIONS.map((section) => {
+            const values = settings[section.id];
+            return (
+              <fieldset key={section.id} className={"effects-section" + (values.enabled ? "" : " off")}>
+                <legend>
+                  <label>
+                    <input
+                      type="checkbox" checked={values.enabled}
+                      onChange={(e) => masterBus.updateSection(section.id, { enabled: e.target.checked })}
+                    />
+                    {section.title}
+                  </label>
+                </legend>
+                {section.controls.map((control) => (
+                  <label key={control.key}>
+                    <span>{control.label} {formatValue(control, values[control.key])}</span>
+                    <input
+                      type="range" min={control.min} max={control.max} step={control.step}
+                      value={values[control.key]}
+                      onChange={(e) => masterBus.updateSection(section.id, { [control.key]: Number(e.target.value) })}
+                    />
+                  </label>
+                ))}
+              </fieldset>
+            );
+          })}
+          <form className="effects-presets" onSubmit={handleSave}>
+            <label className="control-label">
+              Save as
+              <input
+                type="text" value={newName} placeholder="Preset name"
+                onChange={(e) => setNewName(e.target.value)}
+              />
+            </label>
+            <button type="submit" className="control-btn" disabled={!newName.trim()}>Save preset</button>
+            {selectedPreset && !selectedPreset.builtin && (
+              <button type="button" className="control-btn" onClick={() => masterBus.deletePreset(presetName)}>
+                Delete “{presetName}”
+              </button>
+            )}
+          </form>
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default EffectsPanel;
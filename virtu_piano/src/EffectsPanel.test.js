@@ -0,0 +1,77 @@
+import React from "react";
+import { fireEvent, render, screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import EffectsPanel from "./EffectsPanel";
+import useMasterBus from "./useMasterBus";
+import { BUILTIN_EFFECT_PRESETS } from "./effectPresets";
+
+// The settings handed to the shared master bus, instead of building one on a real AudioContext.
+const mockApplied = [];
+jest.mock("./masterBus", () => ({
+  ...jest.requireActual("./masterBus"),
+  setMasterSettings: (settings) => mockApplied.push(settings)
+}));
+
+function Harness() {
+  return <EffectsPanel masterBus={useMasterBus()} />;
+}
+
+function setup() {
+  const user = userEvent.setup();
+  render(<Harness />);
+  return user;
+}
+
+const presetSelect = () => screen.getByRole("combobox", { name: "Preset" });
+const lastApplied = () => mockApplied[mockApplied.length - 1];
+const savedPresets = () => JSON.parse(window.localStorage.getItem("virtupiano.effectPresets"));
+
+beforeEach(() => {
+  window.localStorage.clear();
+  mockApplied.length = 0;
+});
+
+describe("EffectsPanel", () => {
+  test("applies a preset to the master bus and shows edits as such", async () => {
+    const user = setup();
+    await user.selectOptions(presetSelect(), "Concert hall");
+    expect(lastApplied()).toEqual(BUILTIN_EFFECT_PRESETS[1].settings);
+
+    await user.click(screen.getByRole("button", { name: "Effects" }));
+    await user.click(screen.getByRole("checkbox", { name: "Reverb" }));
+    expect(lastApplied().reverb).toEqual({ enabled: false, decay: 3.2, mix: 0.35 });
+    expect(presetSelect()).toHaveValue("");
+    expect(screen.getByRole("option", { name: "(edited)" })).toBeInTheDocument();
+    expect(JSON.parse(window.localStorage.getItem("virtupiano.masterSettings")).reverb.enabled).toBe(false);
+  });
+
+  test("saves, reloads and deletes a user preset", async () => {
+    const user = setup();
+    fireEvent.change(screen.getByRole("slider", { name: "Volume" }), { target: { value: "0.5" } });
+    await user.click(screen.getByRole("button", { name: "Effects" }));
+    await user.type(screen.getByRole("textbox", { name: "Save as" }), "Quiet{Enter}");
+    expect(presetSelect()).toHaveValue("Quiet");
+    expect(savedPresets()).toEqual([{ name: "Quiet", settings: expect.objectContaining({ volume: 0.5 }) }]);
+
+    await user.selectOptions(presetSelect(), "Dry");
+    expect(lastApplied().volume).toBe(0.8);
+    await user.selectOptions(presetSelect(), "Quiet");
+    expect(lastApplied().volume).toBe(0.5);
+
+    await user.click(screen.getByRole("button", { name: "Delete “Quiet”" }));
+    expect(savedPresets()).toEqual([]);
+    expect(screen.queryByRole("option", { name: "Quiet" })).not.toBeInTheDocument();
+  });
+
+  test("won't save over a built-in preset, in any letter case, and can't delete one", async () => {
+    const user = setup();
+    await user.click(screen.getByRole("button", { name: "Effects" }));
+    const name = screen.getByRole("textbox", { name: "Save as" });
+    await user.type(name, " dreamy {Enter}");
+    expect(name).toHaveValue(" dreamy ");
+    expect(savedPresets()).toEqual([]);
+
+    await user.selectOptions(presetSelect(), "Dreamy");
+    expect(screen.queryByRole("button", { name: /Delete/ })).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,65 @@
+import React, { useEffect, useState } from "react";
+import { keyGeometry } from "./notes";
+import "./FallingNotes.css";
+
+// Real-time milliseconds it takes a note to fall the full height of the lane area.
+const FALL_MS = 2500;
+
+/**
+ * Learning-mode note highway: the song's notes fall toward their keys and are coloured by judgement
+ * once played. Re-renders itself every animation frame from `player.getSongTime()`.
+ * Meant to be rendered through PianoKeyboard's `renderAboveKeys`, which supplies `pianoKeys`.
+ *
+ * PUBLIC_INTERFACE
+ */
+const FallingNotes = ({ player, pianoKeys }) => {
+  const [songTime, setSongTime] = useState(() => player.getSongTime());
+  const { getSongTime, playing } = player;
+
+  useEffect(() => {
+    setSongTime(getSongTime());
+    if (!playing) return undefined;
+    let frame;
+    const tick = () => {
+      setSongTime(getSongTime());
+      frame = window.requestAnimationFrame(tick);
+    };
+    frame = window.requestAnimationFrame(tick);
+    return () => window.cancelAnimationFrame(frame);
+  }, [getSongTime, playing]);
+
+  const geometry = keyGeometry(pianoKeys);
+  const lowestMidi = pianoKeys[0].midi;
+  // Song milliseconds visible above the keys; scaled by tempo so notes fall at the same real speed.
+  const visibleMs = FALL_MS * player.tempo;
+
+  return (
+    <div className="falling-notes" aria-hidden="true">
+      {player.song.notes.map((n, i) => {
+        const idx = n.midi - lowestMidi;
+        if (idx < 0 || idx >= pianoKeys.length) return null;
+        const bottom = ((n.time - songTime) / visibleMs) * 100;
+        const height = Math.max(2, (n.duration / visibleMs) * 100);
+        if (bottom > 100 || bottom + height < 0) return null;
+        const judgement = player.judgements[i];
+        return (
+          <div
+            key={i}
+            className={
+              "falling-note " + pianoKeys[idx].type +
+              (judgement ? ` judged ${judgement}` : "")
+            }
+            style={{
+              left: `${geometry[idx].left}%`,
+              width: `${geometry[idx].width}%`,
+              bottom: `${bottom}%`,
+              height: `${height}%`
+            }}
+          />
+        );
+      })}
+    </div>
+  );
+};
+
+export default FallingNotes;
@@ -0,0 +1,184 @@
+import React, { useRef, useState } from "react";
+import { getAudioContext } from "./audioContext";
+import {
+  BUILTIN_INSTRUMENTS,
+  WAVEFORMS,
+  createSynthInstrument,
+  sampleInstrumentFromFiles
+} from "./instruments";
+import "./InstrumentPicker.css";
+
+const CUSTOM_ID = "custom";
+const LOAD_FILES_ID = "load-files";
+
+const DEFAULT_CUSTOM_SYNTH = {
+  waveform: "sawtooth",
+  unison: 3,
+  detune: 12,
+  filterOn: true,
+  cutoff: 800,
+  amount: 2500
+};
+
+function buildCustomSynth(settings) {
+  return createSynthInstrument({
+    id: CUSTOM_ID,
+    name: "Custom synth",
+    waveform: settings.waveform,
+    unison: settings.unison,
+    detune: settings.detune,
+    filter: settings.filterOn
+      ? { type: "lowpass", cutoff: settings.cutoff, q: 2, amount: settings.amount, attack: 0.02, decay: 0.35, sustain: 0.35, release: 0.3 }
+      : null
+  });
+}
+
+/**
+ * Instrument selector: the built-in synth voices, an editable custom synth and sample sets loaded
+ * from local files (no samples ship with the app). Calls `onChange(instrument)` once the instrument
+ * is ready to play.
+ *
+ * PUBLIC_INTERFACE
+ */
+const InstrumentPicker = ({ instrument, onChange }) => {
+  const [localSets, setLocalSets] = useState([]);
+  const [custom, setCustom] = useState(DEFAULT_CUSTOM_SYNTH);
+  const [loadingName, setLoadingName] = useState(null);
+  const [error, setError] = useState(null);
+  const fileInput = useRef(null);
+
+  const loadAndSelect = (name, instrumentPromise) => {
+    setError(null);
+    setLoadingName(name);
+    return instrumentPromise
+      .then((inst) => inst.load(getAudioContext()))
+      .then((inst) => {
+        setLoadingName(null);
+        onChange(inst);
+        return inst;
+      }, (err) => {
+        setLoadingName(null);
+        setError(err.message);
+        throw err;
+      });
+  };
+
+  const handleSelect = (id) => {
+    if (id === LOAD_FILES_ID) {
+      fileInput.current.click();
+      return;
+    }
+    if (id === CUSTOM_ID) {
+      onChange(buildCustomSynth(custom));
+      return;
+    }
+    const ready = BUILTIN_INSTRUMENTS.concat(localSets).find((inst) => inst.id === id);
+    if (ready) onChange(ready);
+  };
+
+  const handleFiles = (e) => {
+    const files = e.target.files;
+    e.target.value = "";
+    if (!files.length) return;
+    let inst;
+    try {
+      inst = sampleInstrumentFromFiles(files, `Samples: ${files[0].name}${files.length > 1 ? ` +${files.length - 1}` : ""}`);
+    } catch (err) {
+      setError(err.message);
+      return;
+    }
+    loadAndSelect(inst.name, Promise.resolve(inst))
+      .then((loaded) => setLocalSets((prev) => [...prev, loaded]))
+      .catch(() => {});
+  };
+
+  const updateCustom = (changes) => {
+    const next = { ...custom, ...changes };
+    setCustom(next);
+    onChange(buildCustomSynth(next));
+  };
+
+  return (
+    <div className="instrument-picker">
+      <label className="control-label">
+        Instrument
+        <select value={instrument.id} onChange={(e) => handleSelect(e.target.value)}>
+          <optgroup label="Synth">
+            {BUILTIN_INSTRUMENTS.map((inst) => (
+              <option key={inst.id} value={inst.id}>{inst.name}</option>
+            ))}
+            <option value={CUSTOM_ID}>Custom synth…</option>
+          </optgroup>
+          <optgroup label="Samples">
+            {localSets.map((inst) => (
+              <option key={inst.id} value={inst.id}>{inst.name}</option>
+            ))}
+            <option value={LOAD_FILES_ID}>Load samples from files…</option>
+          </optgroup>
+        </select>
+      </label>
+      <input
+        ref={fileInput}
+        type="file"
+        accept=".wav,.ogg,audio/wav,audio/ogg"
+        multiple
+        onChange={handleFiles}
+        hidden
+      />
+      {loadingName && <span className="instrument-status">Loading {loadingName}…</span>}
+      {error && <span className="instrument-error" role="alert">{error}</span>}
+
+      {instrument.id === CUSTOM_ID && (
+        <div className="synth-editor">
+          <label>
+            Wave
+            <select value={custom.waveform} onChange={(e) => updateCustom({ waveform: e.target.value })}>
+              {WAVEFORMS.map((w) => <option key={w} value={w}>{w}</option>)}
+            </select>
+          </label>
+          <label>
+            Unison {custom.unison}
+            <input
+              type="range" min={1} max={7} value={custom.unison}
+              onChange={(e) => updateCustom({ unison: Number(e.target.value) })}
+            />
+          </label>
+          <label>
+            Detune {custom.detune}¢
+            <input
+              type="range" min={0} max={50} value={custom.detune}
+              onChange={(e) => updateCustom({ detune: Number(e.target.value) })}
+            />
+          </label>
+          <label>
+            <input
+              type="checkbox" checked={custom.filterOn}
+              onChange={(e) => updateCustom({ filterOn: e.target.checked })}
+            />
+            Filter
+          </label>
+          {custom.filterOn && (
+            <>
+              <label>
+                Cutoff {custom.cutoff} Hz
+                <input
+                  type="range" min={100} max={8000} step={50} value={custom.cutoff}
+                  onChange={(e) => updateCustom({ cutoff: Number(e.target.value) })}
+                />
+              </label>
+              <label>
+                Envelope +{custom.amount} Hz
+                <input
+                  type="range" min={0} max={8000} step={50} value={custom.amount}
+                  onChange={(e) => updateCustom({ amount: Number(e.target.value) })}
+                />
+              </label>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default InstrumentPicker;
@@ -0,0 +1,78 @@
+import React, { useState } from "react";
+import { DEFAULT_RELAY_URL } from "./jamSession";
+import { MAX_PLAYOUT_DELAY } from "./useJamSession";
+import "./JamPanel.css";
+
+// Colours offered to a new player; the relay hands out its own when two people pick the same one.
+const PLAYER_COLORS = ["#4FC3F7", "#F06292", "#81C784", "#FFB74D", "#BA68C8"];
+
+const STATUS_TEXT = {
+  connecting: "Connecting…",
+  connected: "Connected",
+  closed: "Disconnected",
+  error: "Connection failed"
+};
+
+/**
+ * Jam session controls for a `useJamSession()` state object: relay address, name and colour,
+ * join/leave, the latency buffer and the participant list.
+ *
+ * PUBLIC_INTERFACE
+ */
+function JamPanel({ jam }) {
+  const [url, setUrl] = useState(DEFAULT_RELAY_URL);
+  const [name, setName] = useState("");
+  const [color, setColor] = useState(() => PLAYER_COLORS[Math.floor(Math.random() * PLAYER_COLORS.length)]);
+  const inSession = jam.status === "connecting" || jam.status === "connected";
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (inSession) jam.leave();
+    else jam.join({ url: url.trim(), name: name.trim(), color });
+  };
+
+  return (
+    <section className="jam-panel" aria-label="Jam session">
+      <form className="jam-controls" onSubmit={handleSubmit}>
+        <label className="control-label">
+          Relay
+          <input type="text" className="jam-url" value={url} disabled={inSession} onChange={(e) => setUrl(e.target.value)} />
+        </label>
+        <label className="control-label">
+          Name
+          <input type="text" className="jam-name" value={name} maxLength={32} placeholder="Guest" disabled={inSession} onChange={(e) => setName(e.target.value)} />
+        </label>
+        <label className="control-label">
+          Colour
+          <input type="color" value={color} disabled={inSession} onChange={(e) => setColor(e.target.value)} />
+        </label>
+        <button type="submit" className={"control-btn" + (inSession ? " active" : "")}>
+          {inSession ? "Leave jam" : "Join jam"}
+        </button>
+        {jam.status !== "idle" && <span className="jam-status" role="status">{STATUS_TEXT[jam.status]}</span>}
+      </form>
+      <label className="control-label jam-delay">
+        Latency buffer {jam.playoutDelay} ms
+        <input
+          type="range" min={0} max={MAX_PLAYOUT_DELAY} step={10} value={jam.playoutDelay}
+          onChange={(e) => jam.setPlayoutDelay(Number(e.target.value))}
+        />
+      </label>
+      {jam.error && <div className="jam-error" role="alert">{jam.error}</div>}
+      {jam.participants.length > 0 && (
+        <ul className="jam-participants" aria-label="Participants">
+          {jam.participants.map((p) => (
+            <li key={p.id}>
+              <span className="jam-swatch" style={{ background: p.color }} aria-hidden="true" />
+              {p.name}
+              {p.id === jam.selfId && " (you)"}
+              <span className="jam-latency">{p.latency === null ? "…" : `${p.latency} ms`}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
+
+export default JamPanel;
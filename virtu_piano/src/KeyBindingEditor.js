@@ -0,0 +1,43 @@
+import React from "react";
+import { LAYOUT_PRESETS, getLayoutPreset } from "./keyLayouts";
+
+/**
+ * Layout preset picker and key-binding editor controls for a `useKeyLayout()` state object.
+ * The actual rebinding happens on the keyboard: with `editing` on, PianoKeyboard takes a key click
+ * followed by a computer key press.
+ *
+ * PUBLIC_INTERFACE
+ */
+const KeyBindingEditor = ({ keyLayout, editing, onEditingChange }) => {
+  const { layout } = keyLayout;
+  const isCustom = !!layout.basePreset;
+
+  return (
+    <div className="key-binding-editor">
+      <label className="control-label">
+        Key layout
+        <select value={layout.id} onChange={(e) => keyLayout.selectPreset(e.target.value)}>
+          {LAYOUT_PRESETS.map((preset) => (
+            <option key={preset.id} value={preset.id}>{preset.name}</option>
+          ))}
+          {isCustom && <option value={layout.id}>{layout.name}</option>}
+        </select>
+      </label>
+      <button
+        type="button"
+        className={"control-btn" + (editing ? " active" : "")}
+        aria-pressed={editing}
+        onClick={() => onEditingChange(!editing)}
+      >
+        {editing ? "Done editing" : "Edit key bindings"}
+      </button>
+      {isCustom && (
+        <button type="button" className="control-btn" onClick={keyLayout.reset}>
+          Reset to {getLayoutPreset(layout.basePreset).name}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default KeyBindingEditor;
@@ -0,0 +1,148 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import "./LibraryDemo.css";
+import PianoKeyboard from "./PianoKeyboard";
+
+// Chords the controlled keyboard can be told to hold.
+const DEMO_CHORDS = [
+  { name: "C", notes: ["C4", "E4", "G4"] },
+  { name: "F", notes: ["F4", "A4", "C5"] },
+  { name: "G7", notes: ["G4", "B4", "D5", "F5"] }
+];
+
+const ARPEGGIO = ["C4", "E4", "G4", "C5", "G4", "E4", "C4"];
+const ARPEGGIO_STEP_MS = 160;
+
+// Theme classes defined in LibraryDemo.css; each only sets --piano-* variables.
+const THEMES = [
+  { value: "", label: "Default" },
+  { value: "piano-theme-ocean", label: "Ocean" },
+  { value: "piano-theme-forest", label: "Forest" },
+  { value: "piano-theme-mono", label: "Monochrome" }
+];
+
+const MAX_LOG_LINES = 8;
+
+/**
+ * Docs/demo page for the embeddable library: a controlled keyboard driven from outside, the
+ * imperative ref API, CSS-variable theming and a custom audio engine.
+ *
+ * PUBLIC_INTERFACE
+ */
+function LibraryDemo() {
+  // Controlled keyboard: this component owns the held notes.
+  const [heldNotes, setHeldNotes] = useState([]);
+  const [engineId, setEngineId] = useState("synth");
+  const [engineLog, setEngineLog] = useState([]);
+
+  // A stand-in audio engine that writes what it is asked to do instead of making sound.
+  const loggingEngine = useMemo(() => {
+    const log = (line) => setEngineLog((prev) => [line, ...prev].slice(0, MAX_LOG_LINES));
+    return {
+      play: (note, velocity) => log(`play ${note} (velocity ${velocity.toFixed(2)})`),
+      stop: (note) => log(`stop ${note}`),
+      setSustain: (down) => log(`sustain ${down ? "down" : "up"}`),
+      releaseAll: () => log("release all")
+    };
+  }, []);
+
+  const handleNoteDown = (note) => setHeldNotes((prev) => (prev.includes(note) ? prev : [...prev, note]));
+  const handleNoteUp = (note) => setHeldNotes((prev) => prev.filter((n) => n !== note));
+
+  // Uncontrolled keyboard driven through its ref.
+  const pianoRef = useRef(null);
+  const timers = useRef([]);
+  const [theme, setTheme] = useState("");
+  const [activeColor, setActiveColor] = useState("#FFD700");
+
+  useEffect(() => () => timers.current.forEach(clearTimeout), []);
+
+  const playArpeggio = () => {
+    ARPEGGIO.forEach((note, i) => {
+      timers.current.push(setTimeout(() => pianoRef.current && pianoRef.current.playNote(note, 0.8), i * ARPEGGIO_STEP_MS));
+      timers.current.push(setTimeout(() => pianoRef.current && pianoRef.current.stopNote(note), (i + 1) * ARPEGGIO_STEP_MS));
+    });
+  };
+
+  const releaseAll = () => {
+    timers.current.forEach(clearTimeout);
+    timers.current = [];
+    if (pianoRef.current) pianoRef.current.releaseAll();
+  };
+
+  return (
+    <div className="library-demo">
+      <section className="library-demo-section">
+        <h2>Controlled mode</h2>
+        <p>
+          The page passes <code>activeNotes</code> and updates it from <code>onNoteDown</code>/<code>onNoteUp</code>,
+          so the buttons and your playing share one list of held notes.
+        </p>
+        <div className="library-demo-controls">
+          {DEMO_CHORDS.map((chord) => (
+            <button key={chord.name} type="button" className="control-btn" onClick={() => setHeldNotes(chord.notes)}>
+              Hold {chord.name}
+            </button>
+          ))}
+          <button type="button" className="control-btn" onClick={() => setHeldNotes([])}>
+            Clear
+          </button>
+          <label className="control-label">
+            Audio engine{" "}
+            <select value={engineId} onChange={(e) => setEngineId(e.target.value)}>
+              <option value="synth">Built-in synth</option>
+              <option value="log">Event log (silent)</option>
+            </select>
+          </label>
+        </div>
+        <PianoKeyboard
+          midiEnabled={false}
+          activeNotes={heldNotes}
+          onNoteDown={handleNoteDown}
+          onNoteUp={handleNoteUp}
+          audioEngine={engineId === "log" ? loggingEngine : undefined}
+        />
+        <div className="library-demo-status">Held: {heldNotes.length ? heldNotes.join(" ") : "nothing"}</div>
+        {engineId === "log" && (
+          <ol className="library-demo-log" aria-label="Audio engine calls">
+            {engineLog.map((line, i) => <li key={i}>{line}</li>)}
+          </ol>
+        )}
+      </section>
+
+      <section className="library-demo-section">
+        <h2>Ref API and theming</h2>
+        <p>
+          The buttons call <code>playNote</code>, <code>stopNote</code> and <code>releaseAll</code> on the keyboard&apos;s ref.
+          Themes are classes that set <code>--piano-*</code> variables; the colour picker sets one through <code>style</code>.
+        </p>
+        <div className="library-demo-controls">
+          <button type="button" className="control-btn" onClick={playArpeggio}>
+            Play arpeggio
+          </button>
+          <button type="button" className="control-btn" onClick={releaseAll}>
+            Release all
+          </button>
+          <label className="control-label">
+            Theme{" "}
+            <select value={theme} onChange={(e) => setTheme(e.target.value)}>
+              {THEMES.map((t) => <option key={t.value} value={t.value}>{t.label}</option>)}
+            </select>
+          </label>
+          <label className="control-label">
+            Pressed colour{" "}
+            <input type="color" value={activeColor} onChange={(e) => setActiveColor(e.target.value)} />
+          </label>
+        </div>
+        <PianoKeyboard
+          ref={pianoRef}
+          midiEnabled={false}
+          computerKeyboard={false}
+          className={theme || undefined}
+          style={{ "--piano-active-color": activeColor, "--piano-active-glow": `${activeColor}55` }}
+        />
+      </section>
+    </div>
+  );
+}
+
+export default LibraryDemo;
@@ -0,0 +1,80 @@
+import React, { useState } from "react";
+import { MAX_BPM, MIN_BPM, TIME_SIGNATURES } from "./useMetronome";
+import "./Metronome.css";
+
+// Tempo field that can hold a half-typed value ("1" on the way to "120"): the tempo changes, clamped
+// to the metronome's range, only on blur or Enter. Escape drops the edit.
+const BpmInput = ({ bpm, setBpm }) => {
+  const [draft, setDraft] = useState(null); // text being typed, or null when not editing
+
+  const commit = () => {
+    if (draft === null) return;
+    const value = Number(draft);
+    if (draft.trim() !== "" && Number.isFinite(value)) setBpm(value);
+    setDraft(null);
+  };
+
+  return (
+    <input
+      type="number" min={MIN_BPM} max={MAX_BPM} value={draft === null ? bpm : draft}
+      className="metronome-bpm"
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === "Enter") commit();
+        else if (e.key === "Escape") setDraft(null);
+      }}
+    />
+  );
+};
+
+/**
+ * Metronome controls and beat indicator for a `useMetronome()` state object.
+ *
+ * PUBLIC_INTERFACE
+ */
+const Metronome = ({ metronome }) => (
+  <section className="metronome" aria-label="Metronome">
+    <button
+      type="button"
+      className={"control-btn" + (metronome.running ? " active" : "")}
+      onClick={metronome.running ? metronome.stop : metronome.start}
+    >
+      {metronome.running ? "■ Metronome" : "▶ Metronome"}
+    </button>
+    <label className="control-label">
+      BPM
+      <BpmInput bpm={metronome.bpm} setBpm={metronome.setBpm} />
+    </label>
+    <input
+      type="range" min={MIN_BPM} max={MAX_BPM} value={metronome.bpm}
+      aria-label="Tempo"
+      onChange={(e) => metronome.setBpm(Number(e.target.value))}
+    />
+    <button type="button" className="control-btn" onClick={metronome.tap}>Tap</button>
+    <label className="control-label">
+      Time
+      <select value={metronome.signature.id} onChange={(e) => metronome.setSignatureId(e.target.value)}>
+        {TIME_SIGNATURES.map((s) => <option key={s.id} value={s.id}>{s.id}</option>)}
+      </select>
+    </label>
+    <label className="control-label">
+      <input type="checkbox" checked={metronome.accent} onChange={(e) => metronome.setAccent(e.target.checked)} />
+      Accent beat 1
+    </label>
+    <div className="metronome-beats" aria-hidden="true">
+      {Array.from({ length: metronome.signature.beats }, (_, beat) => (
+        <span
+          key={beat}
+          className={
+            "metronome-beat" +
+            (beat === 0 && metronome.accent ? " accent" : "") +
+            (beat === metronome.currentBeat ? " on" : "")
+          }
+        />
+      ))}
+    </div>
+  </section>
+);
+
+export default Metronome;
@@ -0,0 +1,117 @@
+import React from "react";
+import { act, render, renderHook, screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import Metronome from "./Metronome";
+import useMetronome, { TIME_SIGNATURES } from "./useMetronome";
+
+// jsdom has no Web Audio: clicks are recorded as [when, accented] instead of played.
+const mockClicks = [];
+const mockContext = { currentTime: 0 };
+jest.mock("./audioContext", () => ({
+  getAudioContext: () => {
+    const param = { setValueAtTime() {}, linearRampToValueAtTime() {}, exponentialRampToValueAtTime() {} };
+    mockContext.createGain = () => ({ gain: param, connect() {}, disconnect() {} });
+    mockContext.createOscillator = () => {
+      const osc = { frequency: { value: 0 }, connect() {} };
+      osc.start = (when) => mockClicks.push([Math.round(when * 1000), osc.frequency.value === 1760]);
+      osc.stop = () => {};
+      return osc;
+    };
+    return mockContext;
+  }
+}));
+jest.mock("./masterBus", () => ({ getMasterBus: () => ({ direct: {} }) }));
+
+function fakeMetronome(overrides = {}) {
+  return {
+    bpm: 100,
+    setBpm: jest.fn(),
+    signature: TIME_SIGNATURES[2],
+    setSignatureId: jest.fn(),
+    accent: true,
+    setAccent: jest.fn(),
+    running: false,
+    start: jest.fn(),
+    stop: jest.fn(),
+    tap: jest.fn(),
+    currentBeat: -1,
+    ...overrides
+  };
+}
+
+describe("Metronome tempo field", () => {
+  const field = () => screen.getByRole("spinbutton");
+
+  test("lets a tempo be typed and sets it on Enter", async () => {
+    const user = userEvent.setup();
+    const metronome = fakeMetronome();
+    render(<Metronome metronome={metronome} />);
+    await user.clear(field());
+    await user.type(field(), "12");
+    expect(field()).toHaveValue(12);
+    expect(metronome.setBpm).not.toHaveBeenCalled();
+    await user.type(field(), "0{Enter}");
+    expect(metronome.setBpm).toHaveBeenCalledWith(120);
+  });
+
+  test("sets the tempo on blur and drops empty or abandoned edits", async () => {
+    const user = userEvent.setup();
+    const metronome = fakeMetronome();
+    render(<Metronome metronome={metronome} />);
+    await user.clear(field());
+    await user.type(field(), "5");
+    await user.tab();
+    expect(metronome.setBpm).toHaveBeenCalledWith(5); // the hook clamps it
+
+    metronome.setBpm.mockClear();
+    await user.clear(field());
+    await user.tab();
+    await user.type(field(), "{Backspace}{Backspace}{Backspace}9{Escape}");
+    expect(metronome.setBpm).not.toHaveBeenCalled();
+    expect(field()).toHaveValue(100);
+  });
+});
+
+describe("useMetronome", () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    mockClicks.length = 0;
+    mockContext.currentTime = 0;
+  });
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  // Moves the audio clock and the scheduler's timer on together, 25 ms at a time.
+  const runFor = (seconds) => {
+    for (let t = 0; t < seconds; t += 0.025) {
+      mockContext.currentTime += 0.025;
+      act(() => jest.advanceTimersByTime(25));
+    }
+  };
+
+  test("clamps the tempo", () => {
+    const { result } = renderHook(() => useMetronome());
+    act(() => result.current.setBpm(5));
+    expect(result.current.bpm).toBe(30);
+    act(() => result.current.setBpm(999.4));
+    expect(result.current.bpm).toBe(300);
+  });
+
+  test("starts a new bar when the time signature changes mid-run", () => {
+    const { result } = renderHook(() => useMetronome());
+    act(() => result.current.start());
+    runFor(0.6); // beats at 50 and 650 ms (100 bpm) are scheduled
+    act(() => result.current.setSignatureId("3/4"));
+    runFor(2.4);
+    act(() => result.current.stop());
+    expect(mockClicks).toEqual([
+      [50, true],
+      [650, false],
+      [1250, true],
+      [1850, false],
+      [2450, false],
+      [3050, true]
+    ]);
+  });
+});
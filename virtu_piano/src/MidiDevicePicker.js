@@ -0,0 +1,47 @@
+import React from "react";
+import { ALL_INPUTS } from "./useMidi";
+
+/**
+ * Input/output device picker for a `useMidi()` state object.
+ *
+ * PUBLIC_INTERFACE
+ */
+const MidiDevicePicker = ({ midi }) => {
+  if (!midi.enabled) {
+    return (
+      <div className="midi-picker">
+        <button type="button" className="midi-enable-btn" onClick={midi.enable}>
+          Connect MIDI device
+        </button>
+        {midi.error && <span className="midi-error" role="alert">{midi.error}</span>}
+      </div>
+    );
+  }
+
+  return (
+    <div className="midi-picker">
+      <label>
+        MIDI in
+        <select value={midi.inputId} onChange={(e) => midi.setInputId(e.target.value)}>
+          <option value={ALL_INPUTS}>
+            {midi.inputs.length ? "All inputs" : "No devices connected"}
+          </option>
+          {midi.inputs.map((port) => (
+            <option key={port.id} value={port.id}>{port.name}</option>
+          ))}
+        </select>
+      </label>
+      <label>
+        MIDI out
+        <select value={midi.outputId} onChange={(e) => midi.setOutputId(e.target.value)}>
+          <option value="">Off</option>
+          {midi.outputs.map((port) => (
+            <option key={port.id} value={port.id}>{port.name}</option>
+          ))}
+        </select>
+      </label>
+    </div>
+  );
+};
+
+export default MidiDevicePicker;
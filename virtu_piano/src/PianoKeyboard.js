@@ -1,114 +1,99 @@
-import React, { useState, useEffect, useCallback, useRef } from "react";
+import React, {
+  forwardRef,
+  useState,
+  useEffect,
+  useCallback,
+  useImperativeHandle,
+  useMemo,
+  useRef
+} from "react";
 import "./PianoKeyboard.css";
+import {
+  buildKeyRange,
+  isBlackMidi,
+  midiToNoteName,
+  noteNameToMidi,
+  resolveKeyRange
+} from "./notes";
+import useSynth, { CC_SUSTAIN } from "./useSynth";
+import useMidi from "./useMidi";
+import { DEFAULT_INSTRUMENT } from "./instruments";
+import MidiDevicePicker from "./MidiDevicePicker";
+import { describeNotes, toSpokenText } from "./theory";
+import { DEFAULT_LAYOUT, SUSTAIN_CODE, codeToLabel, isBindableSemitone } from "./keyLayouts";
+import {
+  controlChangeMessage,
+  noteOffMessage,
+  noteOnMessage,
+  requestBrowserMidiAccess
+} from "./midiAccess";
 
-// PUBLIC_INTERFACE
-export const KEYBOARD_NOTE_MAP = [
-  { note: "C4",  label: "C",  key: "Q",  type: "white" },
-  { note: "C#4", label: "C#", key: "2",  type: "black" },
-  { note: "D4",  label: "D",  key: "W",  type: "white" },
-  { note: "D#4", label: "D#", key: "3",  type: "black" },
-  { note: "E4",  label: "E",  key: "E",  type: "white" },
-  { note: "F4",  label: "F",  key: "R",  type: "white" },
-  { note: "F#4", label: "F#", key: "5",  type: "black" },
-  { note: "G4",  label: "G",  key: "T",  type: "white" },
-  { note: "G#4", label: "G#", key: "6",  type: "black" },
-  { note: "A4",  label: "A",  key: "Y",  type: "white" },
-  { note: "A#4", label: "A#", key: "7",  type: "black" },
-  { note: "B4",  label: "B",  key: "U",  type: "white" }
-];
+// Keys a focused piano key handles itself, so they don't also reach the global shortcuts.
+const FOCUSED_KEY_CODES = ["Enter", "NumpadEnter", "Space", "ArrowLeft", "ArrowRight", "ArrowUp", "ArrowDown", "Home", "End"];
+
+const DEFAULT_OCTAVE = 4;
 
+// PUBLIC_INTERFACE
 /**
- * Converts a musical note name (e.g. "C4", "A#4") to its corresponding MIDI number.
+ * Builds the computer-key -> note mapping of `layout` (see keyLayouts.js) for the octave starting at C{octave}.
  */
-function noteNameToMidi(note) {
-  // C4 = 60, C#4 = 61, ..., B4 = 71
-  const notes = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
-  const match = note.match(/^([A-G]#?)(\d)$/);
-  if (!match) return 60; // fallback
-  const [, n, octaveS] = match;
-  const noteIdx = notes.indexOf(n);
-  const octave = parseInt(octaveS, 10);
-  return 12 * (octave + 1) + noteIdx;
+export function buildKeyboardNoteMap(octave = DEFAULT_OCTAVE, layout = DEFAULT_LAYOUT) {
+  const baseMidi = 12 * (octave + 1);
+  return Object.keys(layout.bindings)
+    .sort((a, b) => layout.bindings[a] - layout.bindings[b])
+    .map((code) => {
+      const midi = baseMidi + layout.bindings[code];
+      const note = midiToNoteName(midi);
+      return {
+        note,
+        label: note.replace(/-?\d+$/, ""),
+        key: layout.labels[code] || codeToLabel(code),
+        code,
+        type: isBlackMidi(midi) ? "black" : "white"
+      };
+    });
 }
 
-/**
- * Returns the frequency for a given note string (A4 = 440Hz).
- */
-function noteToFrequency(note) {
-  const midi = noteNameToMidi(note);
-  return 440 * Math.pow(2, (midi - 69) / 12);
+// PUBLIC_INTERFACE
+export const KEYBOARD_NOTE_MAP = buildKeyboardNoteMap(DEFAULT_OCTAVE);
+
+// True for form fields and other places where key presses are text entry, not notes.
+function isEditableTarget(target) {
+  if (!target) return false;
+  const tag = target.tagName;
+  return tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT" || target.isContentEditable === true;
 }
 
-const codeToKeyChar = (code) => {
-  // Only map uppercase and numbers
-  if (code.startsWith("Key")) return code.slice(3);
-  if (code.startsWith("Digit")) return code.slice(5);
-  return "";
-};
+function isPianoKeyTarget(target) {
+  return !!target && !!target.dataset && target.dataset.pianoKey !== undefined;
+}
 
-/**
- * Returns the mapped note index (from KEYBOARD_NOTE_MAP) for the given keyboard key.
- * The match is case-insensitive.
- */
-function getNoteIndexFromKey(key) {
-  if (!key) return -1;
-  const upper = key.toUpperCase();
-  return KEYBOARD_NOTE_MAP.findIndex((item) => item.key.toUpperCase() === upper);
+// Whether a pointer measures pressure. A mouse never does; nor does a pen or touchscreen that only
+// reports the spec's stand-in values (0, or 0.5 while pressed) and no tilt or barrel pressure either.
+function hasPressureSensor(e) {
+  if (e.pointerType === "mouse") return false;
+  const placeholder = e.pressure === 0 || e.pressure === 0.5;
+  return !placeholder || !!(e.tangentialPressure || e.tiltX || e.tiltY);
 }
 
-/**
- * Simple synth: maintains one oscillator per note (avoids note overlap during sustained holds).
- */
-function useSynth() {
-  const audioCtxRef = useRef(null);
-  const oscillators = useRef({});
-  // Create the audio context on-demand on first use (avoids blocking on initial load)
-  function getCtx() {
-    if (!audioCtxRef.current) {
-      audioCtxRef.current = new (window.AudioContext || window.webkitAudioContext)();
-    }
-    return audioCtxRef.current;
-  }
-  // PUBLIC_INTERFACE
-  function play(note) {
-    const ctx = getCtx();
-    const freq = noteToFrequency(note);
-    if (oscillators.current[note]) {
-      return; // Already playing this note.
-    }
-    const osc = ctx.createOscillator();
-    osc.type = "triangle"; // mellow, plucky "piano"-ish
-    osc.frequency.value = freq;
-    const gain = ctx.createGain();
-    gain.gain.setValueAtTime(0, ctx.currentTime);
-    gain.gain.linearRampToValueAtTime(0.23, ctx.currentTime + 0.01); // attack
-    gain.gain.linearRampToValueAtTime(0.18, ctx.currentTime + 0.18); // decay
-    gain.gain.linearRampToValueAtTime(0, ctx.currentTime + 0.55); // release (autofade)
-    osc.connect(gain);
-    gain.connect(ctx.destination);
-
-    // Stop oscillator after ~0.7s (release envelope).
-    osc.start();
-    osc.stop(ctx.currentTime + 0.62);
-
-    // Cleanup on stop
-    osc.onended = () => {
-      if (oscillators.current[note] === osc) {
-        delete oscillators.current[note];
-      }
-    };
-    oscillators.current[note] = osc;
-  }
-  // PUBLIC_INTERFACE
-  function stop(note) {
-    if (oscillators.current[note]) {
-      try {
-        oscillators.current[note].stop(); // will trigger cleanup
-      } catch(e){}
-      delete oscillators.current[note];
-    }
-  }
-  return { play, stop };
+// Calls `start(note)` for each note added to `notes` and `end(note)` for each one removed. `notes` is
+// a space-separated list of note names, so passing an equal list again changes nothing; null turns
+// tracking off.
+function useNoteChanges(notes, start, end) {
+  const previous = useRef(new Set());
+  const handlers = useRef({ start, end });
+  handlers.current = { start, end };
+  useEffect(() => {
+    if (notes === null) return;
+    const next = new Set(notes ? notes.split(" ") : []);
+    previous.current.forEach((note) => {
+      if (!next.has(note)) handlers.current.end(note);
+    });
+    next.forEach((note) => {
+      if (!previous.current.has(note)) handlers.current.start(note);
+    });
+    previous.current = next;
+  }, [notes]);
 }
 
 /**
@@ -117,45 +102,342 @@ function useSynth() {
  *
  * PUBLIC_INTERFACE
  */
-const PianoKeyboard = ({
-  onNoteDown, // function(note, index)
-  onNoteUp    // function(note, index)
-}) => {
-  const [activeKeys, setActiveKeys] = useState(new Set());
-  const synth = useSynth();
+const PianoKeyboard = forwardRef(({
+  onNoteDown, // function(note, index, velocity)
+  onNoteUp,   // function(note, index)
+  onSustainChange, // function(down), when the pedal is pressed or lifted here or over MIDI
+  from,       // lowest note, e.g. "A0"
+  to,         // highest note, e.g. "C8"
+  keys,       // preset size (25, 49, 61, 88); overrides from/to
+  initialOctave = DEFAULT_OCTAVE, // octave the computer keys start on; the layout's octave keys shift it
+  velocity = 1, // 0-1, applied to notes played from the computer keyboard and pointer
+  velocitySensitive = false, // scale pointer velocity by pressure, or by how far down the key it lands
+  midiEnabled = true, // show the MIDI device picker
+  requestMidiAccess = requestBrowserMidiAccess, // swap in a fake MIDIAccess provider for tests
+  instrument, // sound source, see instruments.js; defaults to the classic triangle synth
+  keyLayout = DEFAULT_LAYOUT, // computer keys to notes, see keyLayouts.js; Space is always the sustain pedal
+  bindingEditMode = false, // clicking a key, then pressing a computer key, rebinds it instead of playing
+  onBindKey, // function({ semitone, code, label }), used with bindingEditMode
+  renderAboveKeys, // function(pianoKeys) -> node drawn above the keys, scrolling with them (e.g. falling notes)
+  highlightPitchClasses, // pitch classes (0-11) to mark as in-scale, e.g. from theory.scalePitchClasses
+  lockToHighlight = false, // ignore input on keys outside highlightPitchClasses (ref playback still sounds)
+  onActiveKeysChange, // function(notes), held note names from low to high
+  announceNotes = true, // read played notes/chords out through a live region
+  highContrast = false, // high-contrast theme without transitions
+  activeNotes, // note names held down, for controlled mode: input is only reported, and notes sound as
+               // they enter the list; leave undefined to let the keyboard track them
+  audioEngine, // { play, stop, setSustain, releaseAll }; replaces the built-in synth
+  className,  // extra class on the container, e.g. a theme setting the CSS variables
+  style,      // inline styles on the container, e.g. { "--piano-active-color": "#4FC3F7" }
+  computerKeyboard = true, // play from computer keys anywhere on the page (a focused key always plays)
+  remoteNotes // [{ note, color, velocity }] held by other players; they sound and show in each one's colour
+}, ref) => {
+  const [trackedKeys, setActiveKeys] = useState(new Set());
+  const [sustainDown, setSustainDown] = useState(false);
+  const builtInSynth = useSynth({ instrument: instrument || DEFAULT_INSTRUMENT });
+  const synth = audioEngine || builtInSynth;
+  const controlled = activeNotes !== undefined;
 
-  // Handle keyboard events
-  const handleKeyDown = useCallback(
-    (e) => {
-      const char = codeToKeyChar(e.code);
-      const idx = getNoteIndexFromKey(char);
-      if (idx !== -1 && !activeKeys.has(idx)) {
+  // Same sources as pressKey below: pedal changes driven through the ref API aren't reported.
+  const setSustain = useCallback(
+    (down, source = "local", when) => {
+      setSustainDown(down);
+      synth.setSustain(down, when);
+      if (source !== "playback" && onSustainChange) onSustainChange(down);
+    },
+    [synth, onSustainChange]
+  );
+
+  const range = resolveKeyRange({ from, to, keys });
+  const pianoKeys = useMemo(() => buildKeyRange(range.from, range.to), [range.from, range.to]);
+  const lowestMidi = pianoKeys[0].midi;
+  const highestMidi = pianoKeys[pianoKeys.length - 1].midi;
+
+  // Controlled notes as one string of sharp-spelled names, so a new array with the same notes
+  // (as a parent re-rendering would pass) changes nothing.
+  const controlledNotes = controlled ? activeNotes.map((n) => midiToNoteName(noteNameToMidi(n))).join(" ") : null;
+  const activeKeys = useMemo(() => {
+    if (controlledNotes === null) return trackedKeys;
+    const keySet = new Set();
+    controlledNotes.split(" ").forEach((note) => {
+      const idx = noteNameToMidi(note) - lowestMidi;
+      if (note && idx >= 0 && idx < pianoKeys.length) keySet.add(idx);
+    });
+    return keySet;
+  }, [controlledNotes, trackedKeys, lowestMidi, pianoKeys.length]);
+
+  // Keep the computer-keyboard octave overlapping the visible range.
+  const minOctave = Math.floor(lowestMidi / 12) - 1;
+  const maxOctave = Math.floor(highestMidi / 12) - 1;
+  const clampOctave = useCallback(
+    (o) => Math.min(maxOctave, Math.max(minOctave, o)),
+    [minOctave, maxOctave]
+  );
+  const [octave, setOctave] = useState(() => clampOctave(initialOctave));
+  useEffect(() => {
+    setOctave((o) => clampOctave(o));
+  }, [clampOctave]);
+
+  // Computer key code -> key index it pressed, so a key still releases its own note after an octave shift.
+  const heldCodes = useRef({});
+
+  // Returns the key index played by the given semitone of the current octave, or -1 when out of range.
+  const indexForSemitone = useCallback(
+    (semitone) => {
+      const midi = 12 * (octave + 1) + semitone;
+      if (midi < lowestMidi || midi > highestMidi) return -1;
+      return midi - lowestMidi;
+    },
+    [octave, lowestMidi, highestMidi]
+  );
+
+  const highlightSet = useMemo(
+    () => (highlightPitchClasses ? new Set(highlightPitchClasses) : null),
+    [highlightPitchClasses]
+  );
+  const isLocked = useCallback(
+    (idx) => lockToHighlight && !!highlightSet && !highlightSet.has(pianoKeys[idx].midi % 12),
+    [lockToHighlight, highlightSet, pianoKeys]
+  );
+
+  const onActiveKeysChangeRef = useRef(onActiveKeysChange);
+  onActiveKeysChangeRef.current = onActiveKeysChange;
+  useEffect(() => {
+    if (!onActiveKeysChangeRef.current) return;
+    onActiveKeysChangeRef.current(Array.from(activeKeys).sort((a, b) => a - b).map((idx) => pianoKeys[idx].note));
+  }, [activeKeys, pianoKeys]);
+
+  // Live-region text. Only presses from people (not ref playback) are announced, once per press.
+  const [announcement, setAnnouncement] = useState("");
+  const announcePending = useRef(false);
+  useEffect(() => {
+    if (!announcePending.current || !activeKeys.size) return;
+    announcePending.current = false;
+    const notes = Array.from(activeKeys).sort((a, b) => a - b).map((idx) => pianoKeys[idx].note);
+    setAnnouncement(toSpokenText(notes.length === 1 ? notes[0] : describeNotes(notes)));
+  }, [activeKeys, pianoKeys]);
+
+  // Remote players' notes by sharp-spelled name. They share the engine's one voice per note with
+  // local playing, so neither side's release cuts a note the other is still holding.
+  const remoteByNote = {};
+  (remoteNotes || []).forEach((n) => {
+    remoteByNote[midiToNoteName(noteNameToMidi(n.note))] = n;
+  });
+  const remoteHeld = useRef(remoteByNote);
+  remoteHeld.current = remoteByNote;
+  const heldHere = (note) => activeKeys.has(noteNameToMidi(note) - lowestMidi);
+
+  useNoteChanges(
+    Object.keys(remoteByNote).join(" "),
+    (note) => synth.play(note, remoteByNote[note].velocity == null ? 1 : remoteByNote[note].velocity),
+    (note) => !heldHere(note) && synth.stop(note)
+  );
+
+  // Controlled mode: sound follows activeNotes. Velocities of presses waiting for the caller to add
+  // their note, by note name.
+  const pendingVelocities = useRef({});
+  useNoteChanges(
+    controlledNotes,
+    (note) => {
+      const noteVelocity = note in pendingVelocities.current ? pendingVelocities.current[note] : 1;
+      delete pendingVelocities.current[note];
+      synth.play(note, noteVelocity);
+    },
+    (note) => !(note in remoteHeld.current) && synth.stop(note)
+  );
+
+  const midiOutRef = useRef(null);
+
+  // Shared note-on/off path for every input source:
+  //   "local"    computer keyboard / pointer: reported through onNoteDown/onNoteUp and echoed to MIDI out
+  //   "midi"     MIDI input: reported, not echoed back out
+  //   "playback" driven through the ref API (e.g. replaying a take): neither reported nor echoed
+  // `when` (playback only) is the AudioContext time the note sounds at; the key lights right away.
+  const pressKey = useCallback(
+    (idx, noteVelocity, source = "local", when) => {
+      if (!controlled) {
         setActiveKeys(prev => new Set(prev).add(idx));
-        synth.play(KEYBOARD_NOTE_MAP[idx].note);
-        if (onNoteDown) onNoteDown(KEYBOARD_NOTE_MAP[idx].note, idx);
+        synth.play(pianoKeys[idx].note, noteVelocity, when);
+      } else if (source === "playback") {
+        synth.play(pianoKeys[idx].note, noteVelocity, when);
+      } else {
+        pendingVelocities.current[pianoKeys[idx].note] = noteVelocity;
       }
+      if (source !== "playback" && announceNotes) announcePending.current = true;
+      if (source === "local" && midiOutRef.current) midiOutRef.current(noteOnMessage(pianoKeys[idx].midi, noteVelocity));
+      if (source !== "playback" && onNoteDown) onNoteDown(pianoKeys[idx].note, idx, noteVelocity);
     },
-    [activeKeys, onNoteDown, synth]
+    [synth, pianoKeys, onNoteDown, announceNotes, controlled]
   );
 
-  const handleKeyUp = useCallback(
-    (e) => {
-      const char = codeToKeyChar(e.code);
-      const idx = getNoteIndexFromKey(char);
-      if (idx !== -1) {
+  const releaseKey = useCallback(
+    (idx, source = "local", when) => {
+      if (!controlled) {
         setActiveKeys(prev => {
           const newSet = new Set(prev);
           newSet.delete(idx);
           return newSet;
         });
-        synth.stop(KEYBOARD_NOTE_MAP[idx].note);
-        if (onNoteUp) onNoteUp(KEYBOARD_NOTE_MAP[idx].note, idx);
       }
+      const note = pianoKeys[idx].note;
+      if ((!controlled || source === "playback") && !(note in remoteHeld.current)) synth.stop(note, when);
+      if (source === "local" && midiOutRef.current) midiOutRef.current(noteOffMessage(pianoKeys[idx].midi));
+      if (source !== "playback" && onNoteUp) onNoteUp(pianoKeys[idx].note, idx);
     },
-    [onNoteUp, synth]
+    [synth, pianoKeys, onNoteUp, controlled]
   );
 
+  // Imperative API for callers that drive the keyboard themselves (recorder playback and the like).
+  // `when` is an optional AudioContext time to sound at; controlled keyboards sound notes without lighting keys.
+  useImperativeHandle(
+    ref,
+    () => ({
+      playNote(note, noteVelocity = 1, when) {
+        const idx = noteNameToMidi(note) - lowestMidi;
+        if (idx >= 0 && idx < pianoKeys.length) pressKey(idx, noteVelocity, "playback", when);
+        else synth.play(note, noteVelocity, when); // outside the visible range: sound only
+      },
+      stopNote(note, when) {
+        const idx = noteNameToMidi(note) - lowestMidi;
+        if (idx >= 0 && idx < pianoKeys.length) releaseKey(idx, "playback", when);
+        else synth.stop(note, when);
+      },
+      setSustain(down, when) {
+        setSustain(down, "playback", when);
+      },
+      releaseAll() {
+        if (!controlled) setActiveKeys(new Set());
+        synth.releaseAll();
+      }
+    }),
+    [lowestMidi, pianoKeys, pressKey, releaseKey, setSustain, synth, controlled]
+  );
+
+  const setLocalSustain = useCallback(
+    (down) => {
+      setSustain(down);
+      if (midiOutRef.current) midiOutRef.current(controlChangeMessage(CC_SUSTAIN, down ? 127 : 0));
+    },
+    [setSustain]
+  );
+
+  // Incoming MIDI plays through the same key state and synth, but is not echoed back out.
+  const handleMidiMessage = useCallback(
+    (message) => {
+      if (message.type === "cc") {
+        if (message.controller === CC_SUSTAIN) setSustain(message.value >= 64);
+        return;
+      }
+      const idx = message.note - lowestMidi;
+      if (idx < 0 || idx >= pianoKeys.length) {
+        // Outside the visible range: sound only, as the ref API's playNote does.
+        const note = midiToNoteName(message.note);
+        if (message.type === "noteon") synth.play(note, message.velocity / 127);
+        else synth.stop(note);
+        return;
+      }
+      // A locked key still lets go of a note it was holding before the lock went on.
+      if (isLocked(idx) && !activeKeys.has(idx)) return;
+      if (message.type === "noteon") pressKey(idx, message.velocity / 127, "midi");
+      else releaseKey(idx, "midi");
+    },
+    [lowestMidi, pianoKeys, pressKey, releaseKey, setSustain, isLocked, activeKeys, synth]
+  );
+
+  const midi = useMidi({ requestAccess: requestMidiAccess, onMessage: handleMidiMessage });
+  midiOutRef.current = midi.outputId ? midi.send : null;
+
+  // Key index waiting for a new computer key in binding edit mode.
+  const [bindingIdx, setBindingIdx] = useState(null);
   useEffect(() => {
+    setBindingIdx(null);
+  }, [bindingEditMode, pianoKeys]);
+
+  // Offset of a key from C of the current octave, as a layout binds it.
+  const semitoneOf = useCallback((idx) => pianoKeys[idx].midi - 12 * (octave + 1), [pianoKeys, octave]);
+
+  // Starts a rebind of a clicked key, if the layout can reach it from the current octave.
+  const startBinding = (idx) => {
+    if (isBindableSemitone(keyLayout, semitoneOf(idx))) setBindingIdx(idx);
+  };
+
+  const bindingHint = () => {
+    const bindable = pianoKeys.filter((k, idx) => isBindableSemitone(keyLayout, semitoneOf(idx)));
+    if (!bindable.length) return "Shift the octave to reach keys to rebind.";
+    return `Click a key from ${bindable[0].note} to ${bindable[bindable.length - 1].note} to rebind it.`;
+  };
+
+  // Completes a rebind with the pressed key. Escape cancels; the sustain and octave keys can't be bound.
+  const captureBinding = useCallback(
+    (e) => {
+      if (e.ctrlKey || e.metaKey || e.altKey || isEditableTarget(e.target)) return;
+      e.preventDefault();
+      if (e.code === "Escape") {
+        setBindingIdx(null);
+        return;
+      }
+      if (e.code === SUSTAIN_CODE || e.code === keyLayout.octaveDown || e.code === keyLayout.octaveUp) return;
+      const semitone = semitoneOf(bindingIdx);
+      if (onBindKey && isBindableSemitone(keyLayout, semitone)) {
+        onBindKey({
+          semitone,
+          code: e.code,
+          label: e.key && e.key.length === 1 ? e.key.toUpperCase() : codeToLabel(e.code)
+        });
+      }
+      setBindingIdx(null);
+    },
+    [bindingIdx, onBindKey, semitoneOf, keyLayout]
+  );
+
+  // Listens for the new key even when `computerKeyboard` is off and the playing listeners aren't attached.
+  useEffect(() => {
+    if (bindingIdx === null) return undefined;
+    window.addEventListener("keydown", captureBinding);
+    return () => window.removeEventListener("keydown", captureBinding);
+  }, [bindingIdx, captureBinding]);
+
+  // Handle keyboard events
+  const handleKeyDown = useCallback(
+    (e) => {
+      if (e.ctrlKey || e.metaKey || e.altKey || isEditableTarget(e.target) || bindingIdx !== null) return;
+      if (isPianoKeyTarget(e.target) && FOCUSED_KEY_CODES.includes(e.code)) return;
+      if (e.code === SUSTAIN_CODE) {
+        e.preventDefault(); // keep Space from scrolling the page or clicking a focused button
+        if (!e.repeat) setLocalSustain(true);
+        return;
+      }
+      if (e.code === keyLayout.octaveDown || e.code === keyLayout.octaveUp) {
+        if (!e.repeat) setOctave((o) => clampOctave(o + (e.code === keyLayout.octaveUp ? 1 : -1)));
+        return;
+      }
+      if (e.code in heldCodes.current || !(e.code in keyLayout.bindings)) return;
+      const idx = indexForSemitone(keyLayout.bindings[e.code]);
+      if (idx !== -1 && !activeKeys.has(idx) && !isLocked(idx)) {
+        heldCodes.current[e.code] = idx;
+        pressKey(idx, velocity);
+      }
+    },
+    [activeKeys, indexForSemitone, clampOctave, setLocalSustain, pressKey, velocity, keyLayout, bindingIdx, isLocked]
+  );
+
+  const handleKeyUp = useCallback(
+    (e) => {
+      if (isPianoKeyTarget(e.target) && FOCUSED_KEY_CODES.includes(e.code)) return;
+      if (e.code === SUSTAIN_CODE) {
+        setLocalSustain(false);
+        return;
+      }
+      if (!(e.code in heldCodes.current)) return;
+      const idx = heldCodes.current[e.code];
+      delete heldCodes.current[e.code];
+      releaseKey(idx);
+    },
+    [releaseKey, setLocalSustain]
+  );
+
+  useEffect(() => {
+    if (!computerKeyboard) return undefined;
     window.addEventListener("keydown", handleKeyDown);
     window.addEventListener("keyup", handleKeyUp);
 
@@ -163,125 +445,300 @@ const PianoKeyboard = ({
       window.removeEventListener("keydown", handleKeyDown);
       window.removeEventListener("keyup", handleKeyUp);
     };
-  }, [handleKeyDown, handleKeyUp]);
+  }, [handleKeyDown, handleKeyUp, computerKeyboard]);
+
+  // Pointer id -> key index it is holding. Each finger, pen or mouse holds at most one key and moves
+  // it along as it slides (glissando), so chords and slides of several fingers stay independent.
+  const pointerKeys = useRef(new Map());
 
-  const handlePointerDown = (idx) => {
-    setActiveKeys(prev => new Set(prev).add(idx));
-    synth.play(KEYBOARD_NOTE_MAP[idx].note);
-    if (onNoteDown) onNoteDown(KEYBOARD_NOTE_MAP[idx].note, idx);
+  const heldByOtherPointer = (idx, pointerId) => {
+    for (const [id, held] of pointerKeys.current) {
+      if (held === idx && id !== pointerId) return true;
+    }
+    return false;
   };
-  const handlePointerUp = (idx) => {
-    setActiveKeys(prev => {
-      const newSet = new Set(prev);
-      newSet.delete(idx);
-      return newSet;
-    });
-    synth.stop(KEYBOARD_NOTE_MAP[idx].note);
-    if (onNoteUp) onNoteUp(KEYBOARD_NOTE_MAP[idx].note, idx);
+
+  // Velocity for a pointer press. Devices that report real pressure use it; otherwise, with
+  // `velocitySensitive`, the nearer the press is to the front edge of the key, the louder.
+  const pointerVelocity = (e, keyEl) => {
+    if (!velocitySensitive) return velocity;
+    if (hasPressureSensor(e) && e.pressure > 0) return velocity * Math.min(1, 0.2 + e.pressure * 0.8);
+    const rect = keyEl.getBoundingClientRect();
+    if (!rect.height) return velocity;
+    const depth = Math.min(1, Math.max(0, (e.clientY - rect.top) / rect.height));
+    return velocity * (0.35 + 0.65 * depth);
+  };
+
+  // The key element under a pointer event. Touch pointers are captured by the element they started
+  // on, so the event target can't be trusted while sliding; hit-test the position instead.
+  const keyElementAt = (e) => {
+    const el = document.elementFromPoint ? document.elementFromPoint(e.clientX, e.clientY) : e.target;
+    return el && el.closest ? el.closest("[data-key-index]") : null;
   };
 
-  // Used so touch events don't stick keys
-  const handleGlobalPointerUp = () => {
-    setActiveKeys(new Set());
-    // Stop all oscillators if any active (supports "release all" for pointer up outside key).
-    KEYBOARD_NOTE_MAP.forEach(key => synth.stop(key.note));
+  // Moves a pointer onto key `idx` (or off every key with -1), releasing the key it left.
+  // Locked keys count as "off every key", so nothing is released for them later.
+  const movePointerTo = (pointerId, idx, e, keyEl) => {
+    const target = idx !== -1 && !isLocked(idx) ? idx : -1;
+    const current = pointerKeys.current.has(pointerId) ? pointerKeys.current.get(pointerId) : -1;
+    pointerKeys.current.set(pointerId, target);
+    if (current === target) return;
+    if (current !== -1 && !heldByOtherPointer(current, pointerId)) releaseKey(current);
+    if (target !== -1 && !heldByOtherPointer(target, pointerId)) pressKey(target, pointerVelocity(e, keyEl));
   };
 
+  const releasePointer = useCallback(
+    (pointerId) => {
+      if (!pointerKeys.current.has(pointerId)) return;
+      const idx = pointerKeys.current.get(pointerId);
+      pointerKeys.current.delete(pointerId);
+      if (idx === -1) return;
+      for (const held of pointerKeys.current.values()) {
+        if (held === idx) return;
+      }
+      releaseKey(idx);
+    },
+    [releaseKey]
+  );
+
+  const handlePointerDown = (e) => {
+    if (e.pointerType === "mouse" && e.button !== 0) return;
+    const keyEl = keyElementAt(e);
+    if (!keyEl) return;
+    const idx = Number(keyEl.dataset.keyIndex);
+    if (bindingEditMode) {
+      startBinding(idx);
+      return;
+    }
+    movePointerTo(e.pointerId, idx, e, keyEl);
+  };
+
+  const handlePointerMove = (e) => {
+    // Only pointers that went down on the keyboard slide; a hovering mouse plays nothing.
+    if (!pointerKeys.current.has(e.pointerId)) return;
+    const keyEl = keyElementAt(e);
+    movePointerTo(e.pointerId, keyEl ? Number(keyEl.dataset.keyIndex) : -1, e, keyEl);
+  };
+
+  // Ends every pointer, wherever it is released or cancelled (the browser taking over for a scroll,
+  // a palm rejected, the window losing focus), so no note sticks.
   useEffect(() => {
-    window.addEventListener("mouseup", handleGlobalPointerUp, false);
-    window.addEventListener("touchend", handleGlobalPointerUp, false);
+    const handleEnd = (e) => releasePointer(e.pointerId);
+    window.addEventListener("pointerup", handleEnd);
+    window.addEventListener("pointercancel", handleEnd);
     return () => {
-      window.removeEventListener("mouseup", handleGlobalPointerUp, false);
-      window.removeEventListener("touchend", handleGlobalPointerUp, false);
+      window.removeEventListener("pointerup", handleEnd);
+      window.removeEventListener("pointercancel", handleEnd);
     };
-  }, []);
+  }, [releasePointer]);
 
-  // Only white keys for visual container
-  const whiteKeys = KEYBOARD_NOTE_MAP
-    .map((key, idx) => ({ ...key, idx }))
-    .filter((keyObj) => keyObj.type === "white");
-
-  // Association of black keys to the left index of their adjacent white key in the octave [C D E F G A B]
-  // This reflects: BlackKey: adjacent left index in whiteKeys
-  const blackKeyToWhiteLeftIdx = {
-    "C#4": 0, // between C (0) and D (1)
-    "D#4": 1, // between D (1) and E (2)
-    // no black between E(2)-F(3)
-    "F#4": 3, // between F (3) and G (4)
-    "G#4": 4, // between G (4) and A (5)
-    "A#4": 5, // between A (5) and B (6)
-    // no black between B(6)-C(7)
+  // Roving focus: only one key is tabbable at a time, starting on C of the current octave.
+  const keyRefs = useRef([]);
+  const [focusIdx, setFocusIdx] = useState(null);
+  const defaultFocusIdx = Math.max(0, indexForSemitone(0));
+  const tabbableIdx = focusIdx !== null && focusIdx < pianoKeys.length ? focusIdx : defaultFocusIdx;
+  // Key index played with Enter/Space on a focused key, released on keyup even if focus moved on.
+  const focusHeld = useRef(null);
+
+  const moveFocus = (idx) => {
+    const next = Math.min(pianoKeys.length - 1, Math.max(0, idx));
+    setFocusIdx(next);
+    if (keyRefs.current[next]) keyRefs.current[next].focus();
   };
 
-  // Returns the left offset (%) for each black key, so it sits between the adjacent two white keys
-  function getBlackKeyOffset(note) {
-    // White keys × 7 per octave (C D E F G A B), 0-based.
+  const handleKeyFocusKeyDown = (e, idx) => {
+    if (e.ctrlKey || e.metaKey || e.altKey || bindingIdx !== null) return;
+    const moves = { ArrowLeft: -1, ArrowRight: 1, ArrowDown: -12, ArrowUp: 12 };
+    if (e.key in moves) {
+      e.preventDefault();
+      moveFocus(idx + moves[e.key]);
+    } else if (e.key === "Home" || e.key === "End") {
+      e.preventDefault();
+      moveFocus(e.key === "Home" ? 0 : pianoKeys.length - 1);
+    } else if (e.key === "Enter" || e.key === " ") {
+      e.preventDefault();
+      if (e.repeat) return;
+      if (bindingEditMode) {
+        startBinding(idx);
+        return;
+      }
+      if (focusHeld.current !== null || activeKeys.has(idx) || isLocked(idx)) return;
+      focusHeld.current = idx;
+      pressKey(idx, velocity);
+    }
+  };
+
+  const handleKeyFocusKeyUp = (e) => {
+    if ((e.key === "Enter" || e.key === " ") && focusHeld.current !== null) {
+      const idx = focusHeld.current;
+      focusHeld.current = null;
+      releaseKey(idx);
+    }
+  };
+
+  // Computer key label for each key index reachable from the current octave.
+  const computerKeyLabels = {};
+  Object.keys(computerKeyboard ? keyLayout.bindings : {}).forEach((code) => {
+    const idx = indexForSemitone(keyLayout.bindings[code]);
+    if (idx !== -1 && !(idx in computerKeyLabels)) computerKeyLabels[idx] = keyLayout.labels[code] || codeToLabel(code);
+  });
+
+  const indexedKeys = pianoKeys.map((key, idx) => ({ ...key, idx }));
+
+  // Attributes and handlers every key shares, for focus, keyboard activation and assistive tech.
+  const keyProps = (k) => ({
+    ref: (el) => {
+      keyRefs.current[k.idx] = el;
+    },
+    role: "button",
+    tabIndex: k.idx === tabbableIdx ? 0 : -1,
+    "data-piano-key": k.note,
+    "data-key-index": k.idx,
+    "aria-label": toSpokenText(k.note),
+    "aria-pressed": activeKeys.has(k.idx),
+    "aria-disabled": isLocked(k.idx) || undefined,
+    "aria-keyshortcuts": computerKeyLabels[k.idx] || undefined,
+    onFocus: () => setFocusIdx(k.idx),
+    onKeyDown: (e) => handleKeyFocusKeyDown(e, k.idx),
+    onKeyUp: handleKeyFocusKeyUp
+  });
+
+  const keyClassName = (k) =>
+    `piano-key ${k.type}` +
+    (activeKeys.has(k.idx) ? " active" : "") +
+    (bindingIdx === k.idx ? " binding" : "") +
+    (highlightSet && highlightSet.has(k.midi % 12) ? " in-scale" : "") +
+    (isLocked(k.idx) ? " locked" : "") +
+    (remoteByNote[k.note] ? " remote" : "");
+
+  // Remote players' colour, read by the .remote styles.
+  const remoteStyle = (k) => (remoteByNote[k.note] ? { "--piano-remote-color": remoteByNote[k.note].color } : undefined);
+
+  // Only white keys for visual container
+  const whiteKeys = indexedKeys.filter((keyObj) => keyObj.type === "white");
+
+  // Returns the left offset (%) for a black key, so it sits between the adjacent two white keys.
+  // `whiteKeysBefore` is the number of white keys to its left.
+  function getBlackKeyOffset(whiteKeysBefore) {
     const keyWidthPercent = 100 / whiteKeys.length;
-    if (!(note in blackKeyToWhiteLeftIdx)) return null;
-    const leftWhiteIdx = blackKeyToWhiteLeftIdx[note];
-    // Center black key between leftWhiteIdx and leftWhiteIdx + 1, minus half the black key width (handled by CSS, but tune here for accuracy)
-    // Start left at (leftWhiteIdx + 1) * keyWidth - half black-key width in percent
-    // We want the black key to be centered between two white keys
-    const halfWhite = keyWidthPercent / 2;
-    return (leftWhiteIdx + 1) * keyWidthPercent - halfWhite;
+    // Center the black key on the boundary between the white keys on either side of it.
+    return whiteKeysBefore * keyWidthPercent;
   }
 
+  let whiteKeysSeen = 0;
+  const blackKeys = indexedKeys.flatMap((k) => {
+    if (k.type === "white") {
+      whiteKeysSeen += 1;
+      return [];
+    }
+    return [{ ...k, offsetPercent: getBlackKeyOffset(whiteKeysSeen) }];
+  });
+
   return (
-    <div className="piano-keyboard-container">
-      <div className="piano-white-keys">
-        {/* White keys are rendered first in DOM */}
-        {whiteKeys.map((k, i) => (
-          <div
-            tabIndex={0}
-            key={k.idx}
-            className={
-              "piano-key white" +
-              (activeKeys.has(k.idx) ? " active" : "")
-            }
-            onMouseDown={() => handlePointerDown(k.idx)}
-            onMouseUp={() => handlePointerUp(k.idx)}
-            onMouseLeave={() => handlePointerUp(k.idx)}
-            onTouchStart={e => { e.preventDefault(); handlePointerDown(k.idx); }}
-            onTouchEnd={e => { e.preventDefault(); handlePointerUp(k.idx); }}
-            aria-label={k.label}
-          >
-            <div className="note-label">{k.label}</div>
-            <div className="key-label">{k.key}</div>
+    <div
+      className={"piano-keyboard-container" + (highContrast ? " high-contrast" : "") + (className ? ` ${className}` : "")}
+      style={style}
+    >
+      <div className="piano-octave-bar">
+        <button
+          type="button"
+          className="piano-octave-btn"
+          onClick={() => setOctave((o) => clampOctave(o - 1))}
+          disabled={octave <= minOctave}
+          aria-label="Octave down"
+        >
+          − {computerKeyboard && <span className="key-hint">{keyLayout.labels[keyLayout.octaveDown] || codeToLabel(keyLayout.octaveDown)}</span>}
+        </button>
+        <span className="piano-octave-display" aria-live="polite">
+          Octave {octave} <span className="piano-octave-range">({midiToNoteName(12 * (octave + 1))}–{midiToNoteName(12 * (octave + 1) + 11)})</span>
+        </span>
+        <button
+          type="button"
+          className="piano-octave-btn"
+          onClick={() => setOctave((o) => clampOctave(o + 1))}
+          disabled={octave >= maxOctave}
+          aria-label="Octave up"
+        >
+          + {computerKeyboard && <span className="key-hint">{keyLayout.labels[keyLayout.octaveUp] || codeToLabel(keyLayout.octaveUp)}</span>}
+        </button>
+        <button
+          type="button"
+          className={"piano-sustain-btn" + (sustainDown ? " active" : "")}
+          onPointerDown={() => setLocalSustain(true)}
+          onPointerUp={() => setLocalSustain(false)}
+          onPointerLeave={() => sustainDown && setLocalSustain(false)}
+          onPointerCancel={() => setLocalSustain(false)}
+          // Keyboard activation (Enter) has no mouse up to end it, so it latches the pedal instead.
+          onClick={(e) => e.detail === 0 && setLocalSustain(!sustainDown)}
+          aria-pressed={sustainDown}
+        >
+          Sustain {computerKeyboard && <span className="key-hint">Space</span>}
+        </button>
+      </div>
+      {midiEnabled && <MidiDevicePicker midi={midi} />}
+      {bindingEditMode && (
+        <div className="piano-binding-hint" role="status">
+          {bindingIdx === null
+            ? bindingHint()
+            : `Press a computer key for ${pianoKeys[bindingIdx].note} (Esc to cancel).`}
+        </div>
+      )}
+      <div className="piano-scroll">
+        {renderAboveKeys && (
+          <div className="piano-above-keys" style={{ "--white-key-count": whiteKeys.length }}>
+            {renderAboveKeys(pianoKeys)}
           </div>
-        ))}
-        {/* Black keys are absolutely positioned between white keys */}
-        {KEYBOARD_NOTE_MAP
-          .map((key, idx) => ({ ...key, idx }))
-          .filter(k => k.type === "black")
-          .map((k) => {
-            const offsetPercent = getBlackKeyOffset(k.note);
-            if (offsetPercent === null) return null;
-            return (
-              <div
-                tabIndex={0}
-                key={k.idx}
-                className={
-                  "piano-key black" +
-                  (activeKeys.has(k.idx) ? " active" : "")
-                }
-                style={{
-                  left: `calc(${offsetPercent}% - var(--black-key-width)/2)`,
-                }}
-                onMouseDown={e => { e.stopPropagation(); handlePointerDown(k.idx); }}
-                onMouseUp={e => { e.stopPropagation(); handlePointerUp(k.idx); }}
-                onMouseLeave={e => { e.stopPropagation(); handlePointerUp(k.idx); }}
-                onTouchStart={e => { e.preventDefault(); e.stopPropagation(); handlePointerDown(k.idx); }}
-                onTouchEnd={e => { e.preventDefault(); e.stopPropagation(); handlePointerUp(k.idx); }}
-                aria-label={k.label}
-              >
-                <div className="note-label">{k.label}</div>
-                <div className="key-label">{k.key}</div>
-              </div>
-            );
-          })}
+        )}
+        <div
+          className="piano-white-keys"
+          style={{ "--white-key-count": whiteKeys.length }}
+          role="toolbar"
+          aria-label="Piano keys"
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerLeave={(e) => pointerKeys.current.has(e.pointerId) && movePointerTo(e.pointerId, -1, e, null)}
+        >
+          {/* White keys are rendered first in DOM */}
+          {whiteKeys.map((k) => (
+            <div
+              key={k.idx}
+              {...keyProps(k)}
+              className={keyClassName(k)}
+              style={remoteStyle(k)}
+            >
+              <div className="note-label">{k.label === "C" ? k.note : k.label}</div>
+              {computerKeyLabels[k.idx] && <div className="key-label">{computerKeyLabels[k.idx]}</div>}
+            </div>
+          ))}
+          {/* Black keys are absolutely positioned between white keys */}
+          {blackKeys.map((k) => (
+            <div
+              key={k.idx}
+              {...keyProps(k)}
+              className={keyClassName(k)}
+              style={{
+                ...remoteStyle(k),
+                // A black key at either end of the range has no white key on that side; pin it to the edge.
+                left: k.offsetPercent === 0
+                  ? 0
+                  : k.offsetPercent >= 100
+                    ? "calc(100% - var(--black-key-width))"
+                    : `calc(${k.offsetPercent}% - var(--black-key-width)/2)`,
+              }}
+            >
+              <div className="note-label">{k.label}</div>
+              {computerKeyLabels[k.idx] && <div className="key-label">{computerKeyLabels[k.idx]}</div>}
+            </div>
+          ))}
+        </div>
       </div>
+      {announceNotes && (
+        <div className="piano-announcer" role="status" aria-live="polite">{announcement}</div>
+      )}
     </div>
   );
-};
+});
+
+PianoKeyboard.displayName = "PianoKeyboard";
 
 export default PianoKeyboard;
@@ -0,0 +1,569 @@
+import React from "react";
+import { act, fireEvent, render, screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import PianoKeyboard from "./PianoKeyboard";
+import useKeyLayout from "./useKeyLayout";
+import useSynth from "./useSynth";
+
+// jsdom has no Web Audio; the keyboard only needs the synth's interface.
+jest.mock("./useSynth", () => {
+  const synth = {
+    play: jest.fn(),
+    stop: jest.fn(),
+    setSustain: jest.fn(),
+    controlChange: jest.fn(),
+    releaseAll: jest.fn()
+  };
+  return { __esModule: true, default: () => synth, CC_SUSTAIN: 64 };
+});
+
+function renderKeyboard(props = {}) {
+  const onNoteDown = jest.fn();
+  const onNoteUp = jest.fn();
+  const user = userEvent.setup();
+  render(<PianoKeyboard midiEnabled={false} onNoteDown={onNoteDown} onNoteUp={onNoteUp} {...props} />);
+  return { user, onNoteDown, onNoteUp };
+}
+
+function key(name) {
+  return screen.getByRole("button", { name });
+}
+
+describe("PianoKeyboard accessibility", () => {
+  test("exposes the keys as pressable buttons in a labelled toolbar", () => {
+    renderKeyboard();
+    const toolbar = screen.getByRole("toolbar", { name: "Piano keys" });
+    expect(toolbar).toContainElement(key("C 4"));
+    expect(key("C sharp 4")).toHaveAttribute("aria-pressed", "false");
+    expect(key("B 4")).toHaveAttribute("aria-keyshortcuts", "U");
+  });
+
+  test("keeps a single tab stop and moves focus with the arrow keys across white and black keys", async () => {
+    const { user } = renderKeyboard();
+    const tabbable = screen.getAllByRole("button").filter((el) => el.dataset.pianoKey && el.tabIndex === 0);
+    expect(tabbable).toEqual([key("C 4")]);
+
+    act(() => key("C 4").focus());
+    await user.keyboard("{ArrowRight}");
+    expect(key("C sharp 4")).toHaveFocus();
+    await user.keyboard("{ArrowRight}");
+    expect(key("D 4")).toHaveFocus();
+    expect(key("D 4")).toHaveAttribute("tabindex", "0");
+    expect(key("C 4")).toHaveAttribute("tabindex", "-1");
+    await user.keyboard("{ArrowLeft}{ArrowLeft}{ArrowLeft}");
+    expect(key("C 4")).toHaveFocus();
+    await user.keyboard("{End}");
+    expect(key("B 4")).toHaveFocus();
+    await user.keyboard("{Home}");
+    expect(key("C 4")).toHaveFocus();
+  });
+
+  test("moves by octave with up and down arrows", async () => {
+    const { user } = renderKeyboard({ keys: 25 });
+    act(() => key("C 4").focus());
+    await user.keyboard("{ArrowUp}");
+    expect(key("C 5")).toHaveFocus();
+    await user.keyboard("{ArrowDown}{ArrowDown}");
+    expect(key("C 3")).toHaveFocus();
+  });
+
+  test("plays the focused key while Enter is held", async () => {
+    const { user, onNoteDown, onNoteUp } = renderKeyboard();
+    act(() => key("E 4").focus());
+    await user.keyboard("{Enter>}");
+    expect(onNoteDown).toHaveBeenCalledWith("E4", 4, 1);
+    expect(key("E 4")).toHaveAttribute("aria-pressed", "true");
+    expect(onNoteUp).not.toHaveBeenCalled();
+    await user.keyboard("{/Enter}");
+    expect(onNoteUp).toHaveBeenCalledWith("E4", 4);
+    expect(key("E 4")).toHaveAttribute("aria-pressed", "false");
+  });
+
+  test("plays the focused key with Space instead of pressing the sustain pedal", async () => {
+    const { user, onNoteDown, onNoteUp } = renderKeyboard();
+    const sustain = screen.getByRole("button", { name: /Sustain/ });
+    act(() => key("G 4").focus());
+    await user.keyboard("[Space>]");
+    expect(onNoteDown).toHaveBeenCalledWith("G4", 7, 1);
+    expect(sustain).toHaveAttribute("aria-pressed", "false");
+    await user.keyboard("[/Space]");
+    expect(onNoteUp).toHaveBeenCalledWith("G4", 7);
+  });
+
+  test("still uses Space as the sustain pedal when no key has focus", async () => {
+    const { user } = renderKeyboard();
+    const sustain = screen.getByRole("button", { name: /Sustain/ });
+    await user.keyboard("[Space>]");
+    expect(sustain).toHaveAttribute("aria-pressed", "true");
+    await user.keyboard("[/Space]");
+    expect(sustain).toHaveAttribute("aria-pressed", "false");
+  });
+
+  test("latches the sustain pedal from the keyboard", async () => {
+    const { user } = renderKeyboard();
+    const sustain = screen.getByRole("button", { name: /Sustain/ });
+    act(() => sustain.focus());
+    await user.keyboard("{Enter}");
+    expect(sustain).toHaveAttribute("aria-pressed", "true");
+    await user.keyboard("{Enter}");
+    expect(sustain).toHaveAttribute("aria-pressed", "false");
+  });
+
+  test("reports pedal changes made here, but not ones driven through the ref API", async () => {
+    const onSustainChange = jest.fn();
+    const ref = React.createRef();
+    const { user } = renderKeyboard({ ref, onSustainChange });
+    await user.keyboard("[Space>][/Space]");
+    expect(onSustainChange.mock.calls).toEqual([[true], [false]]);
+    act(() => ref.current.setSustain(true));
+    expect(screen.getByRole("button", { name: /Sustain/ })).toHaveAttribute("aria-pressed", "true");
+    expect(onSustainChange).toHaveBeenCalledTimes(2);
+  });
+
+  test("announces played notes and chords", async () => {
+    const { user } = renderKeyboard();
+    const status = screen.getByRole("status");
+    act(() => key("F sharp 4").focus());
+    await user.keyboard("{Enter}");
+    expect(status).toHaveTextContent("F sharp 4");
+
+    // C E G B from the computer keyboard (Q E T U).
+    await user.keyboard("[KeyQ>][KeyE>][KeyT>][KeyU>]");
+    expect(status).toHaveTextContent("C major seven");
+    await user.keyboard("[/KeyQ][/KeyE][/KeyT][/KeyU]");
+  });
+
+  test("does not announce notes driven through the ref API", () => {
+    const ref = React.createRef();
+    renderKeyboard({ ref });
+    act(() => ref.current.playNote("A4"));
+    expect(key("A 4")).toHaveAttribute("aria-pressed", "true");
+    expect(screen.getByRole("status")).toHaveTextContent("");
+  });
+
+  test("can leave announcements off", () => {
+    renderKeyboard({ announceNotes: false });
+    expect(screen.queryByRole("status")).not.toBeInTheDocument();
+  });
+
+  test("marks locked keys disabled and ignores them", async () => {
+    const { user, onNoteDown } = renderKeyboard({ highlightPitchClasses: [0, 2, 4, 5, 7, 9, 11], lockToHighlight: true });
+    expect(key("C sharp 4")).toHaveAttribute("aria-disabled", "true");
+    expect(key("D 4")).not.toHaveAttribute("aria-disabled");
+    act(() => key("C sharp 4").focus());
+    await user.keyboard("{Enter}");
+    expect(onNoteDown).not.toHaveBeenCalled();
+  });
+
+  test("applies the high-contrast theme", () => {
+    const { container } = render(<PianoKeyboard midiEnabled={false} highContrast />);
+    expect(container.firstChild).toHaveClass("high-contrast");
+  });
+});
+
+describe("PianoKeyboard pointer input", () => {
+  // jsdom has neither PointerEvent nor hit-testing. Pointers here "hit" the key whose index is their clientX.
+  const originalPointerEvent = window.PointerEvent;
+  const originalElementFromPoint = document.elementFromPoint;
+  beforeAll(() => {
+    window.PointerEvent = class extends window.MouseEvent {
+      constructor(type, init = {}) {
+        super(type, init);
+        this.pointerId = init.pointerId == null ? 1 : init.pointerId;
+        this.pointerType = init.pointerType || "touch";
+        this.pressure = init.pressure || 0;
+        this.tiltX = init.tiltX || 0;
+        this.tiltY = init.tiltY || 0;
+        this.tangentialPressure = init.tangentialPressure || 0;
+      }
+    };
+    document.elementFromPoint = (x) => document.querySelector(`[data-key-index="${x}"]`) || document.body;
+  });
+  afterAll(() => {
+    window.PointerEvent = originalPointerEvent;
+    document.elementFromPoint = originalElementFromPoint;
+  });
+
+  const toolbar = () => screen.getByRole("toolbar");
+  const down = (pointerId, x, init = {}) => fireEvent.pointerDown(toolbar(), { pointerId, clientX: x, ...init });
+  const move = (pointerId, x) => fireEvent.pointerMove(toolbar(), { pointerId, clientX: x });
+  const up = (pointerId, x) => fireEvent.pointerUp(toolbar(), { pointerId, clientX: x });
+
+  test("holds a note per finger and releases only the finger that lifts", () => {
+    const { onNoteDown, onNoteUp } = renderKeyboard();
+    down(1, 0);
+    down(2, 4);
+    expect(onNoteDown.mock.calls.map((c) => c[0])).toEqual(["C4", "E4"]);
+    up(1, 0);
+    expect(onNoteUp.mock.calls.map((c) => c[0])).toEqual(["C4"]);
+    expect(key("E 4")).toHaveAttribute("aria-pressed", "true");
+    up(2, 4);
+    expect(key("E 4")).toHaveAttribute("aria-pressed", "false");
+  });
+
+  test("plays each key slid across (glissando)", () => {
+    const { onNoteDown, onNoteUp } = renderKeyboard();
+    down(1, 0);
+    move(1, 0);
+    move(1, 2);
+    move(1, 4);
+    expect(onNoteDown.mock.calls.map((c) => c[0])).toEqual(["C4", "D4", "E4"]);
+    expect(onNoteUp.mock.calls.map((c) => c[0])).toEqual(["C4", "D4"]);
+    up(1, 4);
+    expect(onNoteUp.mock.calls.map((c) => c[0])).toEqual(["C4", "D4", "E4"]);
+  });
+
+  test("doesn't play when a pointer only hovers", () => {
+    const { onNoteDown } = renderKeyboard();
+    move(1, 0);
+    move(1, 2);
+    expect(onNoteDown).not.toHaveBeenCalled();
+  });
+
+  test("releases on pointercancel and when the pointer leaves the keyboard", () => {
+    const { onNoteUp } = renderKeyboard();
+    down(1, 0);
+    fireEvent.pointerCancel(toolbar(), { pointerId: 1 });
+    down(2, 2);
+    fireEvent.pointerLeave(toolbar(), { pointerId: 2, clientX: -1 });
+    expect(onNoteUp.mock.calls.map((c) => c[0])).toEqual(["C4", "D4"]);
+  });
+
+  test("doesn't restrike or cut a key another finger is holding", () => {
+    const { onNoteDown, onNoteUp } = renderKeyboard();
+    down(1, 2);
+    down(2, 0);
+    move(2, 2);
+    expect(onNoteDown.mock.calls.map((c) => c[0])).toEqual(["D4", "C4"]);
+    move(2, 4);
+    expect(onNoteUp.mock.calls.map((c) => c[0])).toEqual(["C4"]);
+    expect(key("D 4")).toHaveAttribute("aria-pressed", "true");
+  });
+
+  test("ignores locked keys while sliding", () => {
+    const { onNoteDown, onNoteUp } = renderKeyboard({ highlightPitchClasses: [0, 2, 4, 5, 7, 9, 11], lockToHighlight: true });
+    down(1, 0);
+    move(1, 1);
+    move(1, 2);
+    up(1, 2);
+    expect(onNoteDown.mock.calls.map((c) => c[0])).toEqual(["C4", "D4"]);
+    expect(onNoteUp.mock.calls.map((c) => c[0])).toEqual(["C4", "D4"]);
+  });
+
+  test("uses pen or touch pressure for velocity when asked to", () => {
+    const { onNoteDown } = renderKeyboard({ velocitySensitive: true });
+    down(1, 0, { pointerType: "pen", pressure: 0.25 });
+    expect(onNoteDown.mock.calls[0][2]).toBeCloseTo(0.4);
+  });
+
+  test("falls back to the press position without a pressure sensor", () => {
+    // jsdom lays nothing out, so the position-based velocity is the full `velocity`.
+    const { onNoteDown } = renderKeyboard({ velocitySensitive: true });
+    const velocities = () => onNoteDown.mock.calls.map((c) => Math.round(c[2] * 100) / 100);
+    down(1, 0, { pointerType: "mouse", pressure: 0.75, button: 0 }); // mice only fake pressure
+    down(2, 2, { pointerType: "touch", pressure: 0.5 }); // the "pressed" stand-in, nothing else
+    down(3, 4, { pointerType: "pen", pressure: 0.5, tiltX: 30 }); // a real pen that happens to read 0.5
+    down(4, 5, { pointerType: "touch", pressure: 0.6 });
+    expect(velocities()).toEqual([1, 1, 0.6, 0.68]);
+  });
+});
+
+describe("PianoKeyboard embedding", () => {
+  function fakeEngine() {
+    return { play: jest.fn(), stop: jest.fn(), setSustain: jest.fn(), releaseAll: jest.fn() };
+  }
+
+  test("shows exactly the controlled activeNotes and only reports presses", async () => {
+    const { user, onNoteDown, onNoteUp } = renderKeyboard({ activeNotes: ["E4", "Ab4"] });
+    expect(key("E 4")).toHaveAttribute("aria-pressed", "true");
+    expect(key("G sharp 4")).toHaveAttribute("aria-pressed", "true");
+    act(() => key("C 4").focus());
+    await user.keyboard("{Enter>}");
+    expect(onNoteDown).toHaveBeenCalledWith("C4", 0, 1);
+    expect(key("C 4")).toHaveAttribute("aria-pressed", "false");
+    await user.keyboard("{/Enter}");
+    expect(onNoteUp).toHaveBeenCalledWith("C4", 0);
+  });
+
+  test("sounds controlled notes as they come and go, at the velocity they were played", async () => {
+    const audioEngine = fakeEngine();
+    const user = userEvent.setup();
+    const props = { midiEnabled: false, audioEngine, velocity: 0.5 };
+    const { rerender } = render(<PianoKeyboard {...props} activeNotes={[]} />);
+    act(() => key("D 4").focus());
+    await user.keyboard("{Enter}");
+    expect(audioEngine.play).not.toHaveBeenCalled();
+
+    rerender(<PianoKeyboard {...props} activeNotes={["D4", "A4"]} />);
+    expect(audioEngine.play.mock.calls).toEqual([["D4", 0.5], ["A4", 1]]);
+    rerender(<PianoKeyboard {...props} activeNotes={["A4"]} />);
+    expect(audioEngine.stop.mock.calls).toEqual([["D4"]]);
+    expect(audioEngine.play).toHaveBeenCalledTimes(2);
+  });
+
+  test("plays through a custom audio engine", async () => {
+    const audioEngine = fakeEngine();
+    const { user } = renderKeyboard({ audioEngine });
+    act(() => key("F 4").focus());
+    await user.keyboard("{Enter}");
+    expect(audioEngine.play).toHaveBeenCalledWith("F4", 1, undefined);
+    expect(audioEngine.stop).toHaveBeenCalledWith("F4", undefined);
+  });
+
+  test("can ignore the computer keyboard", async () => {
+    const { user, onNoteDown } = renderKeyboard({ computerKeyboard: false });
+    await user.keyboard("[KeyQ]");
+    expect(onNoteDown).not.toHaveBeenCalled();
+    expect(key("C 4")).not.toHaveAttribute("aria-keyshortcuts");
+  });
+
+  test("adds the caller's class and styles to the container", () => {
+    const { container } = render(
+      <PianoKeyboard midiEnabled={false} className="my-theme" style={{ "--piano-active-color": "red" }} />
+    );
+    expect(container.firstChild).toHaveClass("piano-keyboard-container", "my-theme");
+    expect(container.firstChild.style.getPropertyValue("--piano-active-color")).toBe("red");
+  });
+});
+
+describe("PianoKeyboard remote notes", () => {
+  test("sounds other players' notes and shows their colour", () => {
+    const audioEngine = { play: jest.fn(), stop: jest.fn(), setSustain: jest.fn(), releaseAll: jest.fn() };
+    const props = { midiEnabled: false, audioEngine };
+    const { rerender } = render(<PianoKeyboard {...props} remoteNotes={[{ note: "E4", color: "#F06292", velocity: 0.6 }]} />);
+    expect(audioEngine.play).toHaveBeenCalledWith("E4", 0.6);
+    expect(key("E 4")).toHaveClass("remote");
+    expect(key("E 4").style.getPropertyValue("--piano-remote-color")).toBe("#F06292");
+    expect(key("E 4")).toHaveAttribute("aria-pressed", "false");
+
+    rerender(<PianoKeyboard {...props} remoteNotes={[]} />);
+    expect(audioEngine.stop).toHaveBeenCalledWith("E4");
+    expect(key("E 4")).not.toHaveClass("remote");
+  });
+
+  test("doesn't cut a note a remote player is still holding", async () => {
+    const audioEngine = { play: jest.fn(), stop: jest.fn(), setSustain: jest.fn(), releaseAll: jest.fn() };
+    const { user } = renderKeyboard({ audioEngine, remoteNotes: [{ note: "G4", color: "#81C784" }] });
+    act(() => key("G 4").focus());
+    await user.keyboard("{Enter}");
+    expect(audioEngine.play).toHaveBeenCalledTimes(2);
+    expect(audioEngine.stop).not.toHaveBeenCalled();
+  });
+});
+
+describe("PianoKeyboard MIDI", () => {
+  // A stand-in for the browser's MIDIAccess. Unplugged ports stay in the maps as "disconnected",
+  // as they do in browsers.
+  function fakeMidiAccess() {
+    const access = { inputs: new Map(), outputs: new Map(), onstatechange: null };
+    const notify = (port) => access.onstatechange && act(() => access.onstatechange({ port }));
+    return {
+      access,
+      requestMidiAccess: () => Promise.resolve(access),
+      plugInput(id, name = id) {
+        const port = { id, name, state: "connected", onmidimessage: null };
+        access.inputs.set(id, port);
+        notify(port);
+        return port;
+      },
+      plugOutput(id, name = id) {
+        const port = { id, name, state: "connected", send: jest.fn() };
+        access.outputs.set(id, port);
+        notify(port);
+        return port;
+      },
+      unplug(port) {
+        port.state = "disconnected";
+        notify(port);
+      }
+    };
+  }
+
+  const receive = (port, data) => act(() => port.onmidimessage && port.onmidimessage({ data: new Uint8Array(data) }));
+  const inputSelect = () => screen.getByRole("combobox", { name: /MIDI in/ });
+  const outputSelect = () => screen.getByRole("combobox", { name: /MIDI out/ });
+
+  async function renderWithMidi(midi) {
+    const result = renderKeyboard({ midiEnabled: true, requestMidiAccess: midi.requestMidiAccess });
+    await result.user.click(screen.getByRole("button", { name: "Connect MIDI device" }));
+    await screen.findByRole("combobox", { name: /MIDI in/ });
+    return result;
+  }
+
+  test("lights keys for note-on and note-off", async () => {
+    const midi = fakeMidiAccess();
+    const input = midi.plugInput("in-1", "Keystation");
+    const { onNoteDown, onNoteUp } = await renderWithMidi(midi);
+    receive(input, [0x90, 64, 100]);
+    expect(key("E 4")).toHaveAttribute("aria-pressed", "true");
+    expect(onNoteDown).toHaveBeenCalledWith("E4", 4, 100 / 127);
+    receive(input, [0x80, 64, 64]);
+    expect(key("E 4")).toHaveAttribute("aria-pressed", "false");
+    expect(onNoteUp).toHaveBeenCalledWith("E4", 4);
+  });
+
+  test("sounds notes outside the visible range without lighting or reporting a key", async () => {
+    const midi = fakeMidiAccess();
+    const input = midi.plugInput("in-1");
+    const { onNoteDown, onNoteUp } = await renderWithMidi(midi);
+    const synth = useSynth();
+    receive(input, [0x90, 36, 127]);
+    expect(synth.play).toHaveBeenCalledWith("C2", 1);
+    receive(input, [0x80, 36, 0]);
+    expect(synth.stop).toHaveBeenCalledWith("C2");
+    expect(onNoteDown).not.toHaveBeenCalled();
+    expect(onNoteUp).not.toHaveBeenCalled();
+  });
+
+  test("treats a note-on with velocity 0 as a note-off", async () => {
+    const midi = fakeMidiAccess();
+    const input = midi.plugInput("in-1");
+    const { onNoteUp } = await renderWithMidi(midi);
+    receive(input, [0x91, 60, 90]);
+    expect(key("C 4")).toHaveAttribute("aria-pressed", "true");
+    receive(input, [0x91, 60, 0]);
+    expect(key("C 4")).toHaveAttribute("aria-pressed", "false");
+    expect(onNoteUp).toHaveBeenCalledWith("C4", 0);
+  });
+
+  test("follows the sustain pedal (CC64)", async () => {
+    const midi = fakeMidiAccess();
+    const input = midi.plugInput("in-1");
+    await renderWithMidi(midi);
+    const sustain = screen.getByRole("button", { name: /Sustain/ });
+    receive(input, [0xb0, 64, 127]);
+    expect(sustain).toHaveAttribute("aria-pressed", "true");
+    receive(input, [0xb0, 64, 0]);
+    expect(sustain).toHaveAttribute("aria-pressed", "false");
+    receive(input, [0xb0, 1, 127]); // mod wheel: ignored
+    expect(sustain).toHaveAttribute("aria-pressed", "false");
+  });
+
+  test("picks up devices plugged in and out while running", async () => {
+    const midi = fakeMidiAccess();
+    await renderWithMidi(midi);
+    expect(inputSelect()).toHaveDisplayValue("No devices connected");
+
+    const input = midi.plugInput("in-2", "Launchkey");
+    expect(screen.getByRole("option", { name: "Launchkey" })).toBeInTheDocument();
+    receive(input, [0x90, 67, 100]);
+    expect(key("G 4")).toHaveAttribute("aria-pressed", "true");
+
+    midi.unplug(input);
+    expect(screen.queryByRole("option", { name: "Launchkey" })).not.toBeInTheDocument();
+  });
+
+  test("listens only to the selected input and falls back to all inputs when it disappears", async () => {
+    const midi = fakeMidiAccess();
+    const first = midi.plugInput("in-1", "First");
+    const second = midi.plugInput("in-2", "Second");
+    const { user } = await renderWithMidi(midi);
+    await user.selectOptions(inputSelect(), await screen.findByRole("option", { name: "Second" }));
+
+    receive(first, [0x90, 60, 100]);
+    expect(key("C 4")).toHaveAttribute("aria-pressed", "false");
+    receive(second, [0x90, 62, 100]);
+    expect(key("D 4")).toHaveAttribute("aria-pressed", "true");
+
+    midi.unplug(second);
+    expect(inputSelect()).toHaveValue("all");
+    receive(first, [0x90, 60, 100]);
+    expect(key("C 4")).toHaveAttribute("aria-pressed", "true");
+  });
+
+  test("echoes notes and the pedal played here to the selected output, but not MIDI input", async () => {
+    const midi = fakeMidiAccess();
+    const input = midi.plugInput("in-1");
+    const output = midi.plugOutput("out-1", "Synth");
+    const { user } = await renderWithMidi(midi);
+    await user.selectOptions(outputSelect(), await screen.findByRole("option", { name: "Synth" }));
+
+    act(() => key("C 4").focus());
+    await user.keyboard("{Enter}");
+    expect(output.send.mock.calls).toEqual([[[0x90, 60, 127]], [[0x80, 60, 0]]]);
+
+    output.send.mockClear();
+    act(() => document.activeElement.blur());
+    await user.keyboard("[Space>][/Space]");
+    expect(output.send.mock.calls).toEqual([[[0xb0, 64, 127]], [[0xb0, 64, 0]]]);
+
+    output.send.mockClear();
+    receive(input, [0x90, 64, 100]);
+    expect(output.send).not.toHaveBeenCalled();
+
+    midi.unplug(output);
+    expect(outputSelect()).toHaveValue("");
+  });
+});
+
+describe("PianoKeyboard octave shift", () => {
+  test("Z/X move the computer keys by an octave and stop at the ends of the range", async () => {
+    const { user, onNoteDown, onNoteUp } = renderKeyboard({ from: "C3", to: "B4" });
+    const down = screen.getByRole("button", { name: "Octave down" });
+    const up = screen.getByRole("button", { name: "Octave up" });
+    expect(key("C 4")).toHaveAttribute("aria-keyshortcuts", "Q");
+    expect(up).toBeDisabled();
+
+    await user.keyboard("[KeyZ]");
+    expect(key("C 3")).toHaveAttribute("aria-keyshortcuts", "Q");
+    expect(key("C 4")).not.toHaveAttribute("aria-keyshortcuts");
+    expect(down).toBeDisabled();
+    await user.keyboard("[KeyZ]"); // already at the bottom
+    await user.keyboard("[KeyQ>]");
+    expect(onNoteDown).toHaveBeenLastCalledWith("C3", 0, 1);
+
+    // A key held across a shift still releases the note it started.
+    await user.keyboard("[KeyX][KeyX][/KeyQ]");
+    expect(onNoteUp).toHaveBeenLastCalledWith("C3", 0);
+    expect(key("C 4")).toHaveAttribute("aria-keyshortcuts", "Q");
+    expect(up).toBeDisabled();
+    await user.keyboard("[KeyQ]");
+    expect(onNoteDown).toHaveBeenLastCalledWith("C4", 12, 1);
+  });
+});
+
+describe("PianoKeyboard key binding", () => {
+  // The app's wiring: the keyboard reports bindings, useKeyLayout applies and saves them.
+  function BindingHarness(props) {
+    const { layout, bindKey } = useKeyLayout();
+    return <PianoKeyboard midiEnabled={false} keyLayout={layout} onBindKey={bindKey} bindingEditMode {...props} />;
+  }
+
+  const hint = () => document.querySelector(".piano-binding-hint");
+
+  beforeEach(() => {
+    window.localStorage.clear();
+  });
+
+  test("rebinds a key even with the computer keyboard off, and relabels it", async () => {
+    const user = userEvent.setup();
+    const { rerender } = render(<BindingHarness from="C3" to="B4" computerKeyboard={false} />);
+    expect(hint()).toHaveTextContent("Click a key from C4 to B4 to rebind it.");
+
+    act(() => key("D 4").focus());
+    await user.keyboard("{Enter}");
+    expect(hint()).toHaveTextContent("Press a computer key for D4");
+    await user.keyboard("[Space][KeyZ]"); // the pedal and octave keys are refused; still waiting
+    await user.keyboard("k");
+    expect(hint()).toHaveTextContent("Click a key");
+    rerender(<BindingHarness from="C3" to="B4" />); // labels show once the computer keyboard plays
+    expect(key("D 4")).toHaveAttribute("aria-keyshortcuts", "K");
+    expect(key("E 4")).toHaveAttribute("aria-keyshortcuts", "E");
+    expect(JSON.parse(window.localStorage.getItem("virtupiano.keyLayout")).bindings).toMatchObject({ KeyK: 2 });
+  });
+
+  test("won't start a rebind on a key outside the layout's octave", async () => {
+    const user = userEvent.setup();
+    const onBindKey = jest.fn();
+    renderKeyboard({ from: "C3", to: "B4", bindingEditMode: true, onBindKey });
+    act(() => key("C 3").focus());
+    await user.keyboard("{Enter}k");
+    expect(hint()).toHaveTextContent("Click a key from C4 to B4");
+    expect(onBindKey).not.toHaveBeenCalled();
+
+    act(() => key("C 4").focus());
+    await user.keyboard("{Escape}");
+    await user.keyboard("{Enter}{Escape}k");
+    expect(onBindKey).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,165 @@
+import React, { useRef, useState } from "react";
+import { readMidiFile, writeMidiFile } from "./smf";
+import { downloadBytes, toFileName } from "./download";
+import { renderEventsToWav } from "./offlineRender";
+import { WAV_BIT_DEPTHS } from "./wav";
+import "./Recorder.css";
+
+function formatDuration(ms) {
+  const totalSeconds = Math.round(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, "0");
+  return `${minutes}:${seconds}`;
+}
+
+/**
+ * Record / playback controls and the list of stored takes, for a `useRecorder()` state object.
+ * Takes can be exported as Standard MIDI Files (format 0 or 1) and .mid files imported as takes.
+ * They can also be rendered offline with `instrument` and the master effects to a 16/24-bit WAV file.
+ *
+ * PUBLIC_INTERFACE
+ */
+const Recorder = ({ recorder, instrument }) => {
+  const [midiFormat, setMidiFormat] = useState(1);
+  const [wavBitDepth, setWavBitDepth] = useState(16);
+  const [normalize, setNormalize] = useState(true);
+  const [renderingId, setRenderingId] = useState(null);
+  const [error, setError] = useState(null);
+  const fileInput = useRef(null);
+
+  const exportTake = (take) => {
+    const bytes = writeMidiFile(take.events, { format: midiFormat, name: take.name });
+    downloadBytes(bytes, `${toFileName(take.name)}.mid`, "audio/midi");
+  };
+
+  const exportWav = async (take) => {
+    setRenderingId(take.id);
+    setError(null);
+    try {
+      const bytes = await renderEventsToWav(take.events, {
+        instrument,
+        duration: take.duration,
+        bitDepth: wavBitDepth,
+        normalize
+      });
+      downloadBytes(bytes, `${toFileName(take.name)}.wav`, "audio/wav");
+    } catch (err) {
+      setError(`Could not render ${take.name}: ${err.message}`);
+    } finally {
+      setRenderingId(null);
+    }
+  };
+
+  const importFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ""; // allow re-importing the same file
+    if (!file) return;
+    setError(null);
+    try {
+      const song = readMidiFile(new Uint8Array(await file.arrayBuffer()));
+      if (!song.events.some((e) => e.type === "on")) throw new Error("The file contains no notes.");
+      recorder.addTake(song.events, {
+        name: song.name || file.name.replace(/\.midi?$/i, ""),
+        duration: song.duration
+      });
+    } catch (err) {
+      setError(`Could not import ${file.name}: ${err.message}`);
+    }
+  };
+
+  return (
+    <section className="recorder" aria-label="Recorder">
+      <div className="recorder-controls">
+        {recorder.recording ? (
+          <button type="button" className="recorder-btn recording" onClick={recorder.stopRecording}>
+            ■ Stop recording
+          </button>
+        ) : (
+          <button
+            type="button"
+            className="recorder-btn"
+            onClick={recorder.startRecording}
+            disabled={recorder.playingId !== null}
+          >
+            ● Record
+          </button>
+        )}
+        <label className="recorder-format">
+          Export as
+          <select value={midiFormat} onChange={(e) => setMidiFormat(Number(e.target.value))}>
+            <option value={1}>MIDI format 1</option>
+            <option value={0}>MIDI format 0</option>
+          </select>
+        </label>
+        <label className="recorder-format">
+          WAV
+          <select value={wavBitDepth} onChange={(e) => setWavBitDepth(Number(e.target.value))}>
+            {WAV_BIT_DEPTHS.map((depth) => <option key={depth} value={depth}>{depth}-bit</option>)}
+          </select>
+        </label>
+        <label className="recorder-format">
+          <input type="checkbox" checked={normalize} onChange={(e) => setNormalize(e.target.checked)} />
+          Normalize
+        </label>
+        <button type="button" className="recorder-btn" onClick={() => fileInput.current.click()}>
+          Import .mid
+        </button>
+        <input
+          ref={fileInput}
+          type="file"
+          accept=".mid,.midi,audio/midi"
+          onChange={importFile}
+          hidden
+        />
+      </div>
+      {error && <div className="recorder-error" role="alert">{error}</div>}
+
+      {recorder.takes.length > 0 && (
+        <ul className="recorder-takes">
+          {recorder.takes.map((take) => (
+            <li key={take.id} className={recorder.playingId === take.id ? "playing" : ""}>
+              <input
+                className="take-name"
+                defaultValue={take.name}
+                aria-label="Take name"
+                onBlur={(e) => e.target.value.trim() && recorder.renameTake(take.id, e.target.value.trim())}
+              />
+              <span className="take-duration">{formatDuration(take.duration)}</span>
+              {recorder.playingId === take.id ? (
+                <button type="button" className="recorder-btn" onClick={recorder.stopPlayback}>■ Stop</button>
+              ) : (
+                <button
+                  type="button"
+                  className="recorder-btn"
+                  onClick={() => recorder.playTake(take)}
+                  disabled={recorder.recording}
+                >
+                  ▶ Play
+                </button>
+              )}
+              <button type="button" className="recorder-btn" onClick={() => exportTake(take)}>.mid</button>
+              <button
+                type="button"
+                className="recorder-btn"
+                onClick={() => exportWav(take)}
+                disabled={renderingId !== null}
+              >
+                {renderingId === take.id ? "Rendering…" : ".wav"}
+              </button>
+              <button
+                type="button"
+                className="recorder-btn"
+                onClick={() => recorder.deleteTake(take.id)}
+                aria-label={`Delete ${take.name}`}
+              >
+                ✕
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+};
+
+export default Recorder;
@@ -0,0 +1,108 @@
+import React, { useRef, useState } from "react";
+import { DEMO_SONG, loadSongFile, withPlayableNotes } from "./songs";
+import "./SongMode.css";
+
+const FEEDBACK_TEXT = {
+  hit: "Hit!",
+  early: "Early",
+  late: "Late",
+  miss: "Miss",
+  wrong: "Wrong note"
+};
+
+/**
+ * Learning-mode controls for a `useSongPlayer()` state object: song loading (MIDI or JSON),
+ * start/stop, tempo, wait-for-note practice, per-note feedback and the running score.
+ * Notes beyond a piano's 88 keys are left out of a loaded song, with a warning.
+ *
+ * PUBLIC_INTERFACE
+ */
+const SongMode = ({ player }) => {
+  const [error, setError] = useState(null);
+  const [warning, setWarning] = useState(null);
+  const fileInput = useRef(null);
+  const { summary, feedback } = player;
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    setError(null);
+    setWarning(null);
+    try {
+      const { song, dropped } = withPlayableNotes(await loadSongFile(file));
+      if (!song.notes.length) throw new Error(dropped ? "None of its notes are on a piano keyboard." : "The song has no notes.");
+      if (dropped) setWarning(`${dropped} note${dropped === 1 ? "" : "s"} beyond the piano's 88 keys left out.`);
+      player.setSong(song);
+    } catch (err) {
+      setError(`Could not load ${file.name}: ${err.message}`);
+    }
+  };
+
+  return (
+    <section className="song-mode" aria-label="Learning mode">
+      <div className="song-mode-row">
+        <span className="song-title">{player.song.name}</span>
+        <button type="button" className="control-btn" onClick={() => fileInput.current.click()}>
+          Load song…
+        </button>
+        {player.song !== DEMO_SONG && (
+          <button
+            type="button"
+            className="control-btn"
+            onClick={() => {
+              setWarning(null);
+              player.setSong(DEMO_SONG);
+            }}
+          >
+            Demo song
+          </button>
+        )}
+        <input ref={fileInput} type="file" accept=".mid,.midi,.json,audio/midi,application/json" onChange={handleFile} hidden />
+      </div>
+      {error && <div className="song-error" role="alert">{error}</div>}
+      {warning && <div className="song-warning" role="status">{warning}</div>}
+
+      <div className="song-mode-row">
+        {player.playing ? (
+          <button type="button" className="control-btn active" onClick={player.stop}>■ Stop</button>
+        ) : (
+          <button type="button" className="control-btn" onClick={player.start}>▶ Start</button>
+        )}
+        <label className="control-label">
+          Tempo {Math.round(player.tempo * 100)}%
+          <input
+            type="range" min={25} max={150} step={5}
+            value={Math.round(player.tempo * 100)}
+            onChange={(e) => player.setTempo(Number(e.target.value) / 100)}
+          />
+        </label>
+        <label className="control-label">
+          <input
+            type="checkbox"
+            checked={player.waitMode}
+            onChange={(e) => player.setWaitMode(e.target.checked)}
+          />
+          Wait for correct note
+        </label>
+      </div>
+
+      <div className="song-mode-row song-score" aria-live="polite">
+        {feedback && (
+          <span key={feedback.at} className={`song-feedback ${feedback.judgement}`}>
+            {FEEDBACK_TEXT[feedback.judgement]}
+          </span>
+        )}
+        <span>Accuracy {Math.round(summary.accuracy * 100)}%</span>
+        <span className="song-counts">
+          {summary.hit} hit · {summary.early} early · {summary.late} late · {summary.miss} miss
+          {summary.wrong > 0 && ` · ${summary.wrong} wrong`}
+          {" "}({summary.judged}/{summary.total})
+        </span>
+        {player.finished && <strong>Finished!</strong>}
+      </div>
+    </section>
+  );
+};
+
+export default SongMode;
@@ -0,0 +1,59 @@
+import React from "react";
+import { KEY_NAMES, SCALES, describeNotes, identifyChord, keyPrefersFlats, spellScale } from "./theory";
+import "./TheoryPanel.css";
+
+const INVERSION_NAMES = ["Root position", "1st inversion", "2nd inversion", "3rd inversion", "4th inversion"];
+
+/**
+ * Names what is being held (chord with inversion, interval or note) and picks the key/scale overlay.
+ * `scale` is { tonic, scaleId, locked }, with scaleId "" for no overlay; changes come back through
+ * `onScaleChange(nextScale)`.
+ *
+ * PUBLIC_INTERFACE
+ */
+const TheoryPanel = ({ heldNotes, scale, onScaleChange }) => {
+  const options = scale.scaleId ? { preferFlats: keyPrefersFlats(scale.tonic, scale.scaleId) } : undefined;
+  const chord = identifyChord(heldNotes, options);
+  const description = describeNotes(heldNotes, options);
+  const update = (changes) => onScaleChange({ ...scale, ...changes });
+
+  return (
+    <section className="theory-panel" aria-label="Chord and scale">
+      <div className="theory-readout" aria-live="polite">
+        <span className="theory-name">{description || "—"}</span>
+        {chord && chord.inversion > 0 && (
+          <span className="theory-detail">{INVERSION_NAMES[chord.inversion] || "Inversion"}</span>
+        )}
+      </div>
+      <div className="theory-controls">
+        <label className="control-label">
+          Key
+          <select value={scale.tonic} onChange={(e) => update({ tonic: e.target.value })}>
+            {KEY_NAMES.map((name) => <option key={name} value={name}>{name}</option>)}
+          </select>
+        </label>
+        <label className="control-label">
+          Scale
+          <select value={scale.scaleId} onChange={(e) => update({ scaleId: e.target.value })}>
+            <option value="">None</option>
+            {SCALES.map((s) => <option key={s.id} value={s.id}>{s.name}</option>)}
+          </select>
+        </label>
+        <label className="control-label">
+          <input
+            type="checkbox"
+            checked={scale.locked}
+            disabled={!scale.scaleId}
+            onChange={(e) => update({ locked: e.target.checked })}
+          />
+          Lock out-of-scale keys
+        </label>
+      </div>
+      {scale.scaleId && (
+        <div className="theory-scale-notes">{spellScale(scale.tonic, scale.scaleId).join(" ")}</div>
+      )}
+    </section>
+  );
+};
+
+export default TheoryPanel;
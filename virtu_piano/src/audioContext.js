@@ -0,0 +1,32 @@
+// One AudioContext for the whole app: browsers cap how many can be open, and sharing it lets the
+// synth, sample loading and anything else connect nodes to each other.
+
+let sharedContext = null;
+
+// PUBLIC_INTERFACE
+/**
+ * Returns the shared AudioContext, creating it on first use and resuming it if the browser suspended it
+ * (contexts created before a user gesture start out suspended).
+ */
+export function getAudioContext() {
+  if (!sharedContext) {
+    sharedContext = new (window.AudioContext || window.webkitAudioContext)();
+  }
+  if (sharedContext.state === "suspended" && sharedContext.resume) {
+    sharedContext.resume();
+  }
+  return sharedContext;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Freezes an AudioParam at whatever value it has right now, dropping any automation still scheduled.
+ */
+export function holdParamAt(param, time) {
+  if (param.cancelAndHoldAtTime) {
+    param.cancelAndHoldAtTime(time);
+  } else {
+    param.cancelScheduledValues(time);
+    param.setValueAtTime(param.value, time);
+  }
+}
@@ -0,0 +1,25 @@
+// PUBLIC_INTERFACE
+/**
+ * Offers `bytes` (Uint8Array, ArrayBuffer or Blob) to the user as a file download.
+ */
+export function downloadBytes(bytes, filename, mimeType = "application/octet-stream") {
+  const blob = bytes instanceof Blob ? bytes : new Blob([bytes], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download before the URL goes away.
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Turns free text into something safe to use as a file name.
+ */
+export function toFileName(text, fallback = "virtupiano") {
+  const cleaned = String(text || "").trim().replace(/[^\w\- ]+/g, "").replace(/\s+/g, "-");
+  return cleaned || fallback;
+}
@@ -0,0 +1,92 @@
+// Named master-bus presets and the current master settings, persisted in localStorage.
+// A preset is { name, settings } with settings shaped like masterBus.DEFAULT_MASTER_SETTINGS.
+
+import { DEFAULT_MASTER_SETTINGS, normalizeMasterSettings } from "./masterBus";
+
+const PRESETS_KEY = "virtupiano.effectPresets";
+const SETTINGS_KEY = "virtupiano.masterSettings";
+
+function preset(name, overrides) {
+  return { name, builtin: true, settings: normalizeMasterSettings({ ...DEFAULT_MASTER_SETTINGS, ...overrides }) };
+}
+
+// PUBLIC_INTERFACE
+export const BUILTIN_EFFECT_PRESETS = [
+  preset("Dry", {}),
+  preset("Concert hall", {
+    eq: { enabled: true, low: 2, mid: -1, high: 1 },
+    reverb: { enabled: true, decay: 3.2, mix: 0.35 }
+  }),
+  preset("Small room", {
+    reverb: { enabled: true, decay: 0.8, mix: 0.2 }
+  }),
+  preset("Slapback", {
+    delay: { enabled: true, time: 0.12, feedback: 0.15, mix: 0.3 }
+  }),
+  preset("Dreamy", {
+    chorus: { enabled: true, rate: 0.6, depth: 5, mix: 0.5 },
+    delay: { enabled: true, time: 0.45, feedback: 0.45, mix: 0.25 },
+    reverb: { enabled: true, decay: 4, mix: 0.4 }
+  })
+];
+
+// PUBLIC_INTERFACE
+/**
+ * Whether `name` is taken by a built-in preset, ignoring case and surrounding spaces.
+ */
+export function isBuiltinPresetName(name) {
+  const key = String(name).trim().toLowerCase();
+  return BUILTIN_EFFECT_PRESETS.some((p) => p.name.toLowerCase() === key);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Returns the user's saved presets. Missing or corrupt storage yields an empty list, and saved
+ * presets named like a built-in one are dropped so they can't shadow or duplicate it.
+ */
+export function loadEffectPresets() {
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(PRESETS_KEY) || "[]");
+    if (!Array.isArray(parsed)) return [];
+    return parsed
+      .filter((p) => p && typeof p.name === "string" && !isBuiltinPresetName(p.name))
+      .map((p) => ({ name: p.name, settings: normalizeMasterSettings(p.settings) }));
+  } catch (e) {
+    return [];
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Replaces the user's saved presets. Returns false when storage is unavailable or full.
+ */
+export function saveEffectPresets(presets) {
+  try {
+    window.localStorage.setItem(PRESETS_KEY, JSON.stringify(presets.map(({ name, settings }) => ({ name, settings }))));
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Restores the master settings in use last time, or the defaults.
+ */
+export function loadMasterSettings() {
+  try {
+    return normalizeMasterSettings(JSON.parse(window.localStorage.getItem(SETTINGS_KEY) || "null"));
+  } catch (e) {
+    return normalizeMasterSettings(null);
+  }
+}
+
+// PUBLIC_INTERFACE
+export function saveMasterSettings(settings) {
+  try {
+    window.localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
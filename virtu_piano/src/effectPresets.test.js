@@ -0,0 +1,58 @@
+import {
+  BUILTIN_EFFECT_PRESETS,
+  isBuiltinPresetName,
+  loadEffectPresets,
+  loadMasterSettings,
+  saveEffectPresets,
+  saveMasterSettings
+} from "./effectPresets";
+import { DEFAULT_MASTER_SETTINGS } from "./masterBus";
+
+const loud = { ...DEFAULT_MASTER_SETTINGS, volume: 1 };
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+describe("effect presets", () => {
+  test("saves and loads the user's presets, without their built-in flag", () => {
+    expect(saveEffectPresets([{ name: "Loud", settings: loud, builtin: true }])).toBe(true);
+    expect(loadEffectPresets()).toEqual([{ name: "Loud", settings: loud }]);
+    saveEffectPresets([]);
+    expect(loadEffectPresets()).toEqual([]);
+  });
+
+  test("drops saved presets named like a built-in one", () => {
+    window.localStorage.setItem(
+      "virtupiano.effectPresets",
+      JSON.stringify([{ name: "Dry", settings: loud }, { name: " small ROOM ", settings: loud }, { name: "Mine", settings: loud }])
+    );
+    expect(loadEffectPresets().map((p) => p.name)).toEqual(["Mine"]);
+    expect(isBuiltinPresetName("concert hall")).toBe(true);
+    expect(isBuiltinPresetName("Hall")).toBe(false);
+  });
+
+  test("survives corrupt storage", () => {
+    window.localStorage.setItem("virtupiano.effectPresets", "{oops");
+    expect(loadEffectPresets()).toEqual([]);
+    window.localStorage.setItem("virtupiano.effectPresets", JSON.stringify({ name: "Not a list" }));
+    expect(loadEffectPresets()).toEqual([]);
+    window.localStorage.setItem("virtupiano.effectPresets", JSON.stringify([null, { name: 3 }, { name: "Bare" }]));
+    expect(loadEffectPresets()).toEqual([{ name: "Bare", settings: DEFAULT_MASTER_SETTINGS }]);
+  });
+
+  test("ships built-ins within the settings' ranges", () => {
+    expect(BUILTIN_EFFECT_PRESETS.map((p) => p.name)).toEqual(["Dry", "Concert hall", "Small room", "Slapback", "Dreamy"]);
+    expect(BUILTIN_EFFECT_PRESETS[1].settings.reverb).toEqual({ enabled: true, decay: 3.2, mix: 0.35 });
+  });
+});
+
+describe("master settings", () => {
+  test("restores the last settings, or the defaults", () => {
+    expect(loadMasterSettings()).toEqual(DEFAULT_MASTER_SETTINGS);
+    saveMasterSettings(loud);
+    expect(loadMasterSettings()).toEqual(loud);
+    window.localStorage.setItem("virtupiano.masterSettings", "not json");
+    expect(loadMasterSettings()).toEqual(DEFAULT_MASTER_SETTINGS);
+  });
+});
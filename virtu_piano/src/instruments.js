@@ -0,0 +1,309 @@
+// Instruments are the sound sources behind the synth engine's play/stop (see synthEngine.js).
+//
+// An instrument is { id, name, envelope?, load?(ctx), createVoice(ctx, params) }.
+// `createVoice` builds the nodes for one note and returns a voice:
+//   { output, start(time), release(time), stop(time), onEnded(callback) }
+// or null when it cannot play yet (e.g. samples still loading). The engine connects `output` through
+// its own amplitude envelope, so instruments only shape timbre.
+
+import { holdParamAt } from "./audioContext";
+import { noteNameToMidi } from "./notes";
+
+// PUBLIC_INTERFACE
+export const WAVEFORMS = ["sine", "triangle", "square", "sawtooth"];
+
+// PUBLIC_INTERFACE
+/**
+ * Builds an oscillator-based instrument.
+ * Options: `waveform`, `unison` (oscillators per note), `detune` (total spread in cents across the
+ * unison voices) and an optional `filter` { type, cutoff, q, amount, attack, decay, sustain, release }
+ * whose cutoff sweeps up by `amount` Hz (scaled by velocity) and settles back on release.
+ */
+export function createSynthInstrument({
+  id,
+  name,
+  waveform = "triangle",
+  unison = 1,
+  detune = 0,
+  filter = null,
+  envelope
+}) {
+  return {
+    id,
+    name,
+    kind: "synth",
+    options: { waveform, unison, detune, filter },
+    envelope,
+    createVoice(ctx, { frequency, velocity, time }) {
+      const output = ctx.createGain();
+      let filterNode = null;
+      if (filter) {
+        filterNode = ctx.createBiquadFilter();
+        filterNode.type = filter.type || "lowpass";
+        filterNode.Q.value = filter.q || 0.7;
+        const peak = filter.cutoff + filter.amount * velocity;
+        const freq = filterNode.frequency;
+        freq.setValueAtTime(filter.cutoff, time);
+        freq.linearRampToValueAtTime(peak, time + filter.attack);
+        freq.linearRampToValueAtTime(filter.cutoff + (peak - filter.cutoff) * filter.sustain, time + filter.attack + filter.decay);
+        filterNode.connect(output);
+      }
+
+      // Equal-power-ish mix so thicker unison stacks don't get louder.
+      const mix = ctx.createGain();
+      mix.gain.value = 1 / Math.sqrt(unison);
+      mix.connect(filterNode || output);
+
+      const oscillators = [];
+      for (let i = 0; i < unison; i++) {
+        const osc = ctx.createOscillator();
+        osc.type = waveform;
+        osc.frequency.value = frequency;
+        osc.detune.value = unison > 1 ? detune * (i / (unison - 1) - 0.5) : 0;
+        osc.connect(mix);
+        oscillators.push(osc);
+      }
+
+      return {
+        output,
+        start(when) {
+          oscillators.forEach((osc) => osc.start(when));
+        },
+        release(when) {
+          if (!filterNode) return;
+          holdParamAt(filterNode.frequency, when);
+          filterNode.frequency.setTargetAtTime(filter.cutoff, when, filter.release / 5);
+        },
+        stop(when) {
+          oscillators.forEach((osc) => osc.stop(when));
+        },
+        onEnded(callback) {
+          oscillators[0].onended = callback;
+        }
+      };
+    }
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Finds the note name in a sample file name, e.g. "Piano.mf.C#4.wav" -> "C#4". Returns null if none.
+ */
+export function noteFromFileName(fileName) {
+  const base = fileName.replace(/\.[^.]+$/, "");
+  const matches = base.match(/[A-G][#b]?-?\d/g);
+  return matches ? matches[matches.length - 1] : null;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Picks the zone whose root note is closest to `midi` (ties go to the lower root, so the sample is
+ * pitched up rather than down).
+ */
+export function nearestZone(zones, midi) {
+  let best = null;
+  zones.forEach((zone) => {
+    const distance = Math.abs(zone.midi - midi);
+    if (!best || distance < Math.abs(best.midi - midi) ||
+        (distance === Math.abs(best.midi - midi) && zone.midi < best.midi)) {
+      best = zone;
+    }
+  });
+  return best;
+}
+
+// Fetches a zone's audio as an ArrayBuffer.
+function fetchZoneData(zone) {
+  if (zone.data) return Promise.resolve(zone.data);
+  if (zone.file) return zone.file.arrayBuffer();
+  return window.fetch(zone.url).then((res) => {
+    if (!res.ok) throw new Error(`Could not load ${zone.url} (${res.status})`);
+    return res.arrayBuffer();
+  });
+}
+
+// decodeAudioData only got its promise form recently; Safari still needs the callbacks.
+function decode(ctx, data) {
+  return new Promise((resolve, reject) => {
+    const result = ctx.decodeAudioData(data, resolve, reject);
+    if (result && result.then) result.then(resolve, reject);
+  });
+}
+
+const WAV_LOOP_OFFSET = 36; // first loop record within a "smpl" chunk
+const WAV_LOOP_SIZE = 24;
+
+// PUBLIC_INTERFACE
+/**
+ * Reads the first loop of a WAV file's sampler ("smpl") chunk as { start, end } in seconds.
+ * Returns null for anything else: other formats, or WAVs saved without a loop.
+ */
+export function readWavLoop(data) {
+  if (Object.prototype.toString.call(data) !== "[object ArrayBuffer]" || data.byteLength < 12) return null;
+  const view = new DataView(data);
+  const tag = (offset) => String.fromCharCode(...new Uint8Array(data, offset, 4));
+  if (tag(0) !== "RIFF" || tag(8) !== "WAVE") return null;
+  let sampleRate = 0;
+  let frames = null;
+  for (let offset = 12; offset + 8 <= data.byteLength;) {
+    const size = view.getUint32(offset + 4, true);
+    const body = offset + 8;
+    if (tag(offset) === "fmt " && body + 8 <= data.byteLength) sampleRate = view.getUint32(body + 4, true);
+    const loop = body + WAV_LOOP_OFFSET;
+    if (tag(offset) === "smpl" && loop + WAV_LOOP_SIZE <= data.byteLength && view.getUint32(body + 28, true) > 0) {
+      // Frame numbers; the end frame is the last one played.
+      frames = { start: view.getUint32(loop + 8, true), end: view.getUint32(loop + 12, true) + 1 };
+    }
+    offset = body + size + (size % 2); // chunks are padded to an even length
+  }
+  if (!frames || !sampleRate || frames.end <= frames.start) return null;
+  return { start: frames.start / sampleRate, end: frames.end / sampleRate };
+}
+
+const SAMPLE_ENVELOPE = { attack: 0.005, decay: 0, sustain: 1, release: 0.4 };
+
+// PUBLIC_INTERFACE
+/**
+ * Builds a multi-sampled instrument. Each zone is { root: "C4", url | file | data, loop? }.
+ * Notes play the nearest zone, pitch-shifted by playback rate. Call `load(ctx)` before playing;
+ * it decodes every zone once and can be awaited for progress/error reporting.
+ * A zone's `loop` ({ start, end } in seconds, or else the loop saved in a WAV file) repeats while the
+ * note is held, so long notes outlast the sample; zones without one play through once.
+ */
+export function createSampleInstrument({ id, name, zones, envelope = SAMPLE_ENVELOPE }) {
+  let decoded = [];
+  let loading = null;
+  const instrument = {
+    id,
+    name,
+    kind: "sample",
+    envelope,
+    loaded: false,
+    load(ctx) {
+      if (!loading) {
+        // Each attempt decodes into its own list, so zones from a failed attempt (including ones
+        // still arriving after it failed) never mix with a retry's.
+        const buffers = [];
+        loading = Promise.all(
+          zones.map((zone) =>
+            fetchZoneData(zone).then((data) => {
+              // Read before decoding, which may detach the buffer.
+              const loop = zone.loop || readWavLoop(data);
+              return decode(ctx, data).then((buffer) => buffers.push({ midi: noteNameToMidi(zone.root), buffer, loop }));
+            })
+          )
+        ).then(() => {
+          decoded = buffers;
+          instrument.loaded = true;
+          return instrument;
+        });
+        // Let a failed load be retried.
+        loading.catch(() => {
+          loading = null;
+        });
+      }
+      return loading;
+    },
+    createVoice(ctx, { midi, time }) {
+      if (!instrument.loaded || !decoded.length) return null;
+      const zone = nearestZone(decoded, midi);
+      const source = ctx.createBufferSource();
+      source.buffer = zone.buffer;
+      if (zone.loop) {
+        source.loop = true;
+        source.loopStart = zone.loop.start;
+        source.loopEnd = zone.loop.end;
+      }
+      source.playbackRate.setValueAtTime(Math.pow(2, (midi - zone.midi) / 12), time);
+      return {
+        output: source,
+        start(when) {
+          source.start(when);
+        },
+        release() {},
+        stop(when) {
+          source.stop(when);
+        },
+        onEnded(callback) {
+          source.onended = callback;
+        }
+      };
+    }
+  };
+  return instrument;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Builds a sample instrument from user-chosen audio files; each file name must contain its root note.
+ * Throws when no file name carries a note.
+ */
+export function sampleInstrumentFromFiles(files, name = "Local samples") {
+  const zones = Array.from(files)
+    .map((file) => ({ root: noteFromFileName(file.name), file }))
+    .filter((zone) => zone.root);
+  if (!zones.length) {
+    throw new Error("Sample file names must include their note, e.g. \"piano-C4.wav\".");
+  }
+  return createSampleInstrument({ id: `local-${Date.now()}`, name, zones });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Loads a sample set hosted at `baseUrl`, described by its "manifest.json":
+ *   { "name": "...", "envelope": {...}?, "samples": { "C4": "C4.ogg", ... } }
+ * A sample may also be { "file": "C4.ogg", "loop": { "start": 0.8, "end": 1.6 } } to give its loop.
+ */
+export function loadSampleManifest(baseUrl, id) {
+  const base = baseUrl.endsWith("/") ? baseUrl : `${baseUrl}/`;
+  return window.fetch(`${base}manifest.json`).then((res) => {
+    if (!res.ok) throw new Error(`Sample set not found at ${base} (${res.status})`);
+    // Dev servers answer unknown paths with index.html, which fails to parse as JSON.
+    return res.json().catch(() => {
+      throw new Error(`No sample manifest at ${base}manifest.json`);
+    });
+  }).then((manifest) => createSampleInstrument({
+    id: id || base,
+    name: manifest.name || base,
+    envelope: manifest.envelope,
+    zones: Object.keys(manifest.samples || {}).map((root) => {
+      const sample = manifest.samples[root];
+      return typeof sample === "string"
+        ? { root, url: base + sample }
+        : { root, url: base + sample.file, loop: sample.loop };
+    })
+  }));
+}
+
+// PUBLIC_INTERFACE
+export const BUILTIN_INSTRUMENTS = [
+  createSynthInstrument({ id: "classic", name: "Classic (triangle)", waveform: "triangle" }),
+  createSynthInstrument({
+    id: "warm-pad",
+    name: "Warm pad",
+    waveform: "sawtooth",
+    unison: 3,
+    detune: 18,
+    filter: { type: "lowpass", cutoff: 500, q: 1, amount: 1800, attack: 0.25, decay: 0.6, sustain: 0.4, release: 0.6 },
+    envelope: { attack: 0.12, decay: 0.3, sustain: 0.85, release: 0.7 }
+  }),
+  createSynthInstrument({
+    id: "bright-lead",
+    name: "Bright lead",
+    waveform: "square",
+    unison: 2,
+    detune: 10,
+    filter: { type: "lowpass", cutoff: 900, q: 4, amount: 3500, attack: 0.01, decay: 0.25, sustain: 0.3, release: 0.2 }
+  }),
+  createSynthInstrument({
+    id: "soft-keys",
+    name: "Soft keys (sine)",
+    waveform: "sine",
+    unison: 2,
+    detune: 6,
+    envelope: { attack: 0.005, decay: 0.5, sustain: 0.55, release: 0.45 }
+  })
+];
+
+// PUBLIC_INTERFACE
+export const DEFAULT_INSTRUMENT = BUILTIN_INSTRUMENTS[0];
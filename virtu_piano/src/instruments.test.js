@@ -0,0 +1,202 @@
+import {
+  createSampleInstrument,
+  loadSampleManifest,
+  nearestZone,
+  noteFromFileName,
+  readWavLoop,
+  sampleInstrumentFromFiles
+} from "./instruments";
+
+describe("noteFromFileName", () => {
+  test.each([
+    ["C4.wav", "C4"],
+    ["Piano.mf.C#4.wav", "C#4"],
+    ["piano-Bb2.ogg", "Bb2"],
+    ["sub-C-1.wav", "C-1"],
+    ["Grand A0 soft.wav", "A0"],
+    // The last note-like match wins, so a set name with a note in it doesn't confuse things.
+    ["E2-Piano-G5.wav", "G5"]
+  ])("%s -> %s", (fileName, note) => {
+    expect(noteFromFileName(fileName)).toBe(note);
+  });
+
+  test("returns null without a note", () => {
+    expect(noteFromFileName("kick.wav")).toBeNull();
+    expect(noteFromFileName("piano-h4.wav")).toBeNull();
+  });
+
+  test("ignores the extension", () => {
+    expect(noteFromFileName("E3.A4")).toBe("E3");
+  });
+});
+
+describe("nearestZone", () => {
+  const zones = [{ midi: 48 }, { midi: 60 }, { midi: 66 }];
+
+  test("picks the closest root", () => {
+    expect(nearestZone(zones, 60)).toBe(zones[1]);
+    expect(nearestZone(zones, 40)).toBe(zones[0]);
+    expect(nearestZone(zones, 65)).toBe(zones[2]);
+    expect(nearestZone(zones, 100)).toBe(zones[2]);
+  });
+
+  test("breaks ties towards the lower root", () => {
+    expect(nearestZone(zones, 54)).toBe(zones[0]);
+    expect(nearestZone(zones, 63)).toBe(zones[1]);
+    expect(nearestZone([zones[2], zones[1]], 63)).toBe(zones[1]);
+  });
+
+  test("returns null without zones", () => {
+    expect(nearestZone([], 60)).toBeNull();
+  });
+});
+
+// A header-only WAV file: "fmt " and, given `loop` ([first, last] frame), a "smpl" chunk with one loop.
+function wav({ rate, loop, pad = false }) {
+  const chunks = [["fmt ", 16, (view, body) => view.setUint32(body + 4, rate, true)]];
+  if (pad) chunks.unshift(["LIST", 3, () => {}]);
+  if (loop) {
+    chunks.push(["smpl", 60, (view, body) => {
+      view.setUint32(body + 28, 1, true);
+      view.setUint32(body + 44, loop[0], true);
+      view.setUint32(body + 48, loop[1], true);
+    }]);
+  }
+  const length = chunks.reduce((total, [, size]) => total + 8 + size + (size % 2), 12);
+  const buffer = new ArrayBuffer(length);
+  const view = new DataView(buffer);
+  const write = (offset, text) => [...text].forEach((c, i) => view.setUint8(offset + i, c.charCodeAt(0)));
+  write(0, "RIFF");
+  view.setUint32(4, length - 8, true);
+  write(8, "WAVE");
+  let offset = 12;
+  chunks.forEach(([id, size, fill]) => {
+    write(offset, id);
+    view.setUint32(offset + 4, size, true);
+    fill(view, offset + 8);
+    offset += 8 + size + (size % 2);
+  });
+  return buffer;
+}
+
+describe("sample instruments", () => {
+  // Decodes each zone's `data` to "<data>@<tag>", failing for anything in `failing`.
+  function stubContext(failing = new Set(), tag = "ctx") {
+    return {
+      decodeAudioData: (data, resolve, reject) =>
+        failing.has(data) ? reject(new Error(`bad ${data}`)) : resolve(`${data}@${tag}`),
+      createBufferSource: () => ({ buffer: null, playbackRate: { setValueAtTime: jest.fn() } })
+    };
+  }
+
+  test("plays the nearest zone once loaded", async () => {
+    const instrument = createSampleInstrument({
+      id: "test",
+      name: "Test",
+      zones: [{ root: "C4", data: "c4" }, { root: "C5", data: "c5" }]
+    });
+    expect(instrument.createVoice(stubContext(), { midi: 60, time: 0 })).toBeNull();
+    await instrument.load(stubContext());
+    expect(instrument.createVoice(stubContext(), { midi: 70, time: 0 }).output.buffer).toBe("c5@ctx");
+  });
+
+  test("retries from scratch after a failed load", async () => {
+    const instrument = createSampleInstrument({
+      id: "test",
+      name: "Test",
+      zones: [{ root: "C4", data: "c4" }, { root: "C5", data: "c5" }]
+    });
+    await expect(instrument.load(stubContext(new Set(["c5"]), "first"))).rejects.toThrow("bad c5");
+    expect(instrument.loaded).toBe(false);
+
+    const ctx = stubContext(new Set(), "retry");
+    await instrument.load(ctx);
+    expect(instrument.loaded).toBe(true);
+    // Only the retry's buffers are used, not the C4 decoded by the failed attempt.
+    expect(instrument.createVoice(ctx, { midi: 60, time: 0 }).output.buffer).toBe("c4@retry");
+    expect(instrument.createVoice(ctx, { midi: 72, time: 0 }).output.buffer).toBe("c5@retry");
+  });
+
+  test("loops a zone's sustain section while the note is held", async () => {
+    const instrument = createSampleInstrument({
+      id: "test",
+      name: "Test",
+      zones: [{ root: "C4", data: "c4", loop: { start: 0.5, end: 1.25 } }, { root: "C5", data: "c5" }]
+    });
+    await instrument.load(stubContext());
+    expect(instrument.createVoice(stubContext(), { midi: 60, time: 0 }).output).toMatchObject({
+      loop: true,
+      loopStart: 0.5,
+      loopEnd: 1.25
+    });
+    expect(instrument.createVoice(stubContext(), { midi: 72, time: 0 }).output.loop).toBeUndefined();
+  });
+
+  test("picks up the loop saved in a WAV file", async () => {
+    const data = wav({ rate: 1000, loop: [200, 799] });
+    const ctx = { ...stubContext(), decodeAudioData: (buffer, resolve) => resolve("decoded") };
+    const instrument = createSampleInstrument({ id: "test", name: "Test", zones: [{ root: "C4", data }] });
+    await instrument.load(ctx);
+    expect(instrument.createVoice(ctx, { midi: 60, time: 0 }).output).toMatchObject({ loopStart: 0.2, loopEnd: 0.8 });
+  });
+
+  test("refuse files without a note in their name", () => {
+    expect(() => sampleInstrumentFromFiles([{ name: "kick.wav" }])).toThrow("Sample file names must include their note");
+  });
+});
+
+describe("readWavLoop", () => {
+  test("reads the first loop in seconds, its last frame included", () => {
+    expect(readWavLoop(wav({ rate: 48000, loop: [24000, 71999] }))).toEqual({ start: 0.5, end: 1.5 });
+  });
+
+  test("steps over odd-sized chunks", () => {
+    expect(readWavLoop(wav({ rate: 1000, loop: [0, 499], pad: true }))).toEqual({ start: 0, end: 0.5 });
+  });
+
+  test("returns null without a loop or for other data", () => {
+    expect(readWavLoop(wav({ rate: 44100 }))).toBeNull();
+    expect(readWavLoop(wav({ rate: 1000, loop: [500, 100] }))).toBeNull();
+    expect(readWavLoop(new ArrayBuffer(64))).toBeNull();
+    expect(readWavLoop("c4")).toBeNull();
+  });
+});
+
+describe("loadSampleManifest", () => {
+  const originalFetch = window.fetch;
+  afterEach(() => {
+    window.fetch = originalFetch;
+  });
+
+  test("builds zones from plain and looped manifest entries", async () => {
+    const requested = [];
+    window.fetch = (url) => {
+      requested.push(url);
+      if (url.endsWith("manifest.json")) {
+        return Promise.resolve({
+          ok: true,
+          json: () => Promise.resolve({
+            name: "Piano",
+            samples: { C4: "C4.ogg", C5: { file: "C5.ogg", loop: { start: 1, end: 2 } } }
+          })
+        });
+      }
+      return Promise.resolve({ ok: true, arrayBuffer: () => Promise.resolve(url) });
+    };
+    const instrument = await loadSampleManifest("https://example.test/piano", "piano");
+    expect(instrument).toMatchObject({ id: "piano", name: "Piano", kind: "sample" });
+
+    const ctx = {
+      decodeAudioData: (data, resolve) => resolve(data),
+      createBufferSource: () => ({ playbackRate: { setValueAtTime: jest.fn() } })
+    };
+    await instrument.load(ctx);
+    expect(requested.slice(1).sort()).toEqual(["https://example.test/piano/C4.ogg", "https://example.test/piano/C5.ogg"]);
+    expect(instrument.createVoice(ctx, { midi: 72, time: 0 }).output).toMatchObject({
+      buffer: "https://example.test/piano/C5.ogg",
+      loop: true,
+      loopStart: 1,
+      loopEnd: 2
+    });
+  });
+});
@@ -0,0 +1,219 @@
+// Jam session client: sends the notes played here to a relay (server/jam-relay.js, which documents
+// the messages) and hands back the notes other participants play.
+//
+// Latency compensation: each note carries the time it was played, in the relay's clock. Clients
+// estimate their offset to that clock from ping/pong round trips, and play a remote note at its
+// original time plus a fixed playout delay. Network jitter smaller than the delay then disappears:
+// chords stay together and rhythms keep their shape, at the cost of hearing everyone a constant
+// `playoutDelay` late. Notes arriving after their slot play at once, and no note waits longer than
+// the delay, so a bad clock estimate can't hold notes back. Until the first round trip, notes go out
+// without a time (the relay stamps them) and incoming ones simply wait out the delay.
+//
+// The socket class, clock and timers can be swapped, so the client runs in Node and against fakes.
+
+// PUBLIC_INTERFACE
+export const DEFAULT_RELAY_URL = "ws://localhost:8787";
+
+// PUBLIC_INTERFACE
+/**
+ * Default playout delay in ms: enough for typical jitter on a local network.
+ */
+export const DEFAULT_PLAYOUT_DELAY = 60;
+
+const SYNC_INTERVAL = 1000; // ms between clock-sync pings
+const SYNC_SAMPLES = 8; // round trips remembered; the fastest one gives the offset
+
+const defaultClock = { now: () => performance.now() };
+
+const defaultTimers = {
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (id) => clearTimeout(id),
+  setInterval: (fn, ms) => setInterval(fn, ms),
+  clearInterval: (id) => clearInterval(id)
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Clock sync from one ping/pong: `sent` and `received` in the local clock, `serverTime` in the
+ * relay's. Assumes the reply took half the round trip. Returns { offset, roundTrip } where
+ * relay time = local time + offset.
+ */
+export function clockSample(sent, serverTime, received) {
+  const roundTrip = received - sent;
+  return { offset: serverTime - (sent + roundTrip / 2), roundTrip };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Local clock time at which a remote note played at relay time `time` should sound.
+ */
+export function localPlayTime(time, offset, playoutDelay) {
+  return time - offset + playoutDelay;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Connects to the relay at `url` and joins as `name` (with an optional "#rrggbb" `color`).
+ * Callbacks:
+ *   onStatus(status, error)     "connecting", "connected", "closed" or "error"
+ *   onParticipants(list, selfId) everyone in the session, [{ id, name, color, latency }]
+ *   onRemoteNote({ from, action, note, velocity })  at the note's compensated time; "up" is also
+ *                                sent for notes still held by someone who leaves
+ * Returns { noteDown(note, velocity), noteUp(note), setPlayoutDelay(ms), close(), latency, selfId }.
+ */
+export function createJamClient({
+  url = DEFAULT_RELAY_URL,
+  name,
+  color,
+  playoutDelay = DEFAULT_PLAYOUT_DELAY,
+  onStatus,
+  onParticipants,
+  onRemoteNote,
+  WebSocket = window.WebSocket,
+  clock = defaultClock,
+  timers = defaultTimers
+}) {
+  let selfId = null;
+  let closed = false; // closed here, or already reported as closed or failed
+  let delay = playoutDelay;
+  let samples = [];
+  let offset = 0;
+  let reportedLatency = null;
+  let nextPingId = 1;
+  let syncTimer = null;
+  const pending = new Set(); // timeouts of remote notes waiting for their slot
+  const remoteHeld = new Map(); // participant id -> Set of notes they hold
+
+  const status = (value, error) => {
+    if (onStatus) onStatus(value, error);
+  };
+
+  const socket = new WebSocket(url);
+  status("connecting");
+
+  const send = (message) => {
+    if (socket.readyState === 1 /* OPEN */) socket.send(JSON.stringify(message));
+  };
+
+  const ping = () => send({ type: "ping", id: nextPingId++, sent: clock.now() });
+
+  const emitNote = (event) => {
+    const held = remoteHeld.get(event.from) || new Set();
+    if (event.action === "down") held.add(event.note);
+    else held.delete(event.note);
+    remoteHeld.set(event.from, held);
+    if (onRemoteNote) onRemoteNote(event);
+  };
+
+  const handlePong = (message) => {
+    samples = [...samples, clockSample(message.sent, message.serverTime, clock.now())].slice(-SYNC_SAMPLES);
+    // The fastest round trip is the one least skewed by queueing, so it gives the best offset.
+    const best = samples.reduce((a, b) => (b.roundTrip < a.roundTrip ? b : a));
+    offset = best.offset;
+    const latency = Math.round(best.roundTrip / 2);
+    if (latency !== reportedLatency) {
+      reportedLatency = latency;
+      send({ type: "latency", latency });
+    }
+  };
+
+  const handleNote = (message) => {
+    const event = { from: message.from, action: message.action, note: message.note, velocity: message.velocity };
+    const wait = samples.length ? Math.min(delay, localPlayTime(message.time, offset, delay) - clock.now()) : delay;
+    if (wait <= 0) {
+      emitNote(event);
+      return;
+    }
+    const timer = timers.setTimeout(() => {
+      pending.delete(timer);
+      emitNote(event);
+    }, wait);
+    pending.add(timer);
+  };
+
+  // Lets go of notes held by participants who are no longer in the session.
+  const handleParticipants = (participants) => {
+    const present = new Set(participants.map((p) => p.id));
+    remoteHeld.forEach((notes, from) => {
+      if (present.has(from)) return;
+      remoteHeld.delete(from);
+      notes.forEach((note) => onRemoteNote && onRemoteNote({ from, action: "up", note, velocity: 0 }));
+    });
+    if (onParticipants) onParticipants(participants, selfId);
+  };
+
+  socket.onopen = () => {
+    send({ type: "hello", name, color });
+    ping();
+    syncTimer = timers.setInterval(ping, SYNC_INTERVAL);
+  };
+
+  socket.onmessage = (e) => {
+    let message;
+    try {
+      message = JSON.parse(e.data);
+    } catch (err) {
+      return;
+    }
+    if (!message) return;
+    if (message.type === "welcome") {
+      selfId = message.id;
+      status("connected");
+      handleParticipants(message.participants);
+    } else if (message.type === "participants") {
+      handleParticipants(message.participants);
+    } else if (message.type === "note" && message.from !== selfId) {
+      handleNote(message);
+    } else if (message.type === "pong") {
+      handlePong(message);
+    }
+  };
+
+  const stop = () => {
+    if (syncTimer !== null) timers.clearInterval(syncTimer);
+    syncTimer = null;
+    pending.forEach((timer) => timers.clearTimeout(timer));
+    pending.clear();
+  };
+
+  socket.onerror = () => {
+    stop();
+    if (!closed) status("error", new Error(`Could not reach the jam relay at ${url}`));
+    closed = true;
+  };
+
+  socket.onclose = () => {
+    stop();
+    if (!closed) status("closed");
+    closed = true;
+  };
+
+  // Time stamps go out in the relay's clock, so every receiver can place the note on its own timeline.
+  const sendNote = (action, note, velocity) =>
+    send({ type: "note", action, note, velocity, time: samples.length ? clock.now() + offset : undefined });
+
+  return {
+    get selfId() {
+      return selfId;
+    },
+    get latency() {
+      return reportedLatency;
+    },
+    noteDown(note, velocity = 1) {
+      sendNote("down", note, velocity);
+    },
+    noteUp(note) {
+      sendNote("up", note, 0);
+    },
+    setPlayoutDelay(ms) {
+      delay = ms;
+    },
+    close() {
+      if (closed) return;
+      closed = true;
+      stop();
+      status("closed");
+      socket.close();
+    }
+  };
+}
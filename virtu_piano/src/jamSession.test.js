@@ -0,0 +1,147 @@
+/**
+ * @jest-environment node
+ */
+import WebSocket from "ws";
+import { startJamRelay } from "../server/jam-relay";
+import { clockSample, createJamClient, localPlayTime } from "./jamSession";
+
+describe("jam session clock", () => {
+  test("estimates the relay clock offset from a round trip", () => {
+    // Sent at 1000 local, relay answered at 5020 on its clock, reply back at 1040: 20 ms each way.
+    expect(clockSample(1000, 5020, 1040)).toEqual({ offset: 4000, roundTrip: 40 });
+  });
+
+  test("plays remote notes at their original time plus the playout delay", () => {
+    expect(localPlayTime(5100, 4000, 60)).toBe(1160);
+  });
+});
+
+describe("jam session over the relay", () => {
+  let relay;
+  let clients;
+
+  beforeEach(async () => {
+    relay = await startJamRelay({ port: 0 });
+    clients = [];
+  });
+
+  afterEach(async () => {
+    clients.forEach((c) => c.client.close());
+    await relay.close();
+  });
+
+  // Joins and resolves once the relay has welcomed the client; records everything it hears.
+  function join(name, color) {
+    const heard = { notes: [], participants: [] };
+    return new Promise((resolve, reject) => {
+      const client = createJamClient({
+        url: `ws://127.0.0.1:${relay.port}`,
+        name,
+        color,
+        playoutDelay: 0,
+        WebSocket,
+        onStatus: (status, err) => {
+          if (status === "connected") resolve(entry);
+          if (status === "error") reject(err);
+        },
+        onParticipants: (list) => {
+          heard.participants = list;
+        },
+        onRemoteNote: (event) => heard.notes.push(event)
+      });
+      const entry = { client, heard };
+      clients.push(entry);
+    });
+  }
+
+  function waitFor(check) {
+    return new Promise((resolve, reject) => {
+      const started = Date.now();
+      const poll = () => {
+        if (check()) resolve();
+        else if (Date.now() - started > 2000) reject(new Error("timed out"));
+        else setTimeout(poll, 10);
+      };
+      poll();
+    });
+  }
+
+  test("lists participants with their colours, keeping colours distinct", async () => {
+    const ann = await join("Ann", "#F06292");
+    const bob = await join("Bob", "#f06292");
+    await waitFor(() => ann.heard.participants.length === 2);
+    expect(bob.heard.participants.map((p) => p.name)).toEqual(["Ann", "Bob"]);
+    const [annColor, bobColor] = bob.heard.participants.map((p) => p.color);
+    expect(annColor).toBe("#F06292");
+    expect(bobColor).not.toBe(annColor);
+  });
+
+  test("relays notes to the other players only", async () => {
+    const ann = await join("Ann");
+    const bob = await join("Bob");
+    ann.client.noteDown("C4", 0.7);
+    ann.client.noteUp("C4");
+    await waitFor(() => bob.heard.notes.length === 2);
+    expect(bob.heard.notes).toEqual([
+      { from: ann.client.selfId, action: "down", note: "C4", velocity: 0.7 },
+      { from: ann.client.selfId, action: "up", note: "C4", velocity: 0 }
+    ]);
+    expect(ann.heard.notes).toEqual([]);
+  });
+
+  // A bare socket that joins as `name` and records every message the relay sends it.
+  function joinRaw(name) {
+    const socket = new WebSocket(`ws://127.0.0.1:${relay.port}`);
+    const heard = [];
+    socket.on("message", (data) => heard.push(JSON.parse(data)));
+    return new Promise((resolve) => {
+      socket.on("open", () => {
+        socket.send(JSON.stringify({ type: "hello", name }));
+        waitFor(() => heard.some((m) => m.type === "welcome")).then(() => resolve({ socket, heard }));
+      });
+      clients.push({ client: { close: () => socket.close() } });
+    });
+  }
+
+  test("drops notes it can't name and clamps velocities", async () => {
+    const ann = await joinRaw("Ann");
+    const bob = await joinRaw("Bob");
+    const note = (fields) => ann.socket.send(JSON.stringify({ type: "note", action: "down", time: 1, ...fields }));
+    note({ note: "H4", velocity: 0.5 });
+    note({ note: { toString: "C4" }, velocity: 0.5 });
+    note({ note: "C4<script>", velocity: 0.5 });
+    note({ note: "F#3", velocity: 7 });
+    note({ note: "Bb2", velocity: -1 });
+    await waitFor(() => bob.heard.filter((m) => m.type === "note").length === 2);
+    expect(bob.heard.filter((m) => m.type === "note").map((m) => [m.note, m.velocity])).toEqual([
+      ["F#3", 1],
+      ["Bb2", 0]
+    ]);
+  });
+
+  test("re-sends the participant list only for meaningful latency changes", async () => {
+    const ann = await joinRaw("Ann");
+    const bob = await joinRaw("Bob");
+    await waitFor(() => ann.heard.some((m) => m.type === "participants"));
+    const lists = () => bob.heard.filter((m) => m.type === "participants");
+    [20, 22, 24, 19, 40].forEach((latency) => ann.socket.send(JSON.stringify({ type: "latency", latency })));
+    // Ann's pong comes after the relay handled her reports; Bob's, after it sent him their lists.
+    const pingPong = async ({ socket, heard }) => {
+      socket.send(JSON.stringify({ type: "ping", id: 1, sent: 0 }));
+      await waitFor(() => heard.some((m) => m.type === "pong"));
+    };
+    await pingPong(ann);
+    await pingPong(bob);
+    expect(lists().map((m) => m.participants[0].latency)).toEqual([20, 40]);
+  });
+
+  test("releases the notes of a player who leaves", async () => {
+    const ann = await join("Ann");
+    const bob = await join("Bob");
+    ann.client.noteDown("E4", 1);
+    await waitFor(() => bob.heard.notes.length === 1);
+    ann.client.close();
+    await waitFor(() => bob.heard.participants.length === 1);
+    expect(bob.heard.notes[1]).toEqual({ from: ann.client.selfId, action: "up", note: "E4", velocity: 0 });
+  });
+});
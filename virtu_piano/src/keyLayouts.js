@@ -0,0 +1,177 @@
+// Computer-keyboard layouts for playing notes.
+//
+// A layout binds physical keys (KeyboardEvent.code, so it doesn't matter which character the OS
+// layout produces) to semitone offsets from C of the current octave, and carries the label to show
+// for each key. Offsets may run past 11 for layouts spanning more than one octave.
+//   { id, name, bindings: { [code]: semitone }, labels: { [code]: text }, octaveDown: code, octaveUp: code }
+
+const STORAGE_KEY = "virtupiano.keyLayout";
+
+// PUBLIC_INTERFACE
+/** Computer key that acts as the sustain pedal; no layout may bind it to a note. */
+export const SUSTAIN_CODE = "Space";
+
+const PUNCTUATION_LABELS = {
+  Minus: "-",
+  Equal: "=",
+  BracketLeft: "[",
+  BracketRight: "]",
+  Backslash: "\\",
+  Semicolon: ";",
+  Quote: "'",
+  Backquote: "`",
+  Comma: ",",
+  Period: ".",
+  Slash: "/",
+  IntlBackslash: "<"
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Default label for a key code on a US keyboard ("KeyQ" -> "Q", "Digit2" -> "2", "Comma" -> ",").
+ */
+export function codeToLabel(code) {
+  if (!code) return "";
+  if (code.startsWith("Key")) return code.slice(3);
+  if (code.startsWith("Digit")) return code.slice(5);
+  if (code.startsWith("Numpad")) return `Num${code.slice(6)}`;
+  return PUNCTUATION_LABELS[code] || code;
+}
+
+// The original single-octave mapping: Q 2 W 3 E R 5 T 6 Y 7 U.
+const SINGLE_ROW_CODES = [
+  "KeyQ", "Digit2", "KeyW", "Digit3", "KeyE", "KeyR",
+  "Digit5", "KeyT", "Digit6", "KeyY", "Digit7", "KeyU"
+];
+
+function bindSequence(codes, firstSemitone = 0) {
+  const bindings = {};
+  codes.forEach((code, i) => {
+    bindings[code] = firstSemitone + i;
+  });
+  return bindings;
+}
+
+function relabel(overrides) {
+  const labels = {};
+  SINGLE_ROW_CODES.concat(["KeyZ", "KeyX"]).forEach((code) => {
+    labels[code] = overrides[code] || codeToLabel(code);
+  });
+  return labels;
+}
+
+// Same physical keys as QWERTY; only the printed characters differ.
+function singleRowLayout(id, name, labelOverrides = {}) {
+  return {
+    id,
+    name,
+    bindings: bindSequence(SINGLE_ROW_CODES),
+    labels: relabel(labelOverrides),
+    octaveDown: "KeyZ",
+    octaveUp: "KeyX"
+  };
+}
+
+// Classic tracker layout: the bottom row plays the current octave, the top row the one above.
+const TRACKER_LOWER = [
+  "KeyZ", "KeyS", "KeyX", "KeyD", "KeyC", "KeyV",
+  "KeyG", "KeyB", "KeyH", "KeyN", "KeyJ", "KeyM", "Comma"
+];
+const TRACKER_UPPER = [
+  "KeyQ", "Digit2", "KeyW", "Digit3", "KeyE", "KeyR", "Digit5",
+  "KeyT", "Digit6", "KeyY", "Digit7", "KeyU", "KeyI", "Digit9", "KeyO", "Digit0", "KeyP"
+];
+
+function trackerLayout() {
+  const bindings = { ...bindSequence(TRACKER_LOWER, 0), ...bindSequence(TRACKER_UPPER, 12) };
+  const labels = {};
+  Object.keys(bindings).concat(["Minus", "Equal"]).forEach((code) => {
+    labels[code] = codeToLabel(code);
+  });
+  return { id: "tracker", name: "Two-row tracker (2 octaves)", bindings, labels, octaveDown: "Minus", octaveUp: "Equal" };
+}
+
+// PUBLIC_INTERFACE
+export const LAYOUT_PRESETS = [
+  singleRowLayout("qwerty", "QWERTY"),
+  singleRowLayout("azerty", "AZERTY", {
+    KeyQ: "A", Digit2: "É", KeyW: "Z", Digit3: "\"", Digit5: "(", Digit6: "-", Digit7: "È", KeyZ: "W"
+  }),
+  singleRowLayout("qwertz", "QWERTZ", { KeyY: "Z", KeyZ: "Y" }),
+  singleRowLayout("dvorak", "Dvorak", {
+    KeyQ: "'", KeyW: ",", KeyE: ".", KeyR: "P", KeyT: "Y", KeyY: "F", KeyU: "G", KeyZ: ";", KeyX: "Q"
+  }),
+  trackerLayout()
+];
+
+// PUBLIC_INTERFACE
+export const DEFAULT_LAYOUT = LAYOUT_PRESETS[0];
+
+// PUBLIC_INTERFACE
+export function getLayoutPreset(id) {
+  return LAYOUT_PRESETS.find((layout) => layout.id === id) || DEFAULT_LAYOUT;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Whether a key of `layout` may be bound to `semitone`: an offset within the octaves the layout
+ * plays (one for the single-row presets, two for the tracker), counted from C of the current octave.
+ */
+export function isBindableSemitone(layout, semitone) {
+  const highest = Math.max(0, ...Object.values(layout.bindings));
+  const octaves = Math.ceil((highest + 1) / 12);
+  return Number.isInteger(semitone) && semitone >= 0 && semitone < 12 * octaves;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Returns a copy of `layout` with `code` bound to `semitone`. Any key previously bound to that
+ * semitone is unbound, so each note has one key. The octave keys and the sustain key cannot be
+ * taken, and offsets outside `isBindableSemitone` are refused; both return `layout` unchanged.
+ */
+export function rebindKey(layout, semitone, code, label) {
+  if (code === layout.octaveDown || code === layout.octaveUp || code === SUSTAIN_CODE) return layout;
+  if (!isBindableSemitone(layout, semitone)) return layout;
+  const bindings = {};
+  Object.keys(layout.bindings).forEach((c) => {
+    if (c !== code && layout.bindings[c] !== semitone) bindings[c] = layout.bindings[c];
+  });
+  bindings[code] = semitone;
+  return {
+    ...layout,
+    id: layout.id.endsWith("-custom") ? layout.id : `${layout.id}-custom`,
+    name: layout.name.endsWith(" (custom)") ? layout.name : `${layout.name} (custom)`,
+    basePreset: layout.basePreset || layout.id,
+    bindings,
+    labels: { ...layout.labels, [code]: label || codeToLabel(code) }
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Restores the layout saved by `saveLayout`, or the default preset.
+ */
+export function loadLayout() {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || "null");
+    if (saved && saved.bindings && saved.labels) return saved;
+    if (saved && saved.id) return getLayoutPreset(saved.id);
+  } catch (e) {
+    // fall through to the default
+  }
+  return DEFAULT_LAYOUT;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Persists the layout: presets by id, edited layouts in full.
+ */
+export function saveLayout(layout) {
+  const preset = LAYOUT_PRESETS.find((p) => p === layout);
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(preset ? { id: preset.id } : layout));
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
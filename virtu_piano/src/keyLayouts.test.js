@@ -0,0 +1,78 @@
+import {
+  DEFAULT_LAYOUT,
+  LAYOUT_PRESETS,
+  getLayoutPreset,
+  isBindableSemitone,
+  loadLayout,
+  rebindKey,
+  saveLayout
+} from "./keyLayouts";
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+describe("rebindKey", () => {
+  test("moves a note to a new key and unbinds the keys it replaces", () => {
+    // K takes C (from Q); then W (D) is rebound to E, which E's old key gives up.
+    const once = rebindKey(DEFAULT_LAYOUT, 0, "KeyK", "K");
+    expect(once.bindings.KeyK).toBe(0);
+    expect(once.bindings).not.toHaveProperty("KeyQ");
+    const twice = rebindKey(once, 4, "KeyW", "W");
+    expect(twice.bindings.KeyW).toBe(4);
+    expect(twice.bindings).not.toHaveProperty("KeyE");
+    expect(Object.values(twice.bindings).filter((s) => s === 2)).toEqual([]);
+    expect(DEFAULT_LAYOUT.bindings.KeyQ).toBe(0);
+  });
+
+  test("marks the layout custom once and remembers its preset", () => {
+    const custom = rebindKey(rebindKey(DEFAULT_LAYOUT, 0, "KeyK", "K"), 1, "KeyL", "L");
+    expect(custom).toMatchObject({ id: "qwerty-custom", name: "QWERTY (custom)", basePreset: "qwerty" });
+  });
+
+  test("updates the key's label, falling back to its US character", () => {
+    const custom = rebindKey(DEFAULT_LAYOUT, 0, "Semicolon", "Ö");
+    expect(custom.labels.Semicolon).toBe("Ö");
+    expect(rebindKey(DEFAULT_LAYOUT, 0, "Semicolon").labels.Semicolon).toBe(";");
+  });
+
+  test("refuses the octave keys and the sustain key", () => {
+    expect(rebindKey(DEFAULT_LAYOUT, 0, "KeyZ", "Z")).toBe(DEFAULT_LAYOUT);
+    expect(rebindKey(DEFAULT_LAYOUT, 0, "KeyX", "X")).toBe(DEFAULT_LAYOUT);
+    expect(rebindKey(DEFAULT_LAYOUT, 0, "Space", " ")).toBe(DEFAULT_LAYOUT);
+  });
+
+  test("refuses offsets outside the octaves the layout plays", () => {
+    const tracker = getLayoutPreset("tracker");
+    expect(isBindableSemitone(DEFAULT_LAYOUT, 11)).toBe(true);
+    expect(isBindableSemitone(DEFAULT_LAYOUT, 12)).toBe(false);
+    expect(isBindableSemitone(DEFAULT_LAYOUT, -1)).toBe(false);
+    expect(isBindableSemitone(tracker, 23)).toBe(true);
+    expect(rebindKey(DEFAULT_LAYOUT, 12, "KeyK", "K")).toBe(DEFAULT_LAYOUT);
+    expect(rebindKey(DEFAULT_LAYOUT, -3, "KeyK", "K")).toBe(DEFAULT_LAYOUT);
+  });
+});
+
+describe("layout persistence", () => {
+  test("restores a preset by id", () => {
+    const azerty = getLayoutPreset("azerty");
+    expect(saveLayout(azerty)).toBe(true);
+    expect(JSON.parse(window.localStorage.getItem("virtupiano.keyLayout"))).toEqual({ id: "azerty" });
+    expect(loadLayout()).toBe(azerty);
+  });
+
+  test("restores an edited layout in full", () => {
+    const custom = rebindKey(getLayoutPreset("dvorak"), 0, "KeyK", "K");
+    saveLayout(custom);
+    expect(loadLayout()).toEqual(custom);
+  });
+
+  test("falls back to the default for nothing saved, unknown ids and corrupt data", () => {
+    expect(loadLayout()).toBe(DEFAULT_LAYOUT);
+    window.localStorage.setItem("virtupiano.keyLayout", JSON.stringify({ id: "colemak" }));
+    expect(loadLayout()).toBe(DEFAULT_LAYOUT);
+    window.localStorage.setItem("virtupiano.keyLayout", "{not json");
+    expect(loadLayout()).toBe(DEFAULT_LAYOUT);
+    expect(LAYOUT_PRESETS.map((p) => p.id)).toEqual(["qwerty", "azerty", "qwertz", "dvorak", "tracker"]);
+  });
+});
@@ -0,0 +1,31 @@
+// Public surface of the embeddable library: the keyboard component, the synth behind it and the
+// helpers needed to drive or replace it. `npm run build:lib` compiles this module and everything it
+// imports to dist/esm (ES modules) and dist/cjs (CommonJS); see the README for usage.
+
+export { default as PianoKeyboard, buildKeyboardNoteMap, KEYBOARD_NOTE_MAP } from "./PianoKeyboard";
+export { default as useSynth } from "./useSynth";
+export { CC_SUSTAIN, createSynthEngine } from "./synthEngine";
+export { DEFAULT_ENVELOPE } from "./synthVoice";
+export {
+  BUILTIN_INSTRUMENTS,
+  DEFAULT_INSTRUMENT,
+  WAVEFORMS,
+  createSampleInstrument,
+  createSynthInstrument,
+  loadSampleManifest
+} from "./instruments";
+export { getAudioContext } from "./audioContext";
+export {
+  DEFAULT_MASTER_SETTINGS,
+  createMasterBus,
+  getMasterBus,
+  getMasterSettings,
+  setMasterSettings
+} from "./masterBus";
+export { DEFAULT_LAYOUT, LAYOUT_PRESETS, getLayoutPreset, isBindableSemitone, rebindKey } from "./keyLayouts";
+export {
+  KEYBOARD_RANGE_PRESETS,
+  midiToNoteName,
+  noteNameToMidi,
+  noteToFrequency
+} from "./notes";
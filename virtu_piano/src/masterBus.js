@@ -0,0 +1,266 @@
+// Master output section: every voice goes through one effects chain and a master volume before
+// reaching the speakers.
+//
+//   input -> EQ -> chorus -> delay -> reverb -> compressor -+-> volume -> limiter -> destination
+//                                                  direct -+
+//
+// `direct` skips the effects and compressor (used for the metronome click). Effects are switched by
+// changing their wet/dry levels rather than rewiring, so toggling one mid-note doesn't click.
+//
+// Settings are plain JSON so they can be saved as presets (see effectPresets.js):
+//   { volume, compressor: { enabled, threshold, ratio }, eq: { enabled, low, mid, high },
+//     chorus: { enabled, rate, depth, mix }, delay: { enabled, time, feedback, mix },
+//     reverb: { enabled, decay, mix } }
+
+import { getAudioContext } from "./audioContext";
+
+// PUBLIC_INTERFACE
+export const DEFAULT_MASTER_SETTINGS = {
+  volume: 0.8,
+  compressor: { enabled: true, threshold: -18, ratio: 4 },
+  eq: { enabled: false, low: 0, mid: 0, high: 0 },
+  chorus: { enabled: false, rate: 1.2, depth: 3, mix: 0.4 },
+  delay: { enabled: false, time: 0.3, feedback: 0.35, mix: 0.3 },
+  reverb: { enabled: false, decay: 2, mix: 0.3 }
+};
+
+// PUBLIC_INTERFACE
+export const EFFECT_SECTIONS = ["eq", "chorus", "delay", "reverb", "compressor"];
+
+const EQ_LOW_HZ = 250;
+const EQ_MID_HZ = 1000;
+const EQ_HIGH_HZ = 4000;
+const CHORUS_BASE_DELAY = 0.015; // seconds
+const MAX_DELAY_TIME = 2; // seconds
+const DELAY_DAMPING_HZ = 5000;
+// Time constant for parameter changes: fast enough to feel immediate, slow enough not to zipper.
+const PARAM_SMOOTHING = 0.02;
+
+// PUBLIC_INTERFACE
+/** [min, max] of every numeric setting; the effects panel's sliders span the same ranges. */
+export const MASTER_SETTING_RANGES = {
+  volume: [0, 1],
+  compressor: { threshold: [-48, 0], ratio: [1, 20] },
+  eq: { low: [-12, 12], mid: [-12, 12], high: [-12, 12] },
+  chorus: { rate: [0.1, 5], depth: [0.5, 8], mix: [0, 1] },
+  delay: { time: [0.05, 1.5], feedback: [0, 0.9], mix: [0, 1] },
+  reverb: { decay: [0.3, 6], mix: [0, 1] }
+};
+
+// `value` within `range`, or `fallback` when it isn't a number at all.
+function clampSetting(value, [min, max], fallback) {
+  if (typeof value !== "number" || Number.isNaN(value)) return fallback;
+  return Math.min(max, Math.max(min, value));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Fills in anything missing from (possibly older or partial) saved settings with the defaults, and
+ * clamps values to MASTER_SETTING_RANGES so hand-edited or corrupt storage can't overdrive the chain.
+ */
+export function normalizeMasterSettings(settings) {
+  const source = settings || {};
+  const result = { volume: clampSetting(source.volume, MASTER_SETTING_RANGES.volume, DEFAULT_MASTER_SETTINGS.volume) };
+  EFFECT_SECTIONS.forEach((section) => {
+    const defaults = DEFAULT_MASTER_SETTINGS[section];
+    const saved = source[section] || {};
+    result[section] = { enabled: typeof saved.enabled === "boolean" ? saved.enabled : defaults.enabled };
+    Object.keys(MASTER_SETTING_RANGES[section]).forEach((key) => {
+      result[section][key] = clampSetting(saved[key], MASTER_SETTING_RANGES[section][key], defaults[key]);
+    });
+  });
+  return result;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Builds a stereo reverb impulse response: noise decaying exponentially to -60 dB over `decay` seconds.
+ */
+export function createImpulseResponse(ctx, decay) {
+  const length = Math.max(1, Math.round(ctx.sampleRate * decay));
+  const buffer = ctx.createBuffer(2, length, ctx.sampleRate);
+  for (let channel = 0; channel < 2; channel++) {
+    const data = buffer.getChannelData(channel);
+    for (let i = 0; i < length; i++) {
+      // ln(1000) ~= 6.9: the envelope reaches 1/1000 (-60 dB) at the end of the buffer.
+      data[i] = (Math.random() * 2 - 1) * Math.exp((-6.9 * i) / length);
+    }
+  }
+  return buffer;
+}
+
+// Input and output gains with a dry path between them; the effect itself feeds `wet`.
+function wetDryBlock(ctx) {
+  const input = ctx.createGain();
+  const output = ctx.createGain();
+  const dry = ctx.createGain();
+  const wet = ctx.createGain();
+  input.connect(dry);
+  dry.connect(output);
+  wet.connect(output);
+  return { input, output, dry, wet };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Builds the master chain on `ctx` and connects it to `destination` (the context's own by default).
+ * Works on an OfflineAudioContext too, so rendered audio matches what is heard live.
+ * Returns { input, direct, update(settings), disconnect() }.
+ */
+export function createMasterBus(ctx, settings = DEFAULT_MASTER_SETTINGS, destination = ctx.destination) {
+  const input = ctx.createGain();
+  const direct = ctx.createGain();
+
+  const eqLow = ctx.createBiquadFilter();
+  eqLow.type = "lowshelf";
+  eqLow.frequency.value = EQ_LOW_HZ;
+  const eqMid = ctx.createBiquadFilter();
+  eqMid.type = "peaking";
+  eqMid.frequency.value = EQ_MID_HZ;
+  eqMid.Q.value = 0.8;
+  const eqHigh = ctx.createBiquadFilter();
+  eqHigh.type = "highshelf";
+  eqHigh.frequency.value = EQ_HIGH_HZ;
+  input.connect(eqLow);
+  eqLow.connect(eqMid);
+  eqMid.connect(eqHigh);
+
+  // Chorus: a short delay whose time wobbles with a slow LFO, mixed back with the dry signal.
+  const chorus = wetDryBlock(ctx);
+  const chorusDelay = ctx.createDelay(0.1);
+  chorusDelay.delayTime.value = CHORUS_BASE_DELAY;
+  const chorusLfo = ctx.createOscillator();
+  const chorusDepth = ctx.createGain();
+  chorusLfo.connect(chorusDepth);
+  chorusDepth.connect(chorusDelay.delayTime);
+  chorus.input.connect(chorusDelay);
+  chorusDelay.connect(chorus.wet);
+  chorusLfo.start();
+  eqHigh.connect(chorus.input);
+
+  // Feedback delay with a gentle low-pass in the loop so repeats darken as they fade.
+  const delay = wetDryBlock(ctx);
+  const delayNode = ctx.createDelay(MAX_DELAY_TIME);
+  const delayFeedback = ctx.createGain();
+  const delayDamping = ctx.createBiquadFilter();
+  delayDamping.type = "lowpass";
+  delayDamping.frequency.value = DELAY_DAMPING_HZ;
+  delay.input.connect(delayNode);
+  delayNode.connect(delayDamping);
+  delayDamping.connect(delayFeedback);
+  delayFeedback.connect(delayNode);
+  delayDamping.connect(delay.wet);
+  chorus.output.connect(delay.input);
+
+  const reverb = wetDryBlock(ctx);
+  const convolver = ctx.createConvolver();
+  reverb.input.connect(convolver);
+  convolver.connect(reverb.wet);
+  delay.output.connect(reverb.input);
+
+  const compressor = ctx.createDynamicsCompressor();
+  compressor.knee.value = 6;
+  compressor.attack.value = 0.005;
+  compressor.release.value = 0.2;
+  reverb.output.connect(compressor);
+
+  const volume = ctx.createGain();
+  compressor.connect(volume);
+  direct.connect(volume);
+
+  // Fixed brick-wall-ish limiter after the volume, so no setting can push the output into clipping.
+  const limiter = ctx.createDynamicsCompressor();
+  limiter.threshold.value = -1;
+  limiter.knee.value = 0;
+  limiter.ratio.value = 20;
+  limiter.attack.value = 0.001;
+  limiter.release.value = 0.1;
+  volume.connect(limiter);
+  limiter.connect(destination);
+
+  let reverbDecay = null;
+
+  function apply(next, immediate) {
+    const s = normalizeMasterSettings(next);
+    const now = ctx.currentTime;
+    const set = (param, value) => {
+      if (immediate) param.value = value;
+      else param.setTargetAtTime(value, now, PARAM_SMOOTHING);
+    };
+    const mix = (block, section) => {
+      set(block.wet.gain, section.enabled ? section.mix : 0);
+      // Keep the overall level steady as the mix goes up.
+      set(block.dry.gain, section.enabled ? 1 - section.mix / 2 : 1);
+    };
+
+    set(volume.gain, s.volume);
+
+    set(eqLow.gain, s.eq.enabled ? s.eq.low : 0);
+    set(eqMid.gain, s.eq.enabled ? s.eq.mid : 0);
+    set(eqHigh.gain, s.eq.enabled ? s.eq.high : 0);
+
+    mix(chorus, s.chorus);
+    set(chorusLfo.frequency, s.chorus.rate);
+    set(chorusDepth.gain, s.chorus.depth / 1000);
+
+    mix(delay, s.delay);
+    set(delayNode.delayTime, Math.min(MAX_DELAY_TIME, s.delay.time));
+    set(delayFeedback.gain, s.delay.enabled ? Math.min(0.95, s.delay.feedback) : 0);
+
+    mix(reverb, s.reverb);
+    if (s.reverb.decay !== reverbDecay) {
+      // Regenerating the impulse response is the expensive part; only do it when the decay changes.
+      reverbDecay = s.reverb.decay;
+      convolver.buffer = createImpulseResponse(ctx, reverbDecay);
+    }
+
+    // A disabled compressor is left in the chain with a 1:1 ratio.
+    set(compressor.threshold, s.compressor.enabled ? s.compressor.threshold : 0);
+    set(compressor.ratio, s.compressor.enabled ? s.compressor.ratio : 1);
+  }
+
+  apply(settings, true);
+
+  return {
+    input,
+    direct,
+    update(next) {
+      apply(next, false);
+    },
+    disconnect() {
+      chorusLfo.stop();
+      limiter.disconnect();
+    }
+  };
+}
+
+let sharedBus = null;
+let sharedSettings = DEFAULT_MASTER_SETTINGS;
+
+// PUBLIC_INTERFACE
+/**
+ * The master bus of the shared AudioContext. It is only built on first use (so nothing touches
+ * audio before a user gesture), with whatever `setMasterSettings` last set.
+ */
+export function getMasterBus() {
+  const ctx = getAudioContext();
+  if (!sharedBus) sharedBus = createMasterBus(ctx, sharedSettings);
+  return sharedBus;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Changes the shared master bus settings, now if the bus exists or else when it is built.
+ */
+export function setMasterSettings(settings) {
+  sharedSettings = settings;
+  if (sharedBus) sharedBus.update(settings);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Settings most recently given to `setMasterSettings` (for rendering offline with the live sound).
+ */
+export function getMasterSettings() {
+  return sharedSettings;
+}
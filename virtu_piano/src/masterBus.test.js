@@ -0,0 +1,144 @@
+import { DEFAULT_MASTER_SETTINGS, createMasterBus, normalizeMasterSettings } from "./masterBus";
+
+// An AudioParam that keeps its value and records the smoothed changes made to it.
+function stubParam(value = 0) {
+  const param = {
+    value,
+    targets: [],
+    setTargetAtTime: (target, time) => {
+      param.targets.push([target, time]);
+      param.value = target;
+    }
+  };
+  return param;
+}
+
+// Every node records what it is connected to, so the chain can be found by following `outputs`.
+function stubNode(type, params = []) {
+  const node = { type, outputs: [], connect: (target) => node.outputs.push(target), disconnect: jest.fn() };
+  params.forEach((name) => {
+    node[name] = stubParam();
+  });
+  return node;
+}
+
+function stubContext() {
+  const nodes = [];
+  const make = (type, params) => () => {
+    const node = stubNode(type, params);
+    nodes.push(node);
+    return node;
+  };
+  return {
+    nodes,
+    currentTime: 3,
+    sampleRate: 100,
+    destination: stubNode("destination"),
+    createGain: make("gain", ["gain"]),
+    createBiquadFilter: make("biquad", ["frequency", "gain", "Q"]),
+    createDelay: make("delay", ["delayTime"]),
+    createConvolver: make("convolver"),
+    createDynamicsCompressor: make("compressor", ["threshold", "ratio", "knee", "attack", "release"]),
+    createOscillator: () => {
+      const osc = make("oscillator", ["frequency"])();
+      osc.start = jest.fn();
+      osc.stop = jest.fn();
+      return osc;
+    },
+    createBuffer: (channels, length) => {
+      const data = Array.from({ length: channels }, () => new Float32Array(length));
+      return { length, getChannelData: (channel) => data[channel] };
+    }
+  };
+}
+
+// The wet and dry gains of the reverb block, found from the convolver it wraps.
+function reverbGains(ctx) {
+  const convolver = ctx.nodes.find((n) => n.type === "convolver");
+  const input = ctx.nodes.find((n) => n.outputs.includes(convolver));
+  const dry = input.outputs.find((n) => n !== convolver);
+  return { wet: convolver.outputs[0].gain, dry: dry.gain, convolver };
+}
+
+function compressors(ctx) {
+  const [compressor, limiter] = ctx.nodes.filter((n) => n.type === "compressor");
+  return { compressor, limiter };
+}
+
+const withReverb = (reverb) => ({ ...DEFAULT_MASTER_SETTINGS, reverb: { ...DEFAULT_MASTER_SETTINGS.reverb, ...reverb } });
+
+describe("normalizeMasterSettings", () => {
+  test("fills in missing sections and values with the defaults", () => {
+    expect(normalizeMasterSettings(null)).toEqual(DEFAULT_MASTER_SETTINGS);
+    expect(normalizeMasterSettings({ volume: 0.5, delay: { enabled: true } })).toEqual({
+      ...DEFAULT_MASTER_SETTINGS,
+      volume: 0.5,
+      delay: { ...DEFAULT_MASTER_SETTINGS.delay, enabled: true }
+    });
+  });
+
+  test("clamps values to their ranges and replaces ones that aren't numbers", () => {
+    const settings = normalizeMasterSettings({
+      volume: 4,
+      eq: { enabled: "yes", low: -40, high: 30 },
+      delay: { enabled: true, time: 10, feedback: 1.5, mix: -1 },
+      reverb: { decay: "long", mix: NaN },
+      compressor: { ratio: 0 }
+    });
+    expect(settings.volume).toBe(1);
+    expect(settings.eq).toEqual({ enabled: false, low: -12, mid: 0, high: 12 });
+    expect(settings.delay).toEqual({ enabled: true, time: 1.5, feedback: 0.9, mix: 0 });
+    expect(settings.reverb).toEqual(DEFAULT_MASTER_SETTINGS.reverb);
+    expect(settings.compressor.ratio).toBe(1);
+  });
+
+  test("drops keys it doesn't know", () => {
+    expect(normalizeMasterSettings({ chorus: { extra: 1 }, extra: true })).toEqual(DEFAULT_MASTER_SETTINGS);
+  });
+});
+
+describe("createMasterBus", () => {
+  test("ends in the limiter on the destination, with the direct path skipping the effects", () => {
+    const ctx = stubContext();
+    const bus = createMasterBus(ctx);
+    const { compressor, limiter } = compressors(ctx);
+    expect(limiter.outputs).toEqual([ctx.destination]);
+    const volume = compressor.outputs[0];
+    expect(bus.direct.outputs).toEqual([volume]);
+    expect(volume.outputs).toEqual([limiter]);
+    expect(volume.gain.value).toBe(DEFAULT_MASTER_SETTINGS.volume);
+  });
+
+  test("mixes an enabled effect in and keeps a bypassed one fully dry", () => {
+    const ctx = stubContext();
+    const bus = createMasterBus(ctx, withReverb({ enabled: false, mix: 0.4 }));
+    const reverb = reverbGains(ctx);
+    expect([reverb.wet.value, reverb.dry.value]).toEqual([0, 1]);
+
+    bus.update(withReverb({ enabled: true, mix: 0.4 }));
+    expect([reverb.wet.value, reverb.dry.value]).toEqual([0.4, 0.8]);
+    // Changes glide from the current time instead of jumping (and clicking).
+    expect(reverb.wet.targets).toEqual([[0.4, 3]]);
+  });
+
+  test("bypasses the compressor with a 1:1 ratio rather than unwiring it", () => {
+    const ctx = stubContext();
+    const bus = createMasterBus(ctx, { ...DEFAULT_MASTER_SETTINGS, compressor: { enabled: false, threshold: -30, ratio: 8 } });
+    const { compressor } = compressors(ctx);
+    expect([compressor.threshold.value, compressor.ratio.value]).toEqual([0, 1]);
+    bus.update({ ...DEFAULT_MASTER_SETTINGS, compressor: { enabled: true, threshold: -30, ratio: 8 } });
+    expect([compressor.threshold.value, compressor.ratio.value]).toEqual([-30, 8]);
+  });
+
+  test("rebuilds the reverb impulse only when the decay changes", () => {
+    const ctx = stubContext();
+    const bus = createMasterBus(ctx, withReverb({ decay: 2 }));
+    const { convolver } = reverbGains(ctx);
+    const first = convolver.buffer;
+    expect(first.length).toBe(200);
+    bus.update(withReverb({ decay: 2, mix: 0.6 }));
+    expect(convolver.buffer).toBe(first);
+    bus.update(withReverb({ decay: 1 }));
+    expect(convolver.buffer.length).toBe(100);
+  });
+});
@@ -0,0 +1,81 @@
+// Thin layer over the Web MIDI API. Everything else talks to MIDI through these helpers, so tests
+// (or browsers without Web MIDI) can hand PianoKeyboard a fake access object instead.
+
+const NOTE_OFF = 0x80;
+const NOTE_ON = 0x90;
+const CONTROL_CHANGE = 0xb0;
+
+// PUBLIC_INTERFACE
+/**
+ * Default MIDI access provider: resolves to the browser's MIDIAccess, or rejects when Web MIDI
+ * is unavailable. Any function with the same signature (returning a promise of an object with
+ * `inputs`, `outputs` maps and an `onstatechange` slot) can stand in for it.
+ */
+export function requestBrowserMidiAccess() {
+  const nav = typeof window !== "undefined" ? window.navigator : undefined;
+  if (!nav || !nav.requestMIDIAccess) {
+    return Promise.reject(new Error("Web MIDI is not supported in this browser."));
+  }
+  return nav.requestMIDIAccess({ sysex: false });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Lists the connected ports of a MIDIPortMap (or a Map of id -> port) as plain objects.
+ */
+export function listPorts(portMap) {
+  const ports = [];
+  if (!portMap) return ports;
+  portMap.forEach((port) => {
+    if (port.state === "disconnected") return;
+    ports.push({ id: port.id, name: port.name || port.id, manufacturer: port.manufacturer || "" });
+  });
+  return ports;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Decodes a raw MIDI message into { type, channel, ... }.
+ * type is "noteon", "noteoff", "cc" or null for anything else. A note-on with velocity 0 is a note-off.
+ */
+export function parseMidiMessage(data) {
+  if (!data || data.length < 1) return { type: null };
+  const status = data[0] & 0xf0;
+  const channel = data[0] & 0x0f;
+  switch (status) {
+    case NOTE_ON:
+      if (data[2] > 0) return { type: "noteon", channel, note: data[1], velocity: data[2] };
+      return { type: "noteoff", channel, note: data[1], velocity: 0 };
+    case NOTE_OFF:
+      return { type: "noteoff", channel, note: data[1], velocity: data[2] };
+    case CONTROL_CHANGE:
+      return { type: "cc", channel, controller: data[1], value: data[2] };
+    default:
+      return { type: null, channel };
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Builds a note-on message. `velocity` is 0-1 and is scaled to 1-127.
+ */
+export function noteOnMessage(midi, velocity = 1, channel = 0) {
+  const v = Math.max(1, Math.min(127, Math.round(velocity * 127)));
+  return [NOTE_ON | channel, midi & 0x7f, v];
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Builds a note-off message.
+ */
+export function noteOffMessage(midi, channel = 0) {
+  return [NOTE_OFF | channel, midi & 0x7f, 0];
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Builds a control-change message.
+ */
+export function controlChangeMessage(controller, value, channel = 0) {
+  return [CONTROL_CHANGE | channel, controller & 0x7f, value & 0x7f];
+}
@@ -0,0 +1,56 @@
+import {
+  controlChangeMessage,
+  listPorts,
+  noteOffMessage,
+  noteOnMessage,
+  parseMidiMessage
+} from "./midiAccess";
+
+describe("parseMidiMessage", () => {
+  test("decodes note-on, note-off and control change with their channel", () => {
+    expect(parseMidiMessage([0x90, 60, 100])).toEqual({ type: "noteon", channel: 0, note: 60, velocity: 100 });
+    expect(parseMidiMessage([0x8f, 61, 40])).toEqual({ type: "noteoff", channel: 15, note: 61, velocity: 40 });
+    expect(parseMidiMessage([0xb3, 64, 127])).toEqual({ type: "cc", channel: 3, controller: 64, value: 127 });
+  });
+
+  test("reads a note-on with velocity 0 as a note-off", () => {
+    expect(parseMidiMessage(new Uint8Array([0x95, 72, 0]))).toEqual({ type: "noteoff", channel: 5, note: 72, velocity: 0 });
+  });
+
+  test("ignores other and empty messages", () => {
+    expect(parseMidiMessage([0xe0, 0, 64])).toEqual({ type: null, channel: 0 }); // pitch bend
+    expect(parseMidiMessage([0xf8])).toEqual({ type: null, channel: 8 }); // timing clock
+    expect(parseMidiMessage([])).toEqual({ type: null });
+    expect(parseMidiMessage(undefined)).toEqual({ type: null });
+  });
+});
+
+describe("MIDI message builders", () => {
+  test("scale velocity to 1-127 and mask to 7 bits", () => {
+    expect(noteOnMessage(60)).toEqual([0x90, 60, 127]);
+    expect(noteOnMessage(60, 0.5, 2)).toEqual([0x92, 60, 64]);
+    expect(noteOnMessage(60, 0)).toEqual([0x90, 60, 1]); // 0 would read back as a note-off
+    expect(noteOffMessage(64, 1)).toEqual([0x81, 64, 0]);
+    expect(controlChangeMessage(64, 127)).toEqual([0xb0, 64, 127]);
+  });
+
+  test("round-trip through parseMidiMessage", () => {
+    expect(parseMidiMessage(noteOnMessage(67, 1, 9))).toMatchObject({ type: "noteon", channel: 9, note: 67 });
+    expect(parseMidiMessage(noteOffMessage(67))).toMatchObject({ type: "noteoff", note: 67 });
+  });
+});
+
+describe("listPorts", () => {
+  test("lists connected ports and skips disconnected ones", () => {
+    const ports = new Map([
+      ["a", { id: "a", name: "Keys", manufacturer: "Acme", state: "connected" }],
+      ["b", { id: "b", name: "Gone", state: "disconnected" }],
+      ["c", { id: "c", state: "connected" }]
+    ]);
+    expect(listPorts(ports)).toEqual([
+      { id: "a", name: "Keys", manufacturer: "Acme" },
+      { id: "c", name: "c", manufacturer: "" }
+    ]);
+    expect(listPorts(null)).toEqual([]);
+  });
+});
@@ -0,0 +1,167 @@
+// Note-name helpers shared by the keyboard, the synth and anything else that
+// needs to go between note names ("C#4"), MIDI numbers and frequencies.
+
+export const NOTE_NAMES = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
+
+// PUBLIC_INTERFACE
+/**
+ * Named keyboard sizes, keyed by their number of keys.
+ */
+export const KEYBOARD_RANGE_PRESETS = {
+  25: { from: "C3", to: "C5" },
+  49: { from: "C2", to: "C6" },
+  61: { from: "C2", to: "C7" },
+  88: { from: "A0", to: "C8" }
+};
+
+// Semitone of each natural letter above C.
+const LETTER_SEMITONES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+// Semitone shift of an accidental string: "#", "b", "##", "bb", "x" (double sharp), "♯", "♭".
+function accidentalOffset(accidental) {
+  let offset = 0;
+  for (const ch of accidental) {
+    if (ch === "#" || ch === "♯") offset += 1;
+    else if (ch === "b" || ch === "♭") offset -= 1;
+    else if (ch === "x") offset += 2;
+  }
+  return offset;
+}
+
+const NOTE_NAME_PATTERN = /^([A-G])((?:#|b|x|♯|♭){0,2})(-?\d+)$/;
+const PITCH_CLASS_PATTERN = /^([A-G])((?:#|b|x|♯|♭){0,2})$/;
+
+// PUBLIC_INTERFACE
+/**
+ * Whether `note` is a note name noteNameToMidi understands (rather than falling back to C4).
+ */
+export function isNoteName(note) {
+  return typeof note === "string" && NOTE_NAME_PATTERN.test(note);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Converts a musical note name (e.g. "C4", "A#4", "Bb-1", "Fx3", "Cb5") to its corresponding MIDI number.
+ * Returns 60 (C4) for anything it cannot parse.
+ */
+export function noteNameToMidi(note) {
+  // C4 = 60, C#4 = 61, ..., B4 = 71; B#3 is also 60 and Cb4 is 59
+  const match = NOTE_NAME_PATTERN.exec(note || "");
+  if (!match) return 60; // fallback
+  const [, letter, accidental, octaveS] = match;
+  const octave = parseInt(octaveS, 10);
+  return 12 * (octave + 1) + LETTER_SEMITONES[letter] + accidentalOffset(accidental);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Converts an octave-less note name ("Eb", "F#", "Bbb") to its pitch class (0-11), or null if it can't be parsed.
+ */
+export function noteNameToPitchClass(name) {
+  const match = PITCH_CLASS_PATTERN.exec(name || "");
+  if (!match) return null;
+  const [, letter, accidental] = match;
+  return (((LETTER_SEMITONES[letter] + accidentalOffset(accidental)) % 12) + 12) % 12;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Converts a MIDI number to a sharp-spelled note name (60 -> "C4").
+ */
+export function midiToNoteName(midi) {
+  const pitchClass = ((midi % 12) + 12) % 12;
+  const octave = Math.floor(midi / 12) - 1;
+  return NOTE_NAMES[pitchClass] + octave;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Returns the frequency for a given note string or MIDI number (A4 = 440Hz).
+ */
+export function noteToFrequency(note) {
+  const midi = typeof note === "number" ? note : noteNameToMidi(note);
+  return 440 * Math.pow(2, (midi - 69) / 12);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * True when the MIDI number falls on a black key.
+ */
+export function isBlackMidi(midi) {
+  return NOTE_NAMES[((midi % 12) + 12) % 12].length > 1;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Builds the key list for a keyboard spanning `from`..`to` (inclusive).
+ * Each entry is { note, midi, label, type }, ordered from low to high.
+ */
+export function buildKeyRange(from, to) {
+  let lo = noteNameToMidi(from);
+  let hi = noteNameToMidi(to);
+  if (lo > hi) [lo, hi] = [hi, lo];
+  const keys = [];
+  for (let midi = lo; midi <= hi; midi++) {
+    const note = midiToNoteName(midi);
+    keys.push({
+      note,
+      midi,
+      label: note.replace(/-?\d+$/, ""),
+      type: isBlackMidi(midi) ? "black" : "white"
+    });
+  }
+  return keys;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Resolves the `from`/`to`/`keys` props of PianoKeyboard into a concrete { from, to } range.
+ * A known preset size in `keys` wins over explicit note names.
+ */
+export function resolveKeyRange({ from, to, keys } = {}) {
+  if (keys && KEYBOARD_RANGE_PRESETS[keys]) return KEYBOARD_RANGE_PRESETS[keys];
+  return { from: from || "C4", to: to || "B4" };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Widens `range` ({ from, to }) by whole octaves, C to B, until it covers every MIDI number in
+ * `midis`, stopping at an 88-key piano's ends. Returns `range` itself when it already covers them.
+ */
+export function keyRangeCovering(range, midis) {
+  const piano = KEYBOARD_RANGE_PRESETS[88];
+  const [pianoLo, pianoHi] = [noteNameToMidi(piano.from), noteNameToMidi(piano.to)];
+  const playable = midis.filter((m) => m >= pianoLo && m <= pianoHi);
+  let lo = noteNameToMidi(range.from);
+  let hi = noteNameToMidi(range.to);
+  if (lo > hi) [lo, hi] = [hi, lo];
+  if (!playable.length) return range;
+  const low = Math.min(...playable);
+  const high = Math.max(...playable);
+  if (low >= lo && high <= hi) return range;
+  return {
+    from: midiToNoteName(Math.max(pianoLo, Math.min(lo, low - (low % 12)))),
+    to: midiToNoteName(Math.min(pianoHi, Math.max(hi, high - (high % 12) + 11)))
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Horizontal geometry of each key in a key list, as percentages of the keyboard width:
+ * [{ left, width }] indexed like `keys`. Black keys are centred on the boundary between their
+ * neighbouring white keys (or pinned to the edge at either end of the range) and are 60% of a white
+ * key wide, matching PianoKeyboard's layout.
+ */
+export function keyGeometry(keys) {
+  const whiteCount = keys.filter((k) => k.type === "white").length || 1;
+  const whiteWidth = 100 / whiteCount;
+  let whiteSeen = 0;
+  return keys.map((k) => {
+    if (k.type === "white") {
+      whiteSeen += 1;
+      return { left: (whiteSeen - 1) * whiteWidth, width: whiteWidth };
+    }
+    const width = whiteWidth * 0.6;
+    return { left: Math.min(100 - width, Math.max(0, whiteSeen * whiteWidth - width / 2)), width };
+  });
+}
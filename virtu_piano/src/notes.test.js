@@ -0,0 +1,95 @@
+import {
+  KEYBOARD_RANGE_PRESETS,
+  buildKeyRange,
+  isNoteName,
+  keyGeometry,
+  keyRangeCovering,
+  noteNameToMidi,
+  resolveKeyRange
+} from "./notes";
+
+describe("keyboard ranges", () => {
+  test.each([
+    [25, "C3", "C5"],
+    [49, "C2", "C6"],
+    [61, "C2", "C7"],
+    [88, "A0", "C8"]
+  ])("the %i-key preset spans %s to %s", (keys, from, to) => {
+    const range = resolveKeyRange({ keys, from: "E4", to: "G4" });
+    expect(range).toEqual({ from, to });
+    const built = buildKeyRange(range.from, range.to);
+    expect(built).toHaveLength(keys);
+    expect(built[0].note).toBe(from);
+    expect(built[built.length - 1].note).toBe(to);
+  });
+
+  test("uses from/to for unknown sizes and one octave from C4 by default", () => {
+    expect(resolveKeyRange({ keys: 37, from: "F3", to: "F5" })).toEqual({ from: "F3", to: "F5" });
+    expect(resolveKeyRange({ from: "F3" })).toEqual({ from: "F3", to: "B4" });
+    expect(resolveKeyRange()).toEqual({ from: "C4", to: "B4" });
+    expect(Object.keys(KEYBOARD_RANGE_PRESETS)).toEqual(["25", "49", "61", "88"]);
+  });
+
+  test("builds keys low to high with labels and colours", () => {
+    expect(buildKeyRange("B3", "C#4")).toEqual([
+      { note: "B3", midi: 59, label: "B", type: "white" },
+      { note: "C4", midi: 60, label: "C", type: "white" },
+      { note: "C#4", midi: 61, label: "C#", type: "black" }
+    ]);
+  });
+
+  test("swaps from and to when they are given the wrong way round", () => {
+    expect(buildKeyRange("C5", "C4")).toEqual(buildKeyRange("C4", "C5"));
+  });
+
+  test("treats a note name it can't parse as C4", () => {
+    expect(isNoteName("H4")).toBe(false);
+    expect(isNoteName("C")).toBe(false);
+    expect(isNoteName(60)).toBe(false);
+    expect(noteNameToMidi("H4")).toBe(60);
+    expect(noteNameToMidi(undefined)).toBe(60);
+    expect(buildKeyRange("nonsense", "E4").map((k) => k.note)).toEqual(["C4", "C#4", "D4", "D#4", "E4"]);
+  });
+});
+
+describe("keyRangeCovering", () => {
+  const octave = { from: "C4", to: "B4" };
+
+  test("keeps a range that already covers the notes", () => {
+    expect(keyRangeCovering(octave, [60, 64, 71])).toBe(octave);
+    expect(keyRangeCovering(octave, [])).toBe(octave);
+  });
+
+  test("grows by whole octaves on the side that needs it", () => {
+    expect(keyRangeCovering(octave, [55, 64])).toEqual({ from: "C3", to: "B4" });
+    expect(keyRangeCovering(octave, [60, 84])).toEqual({ from: "C4", to: "B6" });
+    expect(keyRangeCovering({ from: "C3", to: "C5" }, [40, 73])).toEqual({ from: "C2", to: "B5" });
+  });
+
+  test("stops at the ends of an 88-key piano and ignores notes beyond them", () => {
+    expect(keyRangeCovering(octave, [22, 108])).toEqual({ from: "A0", to: "C8" });
+    expect(keyRangeCovering(octave, [10, 120])).toBe(octave);
+  });
+});
+
+describe("keyGeometry", () => {
+  const round = (geometry) => geometry.map(({ left, width }) => [Math.round(left * 100) / 100, Math.round(width * 100) / 100]);
+
+  test("gives white keys equal slots and centres black keys on the boundary", () => {
+    // C D E: three white keys of 33.33% with C# and D# centred on their boundaries.
+    expect(round(keyGeometry(buildKeyRange("C4", "E4")))).toEqual([
+      [0, 33.33],
+      [23.33, 20],
+      [33.33, 33.33],
+      [56.67, 20],
+      [66.67, 33.33]
+    ]);
+  });
+
+  test("pins a black key at either end of the range to the edge", () => {
+    const geometry = keyGeometry(buildKeyRange("C#4", "D#4")); // black, white, black
+    expect(geometry[0]).toEqual({ left: 0, width: 60 });
+    expect(geometry[1]).toEqual({ left: 0, width: 100 });
+    expect(geometry[2]).toEqual({ left: 40, width: 60 });
+  });
+});
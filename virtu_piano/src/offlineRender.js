@@ -0,0 +1,188 @@
+// Renders a take's note events (see smf.js for the shape) to audio faster than real time.
+//
+// With Web Audio available, the take is played through an OfflineAudioContext using the same voice
+// and envelope code as live playing (synthVoice.js) and the same master bus, so the file sounds like
+// what was heard. Without it (tests, old browsers) a plain-JS renderer computes synth instruments
+// sample by sample with the same envelope; it skips the instrument filter and the master effects.
+
+import { createMasterBus, getMasterSettings, normalizeMasterSettings } from "./masterBus";
+import { noteToFrequency } from "./notes";
+import { DEFAULT_ENVELOPE, MAX_GAIN, envelopeLevel, releaseTail, releaseVoice, startVoice } from "./synthVoice";
+import { encodeWav } from "./wav";
+
+// PUBLIC_INTERFACE
+export const RENDER_SAMPLE_RATE = 44100;
+
+// Silence kept after the last sound so the file doesn't end abruptly.
+const END_PADDING = 0.1; // seconds
+
+// PUBLIC_INTERFACE
+/**
+ * Pairs note-on/off events into notes: [{ note, velocity, start, end }] with times in seconds.
+ * Notes let go while the sustain pedal is down ring on until it lifts, as they do live. A note
+ * struck again while sounding ends the earlier one; notes still sounding at the end of the take
+ * end with it, at `duration` (ms) or else the last event.
+ */
+export function eventsToNotes(events, { duration = 0 } = {}) {
+  const sorted = events.slice().sort((a, b) => a.time - b.time);
+  const lastTime = Math.max(duration, sorted.length ? sorted[sorted.length - 1].time : 0) / 1000;
+  const open = {}; // note name -> the note sounding on it
+  const sustained = new Set(); // sounding notes whose key is up, held by the pedal
+  let pedal = false;
+  const end = (name, time) => {
+    open[name].end = time;
+    delete open[name];
+    sustained.delete(name);
+  };
+  const notes = [];
+  sorted.forEach((e) => {
+    const time = e.time / 1000;
+    if (e.type === "sustain") {
+      pedal = e.down;
+      if (!pedal) sustained.forEach((name) => end(name, time));
+      return;
+    }
+    if (open[e.note]) {
+      if (e.type === "off" && pedal) {
+        sustained.add(e.note);
+        return;
+      }
+      end(e.note, time);
+    }
+    if (e.type === "on") {
+      const note = { note: e.note, velocity: e.velocity == null ? 1 : e.velocity, start: time, end: lastTime };
+      open[e.note] = note;
+      notes.push(note);
+    }
+  });
+  return notes;
+}
+
+// Seconds of sound after the last release: the voice's release plus any reverb/delay tail.
+function effectsTail(settings) {
+  let tail = 0;
+  if (settings.reverb.enabled) tail = Math.max(tail, settings.reverb.decay);
+  // Repeats fall below -60 dB after log(0.001)/log(feedback) round trips.
+  if (settings.delay.enabled && settings.delay.feedback > 0) {
+    const feedback = Math.min(0.95, settings.delay.feedback); // the bus caps it the same way
+    tail = Math.max(tail, settings.delay.time * Math.ceil(Math.log(0.001) / Math.log(feedback)));
+  }
+  return tail;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Length in seconds of the rendered audio for `notes` (from eventsToNotes).
+ */
+export function renderLength(notes, env, settings) {
+  const lastEnd = notes.reduce((max, n) => Math.max(max, n.end), 0);
+  return lastEnd + releaseTail(env) + effectsTail(settings) + END_PADDING;
+}
+
+function offlineContextClass() {
+  return typeof window !== "undefined" && (window.OfflineAudioContext || window.webkitOfflineAudioContext);
+}
+
+// Web Audio render through an OfflineAudioContext; resolves to { channels, sampleRate }.
+async function renderWithWebAudio(OfflineContext, notes, { instrument, envelope, settings, sampleRate }) {
+  const env = instrument.envelope || envelope;
+  const length = Math.ceil(renderLength(notes, env, settings) * sampleRate);
+  const ctx = new OfflineContext(2, length, sampleRate);
+  if (instrument.load) await instrument.load(ctx);
+  const bus = createMasterBus(ctx, settings);
+  notes.forEach((n) => {
+    const voice = startVoice(ctx, instrument, envelope, {
+      note: n.note,
+      velocity: n.velocity,
+      time: n.start,
+      destination: bus.input
+    });
+    if (voice) releaseVoice(voice, n.end);
+  });
+  const buffer = await ctx.startRendering();
+  const channels = [];
+  for (let ch = 0; ch < buffer.numberOfChannels; ch++) channels.push(buffer.getChannelData(ch));
+  return { channels, sampleRate: buffer.sampleRate };
+}
+
+// One cycle of each oscillator type, for phase 0-1, matching the shapes Web Audio produces.
+const WAVE_SHAPES = {
+  sine: (p) => Math.sin(2 * Math.PI * p),
+  square: (p) => (p < 0.5 ? 1 : -1),
+  sawtooth: (p) => 2 * p - 1,
+  triangle: (p) => (p < 0.25 ? 4 * p : p < 0.75 ? 2 - 4 * p : 4 * p - 4)
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Plain-JS render of synth instruments (no Web Audio needed); resolves to { channels, sampleRate }.
+ * Uses the instrument's waveform, unison and detune and the shared envelope, plus the master volume.
+ * Throws for sample instruments, which need Web Audio to decode.
+ */
+export async function renderWithoutWebAudio(notes, { instrument, envelope = DEFAULT_ENVELOPE, settings, sampleRate = RENDER_SAMPLE_RATE }) {
+  if (instrument.kind !== "synth") {
+    throw new Error(`${instrument.name} can only be rendered in a browser with Web Audio.`);
+  }
+  const env = instrument.envelope || envelope;
+  const { waveform, unison, detune } = instrument.options;
+  const shape = WAVE_SHAPES[waveform] || WAVE_SHAPES.sine;
+  const mix = 1 / Math.sqrt(unison);
+  const volume = settings.volume;
+  const out = new Float32Array(Math.ceil(renderLength(notes, env, settings) * sampleRate));
+
+  notes.forEach((n) => {
+    const peak = MAX_GAIN * Math.min(1, Math.max(0, n.velocity));
+    const frequencies = [];
+    for (let i = 0; i < unison; i++) {
+      const cents = unison > 1 ? detune * (i / (unison - 1) - 0.5) : 0;
+      frequencies.push(noteToFrequency(n.note) * Math.pow(2, cents / 1200));
+    }
+    const first = Math.floor(n.start * sampleRate);
+    const last = Math.min(out.length, Math.ceil((n.end + releaseTail(env)) * sampleRate));
+    const releasedAt = n.end - n.start;
+    for (let i = first; i < last; i++) {
+      const t = i / sampleRate - n.start;
+      const level = envelopeLevel(env, peak, t, releasedAt);
+      let sample = 0;
+      frequencies.forEach((f) => {
+        const phase = (t * f) % 1;
+        sample += shape(phase < 0 ? phase + 1 : phase);
+      });
+      out[i] += sample * mix * level * volume;
+    }
+  });
+  return { channels: [out, out.slice()], sampleRate };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Renders take events with `instrument`, through the master bus `masterSettings` (the live settings
+ * by default), following the sustain pedal. Notes still held at the take's `duration` (ms, defaults
+ * to the last event) end there. Resolves to { channels: Float32Array[], sampleRate }.
+ * `offlineContext` overrides the OfflineAudioContext class; pass null to force the plain-JS renderer.
+ */
+export function renderEvents(events, {
+  instrument,
+  duration,
+  envelope = DEFAULT_ENVELOPE,
+  masterSettings = getMasterSettings(),
+  sampleRate = RENDER_SAMPLE_RATE,
+  offlineContext = offlineContextClass()
+}) {
+  const notes = eventsToNotes(events, { duration });
+  if (!notes.length) return Promise.reject(new Error("Nothing to render: the take has no notes."));
+  const options = { instrument, envelope, settings: normalizeMasterSettings(masterSettings), sampleRate };
+  return offlineContext
+    ? renderWithWebAudio(offlineContext, notes, options)
+    : renderWithoutWebAudio(notes, options);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Renders take events straight to WAV bytes. Takes renderEvents' options plus `bitDepth` (16 or 24)
+ * and `normalize`. Resolves to a Uint8Array.
+ */
+export async function renderEventsToWav(events, { bitDepth = 16, normalize = false, ...options }) {
+  const { channels, sampleRate } = await renderEvents(events, options);
+  return encodeWav(channels, sampleRate, { bitDepth, normalize });
+}
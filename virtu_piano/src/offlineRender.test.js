@@ -0,0 +1,201 @@
+import { BUILTIN_INSTRUMENTS, createSampleInstrument, createSynthInstrument } from "./instruments";
+import { DEFAULT_MASTER_SETTINGS } from "./masterBus";
+import { eventsToNotes, renderEvents, renderEventsToWav } from "./offlineRender";
+import { DEFAULT_ENVELOPE, MAX_GAIN, envelopeLevel } from "./synthVoice";
+import { encodeWav, peakLevel } from "./wav";
+
+const SAMPLE_RATE = 8000;
+const sine = createSynthInstrument({ id: "test-sine", name: "Test sine", waveform: "sine" });
+const take = [
+  { time: 0, type: "on", note: "A4", velocity: 1 },
+  { time: 250, type: "off", note: "A4", velocity: 0 },
+  { time: 500, type: "on", note: "C5", velocity: 0.5 },
+  { time: 900, type: "off", note: "C5", velocity: 0 }
+];
+
+function readAscii(bytes, pos, length) {
+  return String.fromCharCode(...bytes.subarray(pos, pos + length));
+}
+
+describe("eventsToNotes", () => {
+  test("pairs note-ons with their note-offs", () => {
+    expect(eventsToNotes(take)).toEqual([
+      { note: "A4", velocity: 1, start: 0, end: 0.25 },
+      { note: "C5", velocity: 0.5, start: 0.5, end: 0.9 }
+    ]);
+  });
+
+  test("ends re-struck and unreleased notes", () => {
+    const notes = eventsToNotes([
+      { time: 0, type: "on", note: "C4", velocity: 1 },
+      { time: 100, type: "on", note: "C4", velocity: 0.8 },
+      { time: 400, type: "on", note: "E4", velocity: 1 }
+    ]);
+    expect(notes.map((n) => [n.note, n.start, n.end])).toEqual([
+      ["C4", 0, 0.1],
+      ["C4", 0.1, 0.4],
+      ["E4", 0.4, 0.4]
+    ]);
+  });
+
+  test("ends notes still held at the take's duration", () => {
+    const notes = eventsToNotes([{ time: 0, type: "on", note: "C4", velocity: 1 }], { duration: 1500 });
+    expect(notes.map((n) => [n.start, n.end])).toEqual([[0, 1.5]]);
+  });
+
+  test("holds released notes while the sustain pedal is down", () => {
+    const notes = eventsToNotes([
+      { time: 0, type: "sustain", down: true },
+      { time: 0, type: "on", note: "C4", velocity: 1 },
+      { time: 200, type: "off", note: "C4", velocity: 0 },
+      { time: 300, type: "on", note: "E4", velocity: 1 },
+      { time: 500, type: "sustain", down: false },
+      { time: 700, type: "off", note: "E4", velocity: 0 },
+      { time: 800, type: "on", note: "G4", velocity: 1 },
+      { time: 900, type: "off", note: "G4", velocity: 0 }
+    ]);
+    expect(notes.map((n) => [n.note, n.start, n.end])).toEqual([
+      ["C4", 0, 0.5], // rang on until the pedal lifted
+      ["E4", 0.3, 0.7], // still held when it lifted
+      ["G4", 0.8, 0.9]
+    ]);
+  });
+
+  test("re-striking a note held by the pedal ends the earlier one", () => {
+    const notes = eventsToNotes([
+      { time: 0, type: "sustain", down: true },
+      { time: 0, type: "on", note: "A4", velocity: 1 },
+      { time: 100, type: "off", note: "A4", velocity: 0 },
+      { time: 400, type: "on", note: "A4", velocity: 0.5 },
+      { time: 500, type: "off", note: "A4", velocity: 0 }
+    ], { duration: 1000 });
+    expect(notes.map((n) => [n.start, n.end])).toEqual([
+      [0, 0.4],
+      [0.4, 1] // the pedal never lifted
+    ]);
+  });
+});
+
+describe("envelopeLevel", () => {
+  const env = { attack: 0.1, decay: 0.1, sustain: 0.5, release: 0.5 };
+
+  test("follows attack, decay and sustain while held", () => {
+    expect(envelopeLevel(env, 1, 0)).toBe(0);
+    expect(envelopeLevel(env, 1, 0.05)).toBeCloseTo(0.5);
+    expect(envelopeLevel(env, 1, 0.1)).toBeCloseTo(1);
+    expect(envelopeLevel(env, 1, 0.15)).toBeCloseTo(0.75);
+    expect(envelopeLevel(env, 1, 3)).toBeCloseTo(0.5);
+  });
+
+  test("decays from the level reached at release", () => {
+    expect(envelopeLevel(env, 1, 0.05, 0.05)).toBeCloseTo(0.5);
+    // One time constant (release / 5) after the release: 1/e of the held level.
+    expect(envelopeLevel(env, 1, 1.1, 1)).toBeCloseTo(0.5 / Math.E);
+  });
+});
+
+describe("renderEvents without Web Audio", () => {
+  test("renders sound where the notes are and silence elsewhere", async () => {
+    const { channels, sampleRate } = await renderEvents(take, {
+      instrument: sine,
+      sampleRate: SAMPLE_RATE,
+      offlineContext: null
+    });
+    expect(sampleRate).toBe(SAMPLE_RATE);
+    expect(channels).toHaveLength(2);
+    const [left, right] = channels;
+    expect(Array.from(right)).toEqual(Array.from(left));
+
+    const seconds = left.length / SAMPLE_RATE;
+    expect(seconds).toBeGreaterThan(0.9 + DEFAULT_ENVELOPE.release);
+
+    const window = (from, to) => left.subarray(Math.floor(from * SAMPLE_RATE), Math.floor(to * SAMPLE_RATE));
+    expect(peakLevel([window(0.05, 0.2)])).toBeGreaterThan(0.1);
+    expect(peakLevel([window(0.45, 0.5)])).toBeLessThan(0.01);
+    expect(peakLevel([window(seconds - 0.05, seconds)])).toBe(0);
+    expect(peakLevel(channels)).toBeLessThanOrEqual(MAX_GAIN * DEFAULT_MASTER_SETTINGS.volume + 1e-6);
+  });
+
+  test("scales with the master volume", async () => {
+    const render = (volume) =>
+      renderEvents(take, {
+        instrument: sine,
+        sampleRate: SAMPLE_RATE,
+        offlineContext: null,
+        masterSettings: { ...DEFAULT_MASTER_SETTINGS, volume }
+      });
+    const loud = await render(1);
+    const quiet = await render(0.5);
+    expect(peakLevel(quiet.channels)).toBeCloseTo(peakLevel(loud.channels) / 2, 5);
+  });
+
+  test("renders every built-in synth", async () => {
+    for (const instrument of BUILTIN_INSTRUMENTS) {
+      const { channels } = await renderEvents(take, { instrument, sampleRate: SAMPLE_RATE, offlineContext: null });
+      expect(peakLevel(channels)).toBeGreaterThan(0);
+    }
+  });
+
+  test("rejects empty takes and sample instruments", async () => {
+    await expect(renderEvents([], { instrument: sine, offlineContext: null })).rejects.toThrow(/no notes/);
+    const sampled = createSampleInstrument({ id: "s", name: "Sampled", zones: [] });
+    await expect(renderEvents(take, { instrument: sampled, offlineContext: null })).rejects.toThrow(/Web Audio/);
+  });
+});
+
+describe("encodeWav", () => {
+  test("writes a 16-bit PCM header and samples", () => {
+    const bytes = encodeWav([Float32Array.from([0, 1, -1, 0.5])], 22050);
+    const view = new DataView(bytes.buffer);
+    expect(readAscii(bytes, 0, 4)).toBe("RIFF");
+    expect(view.getUint32(4, true)).toBe(bytes.length - 8);
+    expect(readAscii(bytes, 8, 8)).toBe("WAVEfmt ");
+    expect(view.getUint16(20, true)).toBe(1);
+    expect(view.getUint16(22, true)).toBe(1);
+    expect(view.getUint32(24, true)).toBe(22050);
+    expect(view.getUint32(28, true)).toBe(44100);
+    expect(view.getUint16(32, true)).toBe(2);
+    expect(view.getUint16(34, true)).toBe(16);
+    expect(readAscii(bytes, 36, 4)).toBe("data");
+    expect(view.getUint32(40, true)).toBe(8);
+    expect([0, 1, 2, 3].map((i) => view.getInt16(44 + i * 2, true))).toEqual([0, 32767, -32767, 16384]);
+  });
+
+  test("interleaves channels and writes 24-bit samples", () => {
+    const bytes = encodeWav([Float32Array.from([1, 0]), Float32Array.from([-1, 0.5])], 48000, { bitDepth: 24 });
+    const view = new DataView(bytes.buffer);
+    expect(view.getUint16(22, true)).toBe(2);
+    expect(view.getUint16(32, true)).toBe(6);
+    expect(view.getUint16(34, true)).toBe(24);
+    expect(bytes.length).toBe(44 + 2 * 2 * 3);
+    const int24 = (pos) => (bytes[pos] | (bytes[pos + 1] << 8) | (bytes[pos + 2] << 16)) << 8 >> 8;
+    expect([44, 47, 50, 53].map(int24)).toEqual([8388607, -8388607, 0, 4194304]);
+  });
+
+  test("normalizes to just under full scale and clips overs", () => {
+    const normalized = new DataView(encodeWav([Float32Array.from([0.25, -0.5])], 8000, { normalize: true }).buffer);
+    expect(normalized.getInt16(46, true)).toBe(Math.round(-0.98 * 32767));
+    expect(normalized.getInt16(44, true)).toBe(Math.round(0.49 * 32767));
+
+    const clipped = new DataView(encodeWav([Float32Array.from([2, -3])], 8000).buffer);
+    expect([clipped.getInt16(44, true), clipped.getInt16(46, true)]).toEqual([32767, -32767]);
+  });
+
+  test("rejects unsupported bit depths", () => {
+    expect(() => encodeWav([new Float32Array(1)], 8000, { bitDepth: 8 })).toThrow(/bit depth/);
+  });
+});
+
+test("renderEventsToWav produces a playable file", async () => {
+  const bytes = await renderEventsToWav(take, {
+    instrument: sine,
+    sampleRate: SAMPLE_RATE,
+    offlineContext: null,
+    bitDepth: 24,
+    normalize: true
+  });
+  const view = new DataView(bytes.buffer);
+  expect(readAscii(bytes, 0, 4)).toBe("RIFF");
+  expect(view.getUint16(34, true)).toBe(24);
+  expect(view.getUint32(40, true)).toBe(bytes.length - 44);
+});
@@ -0,0 +1,90 @@
+// Lookahead scheduler: a coarse JS timer wakes up every `interval` ms and hands the next `lookahead`
+// seconds of clock time to a producer, which schedules whatever falls in that window at exact clock
+// times (e.g. `osc.start(when)`). Timer jitter then only has to be smaller than the lookahead.
+//
+// The clock is anything with a `currentTime` in seconds - an AudioContext in the app, a plain object
+// in tests - and the timer functions can be swapped too, so the scheduler runs against a fake clock.
+
+const defaultTimers = {
+  setInterval: (fn, ms) => setInterval(fn, ms),
+  clearInterval: (id) => clearInterval(id)
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Creates a scheduler. `start(producer)` begins calling `producer(from, to)` with consecutive,
+ * non-overlapping windows of clock time; `tick()` runs one step by hand (useful with a fake clock).
+ */
+export function createScheduler({ clock, lookahead = 0.1, interval = 25, timers = defaultTimers }) {
+  let producer = null;
+  let timer = null;
+  let scheduledUntil = 0;
+
+  const scheduler = {
+    get running() {
+      return producer !== null;
+    },
+    tick() {
+      if (!producer) return;
+      const until = clock.currentTime + lookahead;
+      if (until <= scheduledUntil) return;
+      const from = scheduledUntil;
+      scheduledUntil = until;
+      producer(from, until);
+    },
+    start(nextProducer) {
+      scheduler.stop();
+      producer = nextProducer;
+      scheduledUntil = clock.currentTime;
+      scheduler.tick();
+      timer = timers.setInterval(scheduler.tick, interval);
+    },
+    stop() {
+      if (timer !== null) timers.clearInterval(timer);
+      timer = null;
+      producer = null;
+    }
+  };
+  return scheduler;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Producer for a fixed list of timed events ({ time } in ms, sorted), starting at clock time
+ * `startTime` (seconds). Calls `onEvent(event, when)` once per event as its window comes up and
+ * `onEnd(when)` after the last one.
+ */
+export function eventsProducer(events, { startTime, onEvent, onEnd }) {
+  let next = 0;
+  let ended = false;
+  return (from, to) => {
+    while (next < events.length) {
+      const when = startTime + events[next].time / 1000;
+      if (when >= to) break;
+      onEvent(events[next], Math.max(when, from));
+      next += 1;
+    }
+    if (next >= events.length && !ended) {
+      ended = true;
+      const last = events.length ? startTime + events[events.length - 1].time / 1000 : startTime;
+      if (onEnd) onEnd(Math.max(last, from));
+    }
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Producer for an endless pulse: calls `onBeat(index, when)` every `getInterval()` seconds from
+ * `startTime`. The interval is read per beat, so tempo changes apply from the next beat.
+ */
+export function pulseProducer({ startTime, getInterval, onBeat }) {
+  let nextTime = startTime;
+  let index = 0;
+  return (from, to) => {
+    while (nextTime < to) {
+      onBeat(index, Math.max(nextTime, from));
+      index += 1;
+      nextTime += getInterval();
+    }
+  };
+}
@@ -0,0 +1,140 @@
+import { createScheduler, eventsProducer, pulseProducer } from "./scheduler";
+
+// A clock the test moves by hand and timers that only run when told to.
+function fakeEnvironment() {
+  const clock = { currentTime: 0 };
+  const timers = {
+    intervals: new Map(),
+    nextId: 1,
+    setInterval(fn, ms) {
+      const id = timers.nextId++;
+      timers.intervals.set(id, { fn, ms });
+      return id;
+    },
+    clearInterval(id) {
+      timers.intervals.delete(id);
+    },
+    // Moves the clock on by `seconds` and fires every live interval once.
+    advance(seconds) {
+      clock.currentTime += seconds;
+      timers.intervals.forEach(({ fn }) => fn());
+    }
+  };
+  return { clock, timers };
+}
+
+describe("createScheduler", () => {
+  test("hands out consecutive lookahead windows as the clock moves", () => {
+    const { clock, timers } = fakeEnvironment();
+    const windows = [];
+    const scheduler = createScheduler({ clock, lookahead: 0.1, interval: 25, timers });
+    clock.currentTime = 2;
+    scheduler.start((from, to) => windows.push([from, to]));
+    expect(windows).toEqual([[2, 2.1]]);
+    expect([...timers.intervals.values()].map((t) => t.ms)).toEqual([25]);
+
+    timers.advance(0.025);
+    timers.advance(0.025);
+    expect(windows.map(([from, to]) => [from, to].map((t) => Math.round(t * 1000)))).toEqual([
+      [2000, 2100],
+      [2100, 2125],
+      [2125, 2150]
+    ]);
+  });
+
+  test("skips ticks that would hand out an empty window", () => {
+    const { clock, timers } = fakeEnvironment();
+    const producer = jest.fn();
+    const scheduler = createScheduler({ clock, timers });
+    scheduler.start(producer);
+    scheduler.tick();
+    timers.advance(0);
+    expect(producer).toHaveBeenCalledTimes(1);
+  });
+
+  test("stops calling the producer and clears its timer on stop", () => {
+    const { clock, timers } = fakeEnvironment();
+    const producer = jest.fn();
+    const scheduler = createScheduler({ clock, timers });
+    scheduler.start(producer);
+    expect(scheduler.running).toBe(true);
+    scheduler.stop();
+    expect(scheduler.running).toBe(false);
+    expect(timers.intervals.size).toBe(0);
+    clock.currentTime = 1;
+    scheduler.tick();
+    expect(producer).toHaveBeenCalledTimes(1);
+  });
+
+  test("restarts from the current time with a new producer, dropping the old one", () => {
+    const { clock, timers } = fakeEnvironment();
+    const first = jest.fn();
+    const second = jest.fn();
+    const scheduler = createScheduler({ clock, lookahead: 0.1, timers });
+    scheduler.start(first);
+    clock.currentTime = 5;
+    scheduler.start(second);
+    expect(timers.intervals.size).toBe(1);
+    expect(second).toHaveBeenCalledWith(5, 5.1);
+    timers.advance(0.05);
+    expect(first).toHaveBeenCalledTimes(1);
+    expect(second).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe("eventsProducer", () => {
+  const events = [{ time: 0 }, { time: 50 }, { time: 120 }, { time: 120 }];
+
+  test("emits each event once, in the window that contains it", () => {
+    const onEvent = jest.fn();
+    const onEnd = jest.fn();
+    const produce = eventsProducer(events, { startTime: 1, onEvent, onEnd });
+    produce(1, 1.1);
+    expect(onEvent.mock.calls).toEqual([[events[0], 1], [events[1], 1.05]]);
+    expect(onEnd).not.toHaveBeenCalled();
+    produce(1.1, 1.2);
+    expect(onEvent.mock.calls.slice(2)).toEqual([[events[2], 1.12], [events[3], 1.12]]);
+    expect(onEnd).toHaveBeenCalledWith(1.12);
+    produce(1.2, 1.3);
+    expect(onEvent).toHaveBeenCalledTimes(4);
+    expect(onEnd).toHaveBeenCalledTimes(1);
+  });
+
+  test("plays events whose time already passed at the start of the window", () => {
+    const onEvent = jest.fn();
+    const produce = eventsProducer(events, { startTime: 0, onEvent });
+    produce(0.1, 0.2); // the first window came late
+    expect(onEvent.mock.calls.map(([, when]) => when)).toEqual([0.1, 0.1, 0.12, 0.12]);
+  });
+
+  test("ends at once when there is nothing to play", () => {
+    const onEnd = jest.fn();
+    eventsProducer([], { startTime: 3, onEvent: jest.fn(), onEnd })(3, 3.1);
+    expect(onEnd).toHaveBeenCalledWith(3);
+  });
+});
+
+describe("pulseProducer", () => {
+  test("beats at the interval across window boundaries", () => {
+    const onBeat = jest.fn();
+    const produce = pulseProducer({ startTime: 0, getInterval: () => 0.25, onBeat });
+    produce(0, 0.3);
+    produce(0.3, 0.6);
+    produce(0.6, 0.7);
+    expect(onBeat.mock.calls).toEqual([[0, 0], [1, 0.25], [2, 0.5]]);
+  });
+
+  test("applies a tempo change after the beats already scheduled", () => {
+    const { clock, timers } = fakeEnvironment();
+    let interval = 0.5;
+    const beats = [];
+    const scheduler = createScheduler({ clock, lookahead: 0.1, timers });
+    scheduler.start(pulseProducer({ startTime: 0, getInterval: () => interval, onBeat: (i, when) => beats.push(when) }));
+    while (clock.currentTime < 0.95) timers.advance(0.05);
+    expect(beats).toEqual([0, 0.5, 1]); // 1 is already inside the lookahead window
+    interval = 0.25;
+    while (clock.currentTime < 1.95) timers.advance(0.05);
+    // The gap after the beat at 1 was read when it was scheduled; the new tempo starts after 1.5.
+    expect(beats).toEqual([0, 0.5, 1, 1.5, 1.75, 2]);
+  });
+});
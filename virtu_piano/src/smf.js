@@ -0,0 +1,313 @@
+// Standard MIDI File (SMF) reading and writing for recorded takes.
+// Pure functions over Uint8Array - no DOM or Web Audio - so it runs anywhere, including tests.
+//
+// A take's events are { time, type, note, velocity }: `time` in milliseconds from the start of the
+// take, `type` "on" or "off", `note` a note name ("C#4") and `velocity` 0-1. Sustain pedal changes
+// are { time, type: "sustain", down } and go to and from MIDI files as controller 64.
+
+import { midiToNoteName, noteNameToMidi } from "./notes";
+
+// PUBLIC_INTERFACE
+export const DEFAULT_PPQ = 480;
+// PUBLIC_INTERFACE
+export const DEFAULT_BPM = 120;
+
+const META = 0xff;
+const META_TRACK_NAME = 0x03;
+const META_END_OF_TRACK = 0x2f;
+const META_TEMPO = 0x51;
+const CC_SUSTAIN = 64;
+
+// ---------------------------------------------------------------------------
+// Writing
+
+function writeUint32(out, value) {
+  out.push((value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff);
+}
+
+function writeUint16(out, value) {
+  out.push((value >>> 8) & 0xff, value & 0xff);
+}
+
+// Variable-length quantity: 7 bits per byte, most significant first, high bit set on all but the last.
+function writeVarLen(out, value) {
+  const bytes = [value & 0x7f];
+  let rest = value >>> 7;
+  while (rest > 0) {
+    bytes.unshift((rest & 0x7f) | 0x80);
+    rest >>>= 7;
+  }
+  out.push(...bytes);
+}
+
+function writeChunk(out, type, body) {
+  for (let i = 0; i < 4; i++) out.push(type.charCodeAt(i));
+  writeUint32(out, body.length);
+  out.push(...body);
+}
+
+function textBytes(text) {
+  // Track names are plain ASCII in practice; anything else is replaced rather than mis-encoded.
+  return Array.from(text, (ch) => (ch.charCodeAt(0) < 128 ? ch.charCodeAt(0) : 0x3f));
+}
+
+// Orders events by time. Within one instant a note-off moves ahead of the note-ons only when it ends
+// a note struck earlier, so a re-struck note is not cut by its own release; an off that follows an
+// on of the same pitch at that instant (a zero-length note) keeps its place after it.
+function sortEvents(events) {
+  const byTime = events
+    .map((e, i) => ({ e, i }))
+    .sort((a, b) => a.e.time - b.e.time || a.i - b.i)
+    .map(({ e }) => e);
+  const open = {}; // note -> notes struck before the current instant and not yet released
+  const sorted = [];
+  for (let start = 0; start < byTime.length; ) {
+    let end = start;
+    while (end < byTime.length && byTime[end].time === byTime[start].time) end++;
+    const endings = [];
+    const rest = [];
+    const struckNow = {};
+    byTime.slice(start, end).forEach((e) => {
+      if (e.type === "on") {
+        struckNow[e.note] = (struckNow[e.note] || 0) + 1;
+        rest.push(e);
+      } else if (struckNow[e.note]) {
+        struckNow[e.note]--;
+        rest.push(e);
+      } else if (open[e.note]) {
+        open[e.note]--;
+        endings.push(e);
+      } else {
+        rest.push(e);
+      }
+    });
+    Object.keys(struckNow).forEach((note) => {
+      open[note] = (open[note] || 0) + struckNow[note];
+    });
+    sorted.push(...endings, ...rest);
+    start = end;
+  }
+  return sorted;
+}
+
+// Builds an MTrk body from [{ tick, bytes }] (already sorted), appending End of Track.
+function buildTrack(timed) {
+  const body = [];
+  let lastTick = 0;
+  timed.forEach(({ tick, bytes }) => {
+    writeVarLen(body, tick - lastTick);
+    body.push(...bytes);
+    lastTick = tick;
+  });
+  writeVarLen(body, 0);
+  body.push(META, META_END_OF_TRACK, 0);
+  return body;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Encodes a take as a Standard MIDI File.
+ * Options: `format` 0 (single track) or 1 (tempo track + note track), `ppq`, `bpm`, `name`.
+ * Returns a Uint8Array.
+ */
+export function writeMidiFile(events, { format = 1, ppq = DEFAULT_PPQ, bpm = DEFAULT_BPM, name = "" } = {}) {
+  if (format !== 0 && format !== 1) throw new Error(`Unsupported MIDI file format: ${format}`);
+  const microsPerQuarter = Math.round(60000000 / bpm);
+  const ticksPerMs = (ppq * bpm) / 60000;
+
+  const tempoEvents = [
+    { tick: 0, bytes: [META, META_TEMPO, 3, (microsPerQuarter >>> 16) & 0xff, (microsPerQuarter >>> 8) & 0xff, microsPerQuarter & 0xff] }
+  ];
+  if (name) {
+    const text = textBytes(name);
+    const nameEvent = [META, META_TRACK_NAME];
+    writeVarLen(nameEvent, text.length);
+    nameEvent.push(...text);
+    tempoEvents.unshift({ tick: 0, bytes: nameEvent });
+  }
+
+  const noteEvents = sortEvents(events).map((e) => {
+    const tick = Math.max(0, Math.round(e.time * ticksPerMs));
+    if (e.type === "sustain") return { tick, bytes: [0xb0, CC_SUSTAIN, e.down ? 127 : 0] };
+    const midi = noteNameToMidi(e.note) & 0x7f;
+    if (e.type === "on") {
+      const velocity = Math.max(1, Math.min(127, Math.round((e.velocity == null ? 1 : e.velocity) * 127)));
+      return { tick, bytes: [0x90, midi, velocity] };
+    }
+    return { tick, bytes: [0x80, midi, 64] };
+  });
+
+  const tracks = format === 0
+    ? [buildTrack([...tempoEvents, ...noteEvents])]
+    : [buildTrack(tempoEvents), buildTrack(noteEvents)];
+
+  const out = [];
+  const header = [];
+  writeUint16(header, format);
+  writeUint16(header, tracks.length);
+  writeUint16(header, ppq);
+  writeChunk(out, "MThd", header);
+  tracks.forEach((track) => writeChunk(out, "MTrk", track));
+  return Uint8Array.from(out);
+}
+
+// ---------------------------------------------------------------------------
+// Reading
+
+function chunkType(bytes, pos) {
+  return String.fromCharCode(bytes[pos], bytes[pos + 1], bytes[pos + 2], bytes[pos + 3]);
+}
+
+function readUint32(bytes, pos) {
+  return ((bytes[pos] << 24) >>> 0) + (bytes[pos + 1] << 16) + (bytes[pos + 2] << 8) + bytes[pos + 3];
+}
+
+function readUint16(bytes, pos) {
+  return (bytes[pos] << 8) | bytes[pos + 1];
+}
+
+// Returns [value, nextPos].
+function readVarLen(bytes, pos, end) {
+  let value = 0;
+  for (let i = 0; i < 4; i++) {
+    if (pos >= end) throw new Error("Truncated MIDI track");
+    const b = bytes[pos++];
+    value = (value << 7) | (b & 0x7f);
+    if (!(b & 0x80)) return [value, pos];
+  }
+  throw new Error("Malformed variable-length value in MIDI track");
+}
+
+// Parses one MTrk body into { name, tempos: [{ tick, micros }], notes: [{ tick, type, midi, velocity }] },
+// with sustain pedal changes among the notes as { tick, type: "sustain", down }.
+function parseTrack(bytes, start, end) {
+  const track = { name: "", tempos: [], notes: [] };
+  let pos = start;
+  let tick = 0;
+  let runningStatus = 0;
+  while (pos < end) {
+    let delta;
+    [delta, pos] = readVarLen(bytes, pos, end);
+    tick += delta;
+    if (pos >= end) throw new Error("Truncated MIDI track");
+    let status = bytes[pos];
+    if (status & 0x80) {
+      pos++;
+    } else {
+      // Running status: reuse the previous channel status byte.
+      if (!runningStatus) throw new Error("MIDI data byte without a status byte");
+      status = runningStatus;
+    }
+
+    if (status === META) {
+      const type = bytes[pos++];
+      let length;
+      [length, pos] = readVarLen(bytes, pos, end);
+      if (pos + length > end) throw new Error("Truncated MIDI track");
+      if (type === META_TEMPO && length === 3) {
+        track.tempos.push({ tick, micros: (bytes[pos] << 16) | (bytes[pos + 1] << 8) | bytes[pos + 2] });
+      } else if (type === META_TRACK_NAME && !track.name) {
+        track.name = String.fromCharCode(...bytes.subarray(pos, pos + length));
+      }
+      pos += length;
+      if (type === META_END_OF_TRACK) break;
+      continue;
+    }
+    if (status === 0xf0 || status === 0xf7) {
+      let length;
+      [length, pos] = readVarLen(bytes, pos, end);
+      pos += length;
+      continue;
+    }
+
+    runningStatus = status;
+    const kind = status & 0xf0;
+    const dataLength = kind === 0xc0 || kind === 0xd0 ? 1 : 2;
+    if (pos + dataLength > end) throw new Error("Truncated MIDI track");
+    const d1 = bytes[pos];
+    const d2 = dataLength === 2 ? bytes[pos + 1] : 0;
+    pos += dataLength;
+    if (kind === 0x90 && d2 > 0) {
+      track.notes.push({ tick, type: "on", midi: d1, velocity: d2 / 127 });
+    } else if (kind === 0x80 || kind === 0x90) {
+      track.notes.push({ tick, type: "off", midi: d1, velocity: 0 });
+    } else if (kind === 0xb0 && d1 === CC_SUSTAIN) {
+      track.notes.push({ tick, type: "sustain", down: d2 >= 64 });
+    }
+  }
+  return track;
+}
+
+// Returns a function converting absolute ticks to milliseconds using the merged tempo map.
+function tickToMsConverter(division, tempos) {
+  if (division & 0x8000) {
+    // SMPTE time: negative frames-per-second in the high byte, ticks per frame in the low byte.
+    const fps = 256 - (division >> 8);
+    const ticksPerSecond = fps * (division & 0xff);
+    return (tick) => (tick / ticksPerSecond) * 1000;
+  }
+  const ppq = division;
+  const map = [{ tick: 0, micros: Math.round(60000000 / DEFAULT_BPM), ms: 0 }];
+  tempos
+    .slice()
+    .sort((a, b) => a.tick - b.tick)
+    .forEach(({ tick, micros }) => {
+      const prev = map[map.length - 1];
+      const ms = prev.ms + ((tick - prev.tick) * prev.micros) / ppq / 1000;
+      if (tick === prev.tick) map[map.length - 1] = { tick, micros, ms: prev.ms };
+      else map.push({ tick, micros, ms });
+    });
+  return (tick) => {
+    let seg = map[0];
+    for (let i = 1; i < map.length && map[i].tick <= tick; i++) seg = map[i];
+    return seg.ms + ((tick - seg.tick) * seg.micros) / ppq / 1000;
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Decodes a Standard MIDI File (format 0, 1 or 2) into a take.
+ * Notes and sustain pedal changes from every track and channel are merged. Returns { format, name, bpm, events, duration }.
+ * Throws an Error when the bytes are not a readable SMF.
+ */
+export function readMidiFile(input) {
+  const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+  if (bytes.length < 14 || chunkType(bytes, 0) !== "MThd") {
+    throw new Error("Not a Standard MIDI File");
+  }
+  const headerLength = readUint32(bytes, 4);
+  if (headerLength < 6) throw new Error("Malformed MIDI file header");
+  const format = readUint16(bytes, 8);
+  const division = readUint16(bytes, 12);
+  if (format > 2) throw new Error(`Unsupported MIDI file format: ${format}`);
+
+  const tracks = [];
+  let pos = 8 + headerLength;
+  while (pos + 8 <= bytes.length) {
+    const type = chunkType(bytes, pos);
+    const length = readUint32(bytes, pos + 4);
+    const start = pos + 8;
+    const end = Math.min(start + length, bytes.length);
+    // Unknown chunk types must be skipped, per the spec.
+    if (type === "MTrk") tracks.push(parseTrack(bytes, start, end));
+    pos = start + length;
+  }
+
+  const tempos = tracks.flatMap((t) => t.tempos);
+  const toMs = tickToMsConverter(division, tempos);
+  const events = sortEvents(
+    tracks.flatMap((t) => t.notes).map((n) =>
+      n.type === "sustain"
+        ? { time: toMs(n.tick), type: n.type, down: n.down }
+        : { time: toMs(n.tick), type: n.type, note: midiToNoteName(n.midi), velocity: n.velocity }
+    )
+  );
+  const firstTempo = tempos.slice().sort((a, b) => a.tick - b.tick)[0];
+  return {
+    format,
+    name: (tracks.find((t) => t.name) || {}).name || "",
+    bpm: firstTempo ? Math.round(60000000 / firstTempo.micros) : DEFAULT_BPM,
+    events,
+    duration: events.length ? events[events.length - 1].time : 0
+  };
+}
@@ -0,0 +1,180 @@
+import { DEFAULT_BPM, readMidiFile, writeMidiFile } from "./smf";
+
+const take = [
+  { time: 0, type: "on", note: "C4", velocity: 1 },
+  { time: 0, type: "on", note: "E4", velocity: 0.5 },
+  { time: 500, type: "off", note: "C4", velocity: 0 },
+  { time: 500, type: "on", note: "C4", velocity: 0.8 },
+  { time: 750, type: "off", note: "E4", velocity: 0 },
+  { time: 1000, type: "off", note: "C4", velocity: 0 }
+];
+
+// Header plus the given MTrk bodies, in `division` ticks per quarter (or SMPTE).
+function smf(tracks, { format = tracks.length > 1 ? 1 : 0, division = 480 } = {}) {
+  const out = [0x4d, 0x54, 0x68, 0x64, 0, 0, 0, 6, 0, format, 0, tracks.length, division >> 8, division & 0xff];
+  tracks.forEach((body) => {
+    const n = body.length;
+    out.push(0x4d, 0x54, 0x72, 0x6b, (n >>> 24) & 0xff, (n >>> 16) & 0xff, (n >>> 8) & 0xff, n & 0xff, ...body);
+  });
+  return Uint8Array.from(out);
+}
+
+function readUint16(bytes, pos) {
+  return (bytes[pos] << 8) | bytes[pos + 1];
+}
+
+const END_OF_TRACK = [0, 0xff, 0x2f, 0];
+
+function summary(events) {
+  return events.map((e) => [Math.round(e.time), e.type, e.note]);
+}
+
+describe("MIDI file round trip", () => {
+  test.each([0, 1])("format %i keeps times, notes, velocities, tempo and name", (format) => {
+    const bytes = writeMidiFile(take, { format, bpm: 90, name: "Take 1" });
+    const song = readMidiFile(bytes);
+    expect(song.format).toBe(format);
+    expect(song.name).toBe("Take 1");
+    expect(song.bpm).toBe(90);
+    expect(summary(song.events)).toEqual(summary(take));
+    expect(song.events.map((e) => e.velocity)).toEqual([1, 64 / 127, 0, 102 / 127, 0, 0]);
+    expect(song.duration).toBeCloseTo(1000);
+  });
+
+  test("writes one track for format 0 and a tempo track plus a note track for format 1", () => {
+    const count = (bytes) => readUint16(bytes, 10);
+    expect(count(writeMidiFile(take, { format: 0 }))).toBe(1);
+    expect(count(writeMidiFile(take, { format: 1 }))).toBe(2);
+    expect(() => writeMidiFile(take, { format: 2 })).toThrow("Unsupported MIDI file format: 2");
+  });
+
+  test("keeps a zero-length note as on then off", () => {
+    const events = [
+      { time: 0, type: "on", note: "C4", velocity: 1 },
+      { time: 0.2, type: "off", note: "C4", velocity: 0 }
+    ];
+    expect(summary(readMidiFile(writeMidiFile(events)).events)).toEqual([
+      [0, "on", "C4"],
+      [0, "off", "C4"]
+    ]);
+  });
+
+  test("keeps a re-struck note's release ahead of the new strike", () => {
+    const events = [
+      { time: 0, type: "on", note: "G4", velocity: 1 },
+      { time: 250, type: "off", note: "G4", velocity: 0 },
+      { time: 250, type: "on", note: "G4", velocity: 1 },
+      { time: 500, type: "off", note: "G4", velocity: 0 }
+    ];
+    expect(summary(readMidiFile(writeMidiFile(events)).events)).toEqual([
+      [0, "on", "G4"],
+      [250, "off", "G4"],
+      [250, "on", "G4"],
+      [500, "off", "G4"]
+    ]);
+  });
+
+  test("keeps sustain pedal changes", () => {
+    const events = [
+      { time: 0, type: "sustain", down: true },
+      { time: 0, type: "on", note: "C4", velocity: 1 },
+      { time: 100, type: "off", note: "C4", velocity: 0 },
+      { time: 500, type: "sustain", down: false }
+    ];
+    const song = readMidiFile(writeMidiFile(events));
+    expect(song.events.filter((e) => e.type === "sustain")).toEqual([
+      { time: 0, type: "sustain", down: true },
+      { time: 500, type: "sustain", down: false }
+    ]);
+    expect(song.duration).toBe(500);
+  });
+
+  test("encodes delta times across variable-length boundaries", () => {
+    // At 120 bpm and 480 ppq a tick is 1/0.96 ms; these deltas need 1, 2, 3 and 4 bytes.
+    const deltas = [0x7f, 0x80, 0x3fff, 0x4000, 0x1fffff, 0x200000];
+    let tick = 0;
+    const events = deltas.map((delta, i) => {
+      tick += delta;
+      return { time: tick / 0.96, type: i % 2 ? "off" : "on", note: "A4", velocity: 1 };
+    });
+    const song = readMidiFile(writeMidiFile(events, { format: 0 }));
+    expect(song.events.map((e) => Math.round(e.time * 0.96))).toEqual(events.map((e) => Math.round(e.time * 0.96)));
+  });
+});
+
+describe("readMidiFile", () => {
+  test("reads running status, including note-ons with velocity 0 as note-offs", () => {
+    const track = [0, 0x90, 60, 100, 0, 64, 90, 96, 60, 0, 0, 64, 0, ...END_OF_TRACK];
+    expect(summary(readMidiFile(smf([track])).events)).toEqual([
+      [0, "on", "C4"],
+      [0, "on", "E4"],
+      [100, "off", "C4"],
+      [100, "off", "E4"]
+    ]);
+  });
+
+  test("skips meta events and channel messages other than notes and the sustain pedal", () => {
+    const track = [0, 0x90, 60, 100, 0, 0xff, 0x01, 1, 0x41, 0, 0xc0, 5, 0, 0xb0, 1, 127, 48, 0x80, 60, 0, ...END_OF_TRACK];
+    expect(summary(readMidiFile(smf([track])).events)).toEqual([
+      [0, "on", "C4"],
+      [50, "off", "C4"]
+    ]);
+  });
+
+  test("follows tempo changes in a format 1 tempo track", () => {
+    // 120 bpm for the first quarter (500 ms), then 60 bpm (1000 ms per quarter).
+    const tempoTrack = [0, 0xff, 0x51, 3, 0x07, 0xa1, 0x20, 0x83, 0x60, 0xff, 0x51, 3, 0x0f, 0x42, 0x40, ...END_OF_TRACK];
+    const notes = [0, 0x90, 69, 100, 0x87, 0x40, 0x80, 69, 0, ...END_OF_TRACK]; // note-off two quarters in
+    const song = readMidiFile(smf([tempoTrack, notes]));
+    expect(song.bpm).toBe(120);
+    expect(summary(song.events)).toEqual([
+      [0, "on", "A4"],
+      [1500, "off", "A4"]
+    ]);
+  });
+
+  test("defaults to 120 bpm without a tempo event", () => {
+    const song = readMidiFile(smf([[0, 0x90, 60, 100, 0x83, 0x60, 0x80, 60, 0, ...END_OF_TRACK]]));
+    expect(song.bpm).toBe(DEFAULT_BPM);
+    expect(song.duration).toBeCloseTo(500);
+  });
+
+  test("reads SMPTE time division", () => {
+    // 25 frames per second, 40 ticks per frame: 1000 ticks per second.
+    const track = [0, 0x90, 60, 100, 0x87, 0x68, 0x80, 60, 0, ...END_OF_TRACK];
+    expect(summary(readMidiFile(smf([track], { division: 0xe728 })).events)).toEqual([
+      [0, "on", "C4"],
+      [1000, "off", "C4"]
+    ]);
+  });
+
+  test("skips unknown chunks", () => {
+    const bytes = smf([[0, 0x90, 60, 100, ...END_OF_TRACK]]);
+    const withJunk = Uint8Array.from([...bytes.subarray(0, 14), 0x58, 0x59, 0x5a, 0x5a, 0, 0, 0, 2, 1, 2, ...bytes.subarray(14)]);
+    expect(summary(readMidiFile(withJunk).events)).toEqual([[0, "on", "C4"]]);
+  });
+
+  test("rejects files that aren't a readable SMF", () => {
+    const good = writeMidiFile(take);
+    expect(() => readMidiFile(new Uint8Array([1, 2, 3]))).toThrow("Not a Standard MIDI File");
+    expect(() => readMidiFile(good.subarray(0, 10))).toThrow("Not a Standard MIDI File");
+    expect(() => readMidiFile(Uint8Array.from([0x52, 0x49, 0x46, 0x46, ...good.subarray(4)]))).toThrow("Not a Standard MIDI File");
+
+    const shortHeader = Uint8Array.from(good);
+    shortHeader[7] = 4;
+    expect(() => readMidiFile(shortHeader)).toThrow("Malformed MIDI file header");
+
+    const format3 = Uint8Array.from(good);
+    format3[9] = 3;
+    expect(() => readMidiFile(format3)).toThrow("Unsupported MIDI file format: 3");
+  });
+
+  test("rejects truncated tracks", () => {
+    const track = [0, 0x90, 60, 100, 0x83, 0x60, 0x80, 60, 0, ...END_OF_TRACK];
+    expect(() => readMidiFile(smf([track.slice(0, 3)]))).toThrow("Truncated MIDI track");
+    expect(() => readMidiFile(smf([track.slice(0, 5)]))).toThrow("Truncated MIDI track");
+    expect(() => readMidiFile(smf([[0, 0xff, 0x03, 10, 0x41]]))).toThrow("Truncated MIDI track");
+    expect(() => readMidiFile(smf([[0, 60, 100]]))).toThrow("MIDI data byte without a status byte");
+    expect(() => readMidiFile(smf([[0xff, 0xff, 0xff, 0xff, 0x7f]]))).toThrow("Malformed variable-length value");
+  });
+});
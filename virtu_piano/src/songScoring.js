@@ -0,0 +1,91 @@
+// Scoring for learning mode: matches the player's note-ons against a song's expected notes.
+// Pure functions over plain state so they can be driven by any clock.
+
+// PUBLIC_INTERFACE
+/**
+ * Timing windows in milliseconds: within `hit` of the expected time is a hit; within `ok` it is
+ * early or late; anything further away does not match the note at all (and it becomes a miss once
+ * the song is `ok` past it).
+ */
+export const TIMING_WINDOWS = { hit: 90, ok: 220 };
+
+// PUBLIC_INTERFACE
+/**
+ * Judges a single timing offset (actual - expected, ms): "hit", "early", "late" or null when outside the windows.
+ */
+export function judgeTiming(delta, windows = TIMING_WINDOWS) {
+  if (Math.abs(delta) <= windows.hit) return "hit";
+  if (Math.abs(delta) > windows.ok) return null;
+  return delta < 0 ? "early" : "late";
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Fresh score state for a song: one judgement slot per note, plus a count of wrong notes.
+ */
+export function createScoreState(notes) {
+  return { judgements: notes.map(() => null), wrong: 0 };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Registers a played note at `songTime`. Matches the closest unjudged note of the same pitch within
+ * the timing windows; with `lenient` (wait-for-note practice) any unjudged note of that pitch that is
+ * already due counts as a hit. Returns { state, index, judgement } with index -1 for a wrong note.
+ */
+export function registerNoteOn(state, notes, midi, songTime, { windows = TIMING_WINDOWS, lenient = false } = {}) {
+  let best = -1;
+  let bestDelta = Infinity;
+  notes.forEach((n, i) => {
+    if (n.midi !== midi || state.judgements[i]) return;
+    const delta = songTime - n.time;
+    const eligible = lenient ? delta >= -windows.ok : Math.abs(delta) <= windows.ok;
+    if (eligible && Math.abs(delta) < Math.abs(bestDelta)) {
+      best = i;
+      bestDelta = delta;
+    }
+  });
+  if (best === -1) {
+    return { state: { ...state, wrong: state.wrong + 1 }, index: -1, judgement: "wrong" };
+  }
+  const judgement = lenient ? "hit" : judgeTiming(bestDelta, windows);
+  const judgements = state.judgements.slice();
+  judgements[best] = judgement;
+  return { state: { ...state, judgements }, index: best, judgement };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Marks every unjudged note that is more than the `ok` window in the past as a miss.
+ * Returns the same state object when nothing changed.
+ */
+export function registerMisses(state, notes, songTime, windows = TIMING_WINDOWS) {
+  let judgements = null;
+  notes.forEach((n, i) => {
+    if (!state.judgements[i] && songTime - n.time > windows.ok) {
+      judgements = judgements || state.judgements.slice();
+      judgements[i] = "miss";
+    }
+  });
+  return judgements ? { ...state, judgements } : state;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Counts per judgement and an accuracy (0-1) over the notes judged so far:
+ * hits count fully, early/late half, misses not at all.
+ */
+export function summarizeScore(state) {
+  const counts = { hit: 0, early: 0, late: 0, miss: 0 };
+  state.judgements.forEach((j) => {
+    if (j) counts[j] += 1;
+  });
+  const judged = counts.hit + counts.early + counts.late + counts.miss;
+  return {
+    ...counts,
+    wrong: state.wrong,
+    judged,
+    total: state.judgements.length,
+    accuracy: judged ? (counts.hit + 0.5 * (counts.early + counts.late)) / judged : 0
+  };
+}
@@ -0,0 +1,106 @@
+import {
+  TIMING_WINDOWS,
+  createScoreState,
+  judgeTiming,
+  registerMisses,
+  registerNoteOn,
+  summarizeScore
+} from "./songScoring";
+
+const notes = [
+  { note: "C4", midi: 60, time: 0, duration: 400 },
+  { note: "E4", midi: 64, time: 500, duration: 400 },
+  { note: "C4", midi: 60, time: 1000, duration: 400 }
+];
+
+describe("judgeTiming", () => {
+  test("judges by window, inclusive at each edge", () => {
+    const { hit, ok } = TIMING_WINDOWS;
+    expect(judgeTiming(0)).toBe("hit");
+    expect(judgeTiming(hit)).toBe("hit");
+    expect(judgeTiming(-hit)).toBe("hit");
+    expect(judgeTiming(hit + 1)).toBe("late");
+    expect(judgeTiming(-hit - 1)).toBe("early");
+    expect(judgeTiming(ok)).toBe("late");
+    expect(judgeTiming(-ok)).toBe("early");
+    expect(judgeTiming(ok + 1)).toBeNull();
+    expect(judgeTiming(-ok - 1)).toBeNull();
+  });
+
+  test("takes custom windows", () => {
+    expect(judgeTiming(30, { hit: 20, ok: 50 })).toBe("late");
+    expect(judgeTiming(60, { hit: 20, ok: 50 })).toBeNull();
+  });
+});
+
+describe("registerNoteOn", () => {
+  test("matches the closest unjudged note of the same pitch", () => {
+    let state = createScoreState(notes);
+    let result = registerNoteOn(state, notes, 60, 980);
+    expect(result).toMatchObject({ index: 2, judgement: "hit" });
+    state = result.state;
+    result = registerNoteOn(state, notes, 60, 1010);
+    expect(result).toMatchObject({ index: -1, judgement: "wrong" }); // already judged
+    expect(result.state.wrong).toBe(1);
+  });
+
+  test("judges early and late notes and counts off-window or wrong-pitch notes as wrong", () => {
+    const state = createScoreState(notes);
+    expect(registerNoteOn(state, notes, 64, 350)).toMatchObject({ index: 1, judgement: "early" });
+    expect(registerNoteOn(state, notes, 64, 700)).toMatchObject({ index: 1, judgement: "late" });
+    expect(registerNoteOn(state, notes, 64, 250)).toMatchObject({ index: -1, judgement: "wrong" });
+    expect(registerNoteOn(state, notes, 62, 500)).toMatchObject({ index: -1, judgement: "wrong" });
+  });
+
+  test("leaves the state it was given untouched", () => {
+    const state = createScoreState(notes);
+    registerNoteOn(state, notes, 60, 0);
+    registerNoteOn(state, notes, 61, 0);
+    expect(state).toEqual({ judgements: [null, null, null], wrong: 0 });
+  });
+
+  test("in lenient mode counts any due note as a hit, however late", () => {
+    const state = createScoreState(notes);
+    expect(registerNoteOn(state, notes, 64, 3000, { lenient: true })).toMatchObject({ index: 1, judgement: "hit" });
+    expect(registerNoteOn(state, notes, 64, 500 - TIMING_WINDOWS.ok, { lenient: true })).toMatchObject({ index: 1, judgement: "hit" });
+    // Not yet due: too early even when waiting for the player.
+    expect(registerNoteOn(state, notes, 64, 499 - TIMING_WINDOWS.ok, { lenient: true })).toMatchObject({ index: -1 });
+  });
+
+  test("in lenient mode still prefers the nearest note of the pitch", () => {
+    const state = createScoreState(notes);
+    expect(registerNoteOn(state, notes, 60, 900, { lenient: true })).toMatchObject({ index: 2 });
+  });
+});
+
+describe("registerMisses", () => {
+  test("marks unjudged notes more than the ok window in the past", () => {
+    let state = createScoreState(notes);
+    expect(registerMisses(state, notes, TIMING_WINDOWS.ok)).toBe(state);
+
+    state = registerNoteOn(state, notes, 64, 500).state;
+    state = registerMisses(state, notes, 500 + TIMING_WINDOWS.ok + 1);
+    expect(state.judgements).toEqual(["miss", "hit", null]);
+    expect(registerMisses(state, notes, 5000).judgements).toEqual(["miss", "hit", "miss"]);
+  });
+});
+
+describe("summarizeScore", () => {
+  test("counts judgements and weighs early/late as half a hit", () => {
+    const summary = summarizeScore({ judgements: ["hit", "early", "late", "miss", null], wrong: 2 });
+    expect(summary).toEqual({
+      hit: 1,
+      early: 1,
+      late: 1,
+      miss: 1,
+      wrong: 2,
+      judged: 4,
+      total: 5,
+      accuracy: 0.5
+    });
+  });
+
+  test("reports zero accuracy before anything is judged", () => {
+    expect(summarizeScore(createScoreState(notes))).toMatchObject({ judged: 0, total: 3, accuracy: 0 });
+  });
+});
@@ -0,0 +1,103 @@
+// Songs for learning mode. A song is { name, notes: [{ note, midi, time, duration }] } with times
+// in milliseconds at 100% tempo, sorted by time.
+
+import { KEYBOARD_RANGE_PRESETS, isNoteName, midiToNoteName, noteNameToMidi } from "./notes";
+import { readMidiFile } from "./smf";
+
+// PUBLIC_INTERFACE
+/**
+ * Pairs note-on/note-off events (as produced by the recorder or readMidiFile) into song notes.
+ * A note-on without a matching note-off lasts until the last event. Sustain pedal changes are
+ * ignored: a song note lasts as long as its key is held.
+ */
+export function songFromEvents(events, name = "Untitled") {
+  const open = {};
+  const notes = [];
+  const end = events.reduce((max, e) => Math.max(max, e.time), 0);
+  events.forEach((e) => {
+    if (e.type !== "on" && e.type !== "off") return;
+    const midi = noteNameToMidi(e.note);
+    if (e.type === "on") {
+      (open[midi] = open[midi] || []).push(e.time);
+    } else if (open[midi] && open[midi].length) {
+      const start = open[midi].shift();
+      notes.push({ note: midiToNoteName(midi), midi, time: start, duration: e.time - start });
+    }
+  });
+  Object.keys(open).forEach((midi) => {
+    open[midi].forEach((start) => {
+      notes.push({ note: midiToNoteName(Number(midi)), midi: Number(midi), time: start, duration: end - start });
+    });
+  });
+  notes.sort((a, b) => a.time - b.time || a.midi - b.midi);
+  return { name, notes };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Parses the JSON song format:
+ *   { "name": "...", "bpm": 100, "notes": [{ "note": "E4", "beat": 0, "beats": 1 }, ...] }
+ * Notes may give `time`/`duration` in milliseconds instead of `beat`/`beats` (which need `bpm`).
+ * Throws an Error describing the first problem found.
+ */
+export function parseSongJson(text) {
+  const data = typeof text === "string" ? JSON.parse(text) : text;
+  if (!data || !Array.isArray(data.notes)) throw new Error("Song JSON needs a \"notes\" array.");
+  if (data.bpm != null && !(data.bpm > 0)) throw new Error("Song \"bpm\" must be a positive number.");
+  const msPerBeat = 60000 / (data.bpm || 120);
+  const notes = data.notes.map((n, i) => {
+    if (!n || typeof n.note !== "string") throw new Error(`Note ${i + 1} has no "note" name.`);
+    if (!isNoteName(n.note)) throw new Error(`Note ${i + 1} has an unknown note name "${n.note}".`);
+    const midi = noteNameToMidi(n.note);
+    const time = n.beat != null ? n.beat * msPerBeat : n.time;
+    const duration = n.beats != null ? n.beats * msPerBeat : n.duration;
+    if (!Number.isFinite(time)) throw new Error(`Note ${i + 1} has no "beat" or "time".`);
+    return { note: midiToNoteName(midi), midi, time, duration: typeof duration === "number" ? duration : msPerBeat };
+  });
+  notes.sort((a, b) => a.time - b.time || a.midi - b.midi);
+  return { name: data.name || "Untitled", notes };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Leaves out the notes no keyboard can show, those beyond an 88-key piano (A0 to C8), so they are
+ * neither drawn nor scored. Returns { song, dropped } with the number of notes left out.
+ */
+export function withPlayableNotes(song) {
+  const lowest = noteNameToMidi(KEYBOARD_RANGE_PRESETS[88].from);
+  const highest = noteNameToMidi(KEYBOARD_RANGE_PRESETS[88].to);
+  const notes = song.notes.filter((n) => n.midi >= lowest && n.midi <= highest);
+  return { song: notes.length === song.notes.length ? song : { ...song, notes }, dropped: song.notes.length - notes.length };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Loads a song from a .mid/.midi or .json File.
+ */
+export async function loadSongFile(file) {
+  const baseName = file.name.replace(/\.[^.]+$/, "");
+  if (/\.json$/i.test(file.name)) {
+    const song = parseSongJson(await file.text());
+    return song.name === "Untitled" ? { ...song, name: baseName } : song;
+  }
+  const midi = readMidiFile(new Uint8Array(await file.arrayBuffer()));
+  return songFromEvents(midi.events, midi.name || baseName);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * A short built-in song so learning mode can be tried without a file.
+ */
+export const DEMO_SONG = parseSongJson({
+  name: "Ode to Joy (opening)",
+  bpm: 100,
+  notes: [
+    "E4", "E4", "F4", "G4", "G4", "F4", "E4", "D4",
+    "C4", "C4", "D4", "E4"
+  ].map((note, beat) => ({ note, beat, beats: 0.9 }))
+    .concat([
+      { note: "E4", beat: 12, beats: 1.4 },
+      { note: "D4", beat: 13.5, beats: 0.4 },
+      { note: "D4", beat: 14, beats: 1.9 }
+    ])
+});
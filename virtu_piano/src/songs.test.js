@@ -0,0 +1,106 @@
+import { DEMO_SONG, parseSongJson, songFromEvents, withPlayableNotes } from "./songs";
+
+describe("parseSongJson", () => {
+  test("converts beats to milliseconds and sorts the notes", () => {
+    const song = parseSongJson('{"name":"Test","bpm":120,"notes":[{"note":"G4","beat":1},{"note":"C4","beat":0,"beats":2}]}');
+    expect(song).toEqual({
+      name: "Test",
+      notes: [
+        { note: "C4", midi: 60, time: 0, duration: 1000 },
+        { note: "G4", midi: 67, time: 500, duration: 500 }
+      ]
+    });
+  });
+
+  test("takes milliseconds, flat spellings and already-parsed objects", () => {
+    const song = parseSongJson({ notes: [{ note: "Bb3", time: 250, duration: 100 }] });
+    expect(song).toEqual({ name: "Untitled", notes: [{ note: "A#3", midi: 58, time: 250, duration: 100 }] });
+  });
+
+  test.each([
+    ["not JSON", "{notes: ["],
+    ["no notes array", { name: "x" }],
+    ["notes that aren't an array", { notes: "C4 E4" }],
+    ["a null song", null],
+    ["a null note", { notes: [null] }],
+    ["a note without a name", { notes: [{ beat: 0 }] }],
+    ["an unknown note name", { notes: [{ note: "H4", beat: 0 }] }],
+    ["a note without a time", { notes: [{ note: "C4" }] }],
+    ["a time that isn't a number", { notes: [{ note: "C4", time: "0" }] }],
+    ["a zero bpm", { bpm: 0, notes: [{ note: "C4", beat: 0 }] }],
+    ["a bpm that isn't a number", { bpm: "fast", notes: [{ note: "C4", beat: 0 }] }]
+  ])("rejects %s", (_, input) => {
+    expect(() => parseSongJson(typeof input === "string" ? input : JSON.stringify(input))).toThrow();
+  });
+
+  test("says which note is wrong", () => {
+    expect(() => parseSongJson({ notes: [{ note: "C4", beat: 0 }, { note: "X9", beat: 1 }] })).toThrow(
+      'Note 2 has an unknown note name "X9".'
+    );
+  });
+
+  test("parses the demo song", () => {
+    expect(DEMO_SONG.notes).toHaveLength(15);
+    expect(DEMO_SONG.notes[0]).toEqual({ note: "E4", midi: 64, time: 0, duration: 540 });
+  });
+});
+
+describe("songFromEvents", () => {
+  test("pairs note-ons with note-offs, including re-struck and zero-length notes", () => {
+    const song = songFromEvents([
+      { time: 0, type: "on", note: "C4" },
+      { time: 100, type: "on", note: "C4" },
+      { time: 200, type: "off", note: "C4" },
+      { time: 300, type: "off", note: "C4" },
+      { time: 300, type: "on", note: "E4" },
+      { time: 300, type: "off", note: "E4" }
+    ], "Take");
+    expect(song.name).toBe("Take");
+    expect(song.notes.map((n) => [n.note, n.time, n.duration])).toEqual([
+      ["C4", 0, 200],
+      ["C4", 100, 200],
+      ["E4", 300, 0]
+    ]);
+  });
+
+  test("ignores the sustain pedal", () => {
+    const song = songFromEvents([
+      { time: 0, type: "sustain", down: true },
+      { time: 0, type: "on", note: "C4" },
+      { time: 100, type: "off", note: "C4" },
+      { time: 400, type: "sustain", down: false }
+    ]);
+    expect(song.notes.map((n) => [n.note, n.time, n.duration])).toEqual([["C4", 0, 100]]);
+  });
+
+  test("lets unreleased notes last until the last event", () => {
+    const song = songFromEvents([
+      { time: 0, type: "on", note: "G4" },
+      { time: 50, type: "off", note: "A4" },
+      { time: 400, type: "on", note: "B4" },
+      { time: 900, type: "off", note: "B4" }
+    ]);
+    expect(song.notes.map((n) => [n.note, n.time, n.duration])).toEqual([
+      ["G4", 0, 900],
+      ["B4", 400, 500]
+    ]);
+  });
+});
+
+describe("withPlayableNotes", () => {
+  test("leaves out notes beyond an 88-key piano and counts them", () => {
+    const song = parseSongJson({
+      bpm: 120,
+      notes: [{ note: "G#0", beat: 0 }, { note: "A0", beat: 1 }, { note: "C8", beat: 2 }, { note: "C#8", beat: 3 }]
+    });
+    const { song: playable, dropped } = withPlayableNotes(song);
+    expect(playable.notes.map((n) => n.note)).toEqual(["A0", "C8"]);
+    expect(playable.name).toBe(song.name);
+    expect(dropped).toBe(2);
+  });
+
+  test("returns a song with nothing to drop unchanged", () => {
+    expect(withPlayableNotes(DEMO_SONG)).toEqual({ song: DEMO_SONG, dropped: 0 });
+    expect(withPlayableNotes(DEMO_SONG).song).toBe(DEMO_SONG);
+  });
+});
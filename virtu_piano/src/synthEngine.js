@@ -0,0 +1,133 @@
+// The built-in audio engine: plays an instrument (see instruments.js) with note-on/note-off
+// behaviour and a sustain pedal.
+//
+// An audio engine is any object with
+//   { play(note, velocity, when), stop(note, when), setSustain(down, when), releaseAll() }
+// where `when` is an optional AudioContext time (seconds) to act at, for callers that schedule ahead;
+// without it the engine acts now. Engines with no clock of their own may ignore it.
+// PianoKeyboard takes one through its `audioEngine` prop, so an embedding app can send notes to its
+// own sound source (another synth, a sampler, a network session) instead of this one.
+
+import { getAudioContext } from "./audioContext";
+import { DEFAULT_INSTRUMENT } from "./instruments";
+import { getMasterBus } from "./masterBus";
+import { DEFAULT_ENVELOPE, releaseVoice as releaseVoiceAt, startVoice } from "./synthVoice";
+
+// PUBLIC_INTERFACE
+/**
+ * MIDI controller number of the damper (sustain) pedal.
+ */
+export const CC_SUSTAIN = 64;
+
+// PUBLIC_INTERFACE
+/**
+ * Creates a synth engine: one voice per note from `instrument`, an ADSR envelope that holds its
+ * sustain level while the note is down, and a sustain pedal that defers releases. The instrument's
+ * own envelope, if it has one, wins over `envelope`.
+ * Audio goes to the shared AudioContext's master bus unless `getContext`/`getDestination` say
+ * otherwise; a caller's own context defaults to its `destination`, since nodes can't connect across
+ * contexts. Both are called on first use, so nothing touches audio before a user gesture.
+ * Returns { play, stop, setSustain, controlChange, releaseAll, setInstrument }.
+ */
+export function createSynthEngine({
+  instrument = DEFAULT_INSTRUMENT,
+  envelope = DEFAULT_ENVELOPE,
+  getContext = getAudioContext,
+  getDestination = getContext === getAudioContext ? () => getMasterBus().input : () => getContext().destination
+} = {}) {
+  const voices = {};
+  let sustain = false;
+  let current = { instrument, envelope };
+
+  // Context time for an optional `when`: now, or the scheduled time if that is still ahead.
+  function timeFor(when) {
+    const now = getContext().currentTime;
+    return when == null ? now : Math.max(now, when);
+  }
+
+  // Starts the release stage of a voice at `time` and forgets it, so the note can be struck again.
+  function releaseVoice(note, voice, time) {
+    releaseVoiceAt(voice, time);
+    if (voices[note] === voice) {
+      delete voices[note];
+    }
+  }
+
+  /**
+   * Starts a note, now or at context time `when`. `velocity` (0-1) scales the envelope's peak level.
+   */
+  function play(note, velocity = 1, when) {
+    const ctx = getContext();
+    const time = timeFor(when);
+    if (voices[note]) {
+      // Re-striking a note that is held by the pedal (or still sounding) fades the old voice out first.
+      releaseVoice(note, voices[note], time);
+    }
+    const voice = startVoice(ctx, current.instrument, current.envelope, {
+      note,
+      velocity,
+      time,
+      destination: getDestination(),
+      onEnded: () => {
+        if (voices[note] === voice) {
+          delete voices[note];
+        }
+      }
+    });
+    if (!voice) return; // instrument not ready (e.g. samples still loading)
+    voices[note] = voice;
+  }
+
+  /**
+   * Releases a note (now or at context time `when`), or leaves it ringing until the pedal lifts if
+   * the sustain pedal is down.
+   */
+  function stop(note, when) {
+    const voice = voices[note];
+    if (!voice) return;
+    if (sustain) {
+      voice.sustained = true;
+      return;
+    }
+    releaseVoice(note, voice, timeFor(when));
+  }
+
+  /**
+   * Presses (true) or lifts (false) the sustain pedal, now or at context time `when`. Lifting it
+   * releases every note it was holding.
+   */
+  function setSustain(down, when) {
+    sustain = down;
+    if (down) return;
+    const time = timeFor(when);
+    Object.keys(voices).forEach((note) => {
+      const voice = voices[note];
+      if (voice.sustained) releaseVoice(note, voice, time);
+    });
+  }
+
+  /**
+   * Handles a MIDI control change. Only the sustain pedal (CC64) is understood for now.
+   */
+  function controlChange(controller, value) {
+    if (controller === CC_SUSTAIN) setSustain(value >= 64);
+  }
+
+  /**
+   * Releases every sounding note, ignoring the sustain pedal.
+   */
+  function releaseAll() {
+    const time = getContext().currentTime;
+    Object.keys(voices).forEach((note) => releaseVoice(note, voices[note], time));
+  }
+
+  /**
+   * Switches the instrument (and fallback envelope) for notes played from now on. Notes already
+   * sounding keep their own voice and release time.
+   */
+  function setInstrument(nextInstrument = DEFAULT_INSTRUMENT, nextEnvelope = DEFAULT_ENVELOPE) {
+    current = { instrument: nextInstrument, envelope: nextEnvelope };
+  }
+
+  return { play, stop, setSustain, controlChange, releaseAll, setInstrument };
+}
@@ -0,0 +1,200 @@
+import { createSynthEngine } from "./synthEngine";
+import { MAX_GAIN, releaseTail, releaseVoice, startVoice } from "./synthVoice";
+
+// The shared master bus lives in another AudioContext than the stub ones below.
+jest.mock("./masterBus", () => ({
+  getMasterBus: () => {
+    throw new Error("The shared master bus was used");
+  }
+}));
+
+const env = { attack: 0.1, decay: 0.1, sustain: 0.5, release: 0.5 };
+
+// Records the automation calls made on it, in order.
+function stubParam({ holdAtTime = true } = {}) {
+  const calls = [];
+  const record = (method) => (...args) => calls.push([method, ...args]);
+  const param = {
+    calls,
+    value: 0,
+    setValueAtTime: record("setValueAtTime"),
+    linearRampToValueAtTime: record("linearRampToValueAtTime"),
+    setTargetAtTime: record("setTargetAtTime"),
+    cancelScheduledValues: record("cancelScheduledValues")
+  };
+  if (holdAtTime) param.cancelAndHoldAtTime = record("cancelAndHoldAtTime");
+  return param;
+}
+
+// `createdGains` lists the gain nodes made from it, in order.
+function stubContext(options) {
+  const createdGains = [];
+  return {
+    createdGains,
+    currentTime: 0,
+    destination: { connect: jest.fn() },
+    createGain: () => {
+      const gain = { gain: stubParam(options), connect: jest.fn(), disconnect: jest.fn() };
+      createdGains.push(gain);
+      return gain;
+    }
+  };
+}
+
+// An instrument whose voices only record start/release/stop; `voices` lists them as created.
+function stubInstrument() {
+  const voices = [];
+  return {
+    voices,
+    createVoice(ctx, { note }) {
+      const source = {
+        note,
+        output: { connect: jest.fn() },
+        start: jest.fn(),
+        release: jest.fn(),
+        stop: jest.fn(),
+        onEnded: (callback) => {
+          source.ended = callback;
+        }
+      };
+      voices.push(source);
+      return source;
+    }
+  };
+}
+
+describe("synth voices", () => {
+  test("schedule attack and decay from the note's time", () => {
+    const ctx = stubContext();
+    const voice = startVoice(ctx, stubInstrument(), env, { note: "A4", velocity: 1, time: 2, destination: ctx.destination });
+    expect(voice.gain.gain.calls).toEqual([
+      ["setValueAtTime", 0, 2],
+      ["linearRampToValueAtTime", MAX_GAIN, 2.1],
+      ["linearRampToValueAtTime", MAX_GAIN * 0.5, 2.2]
+    ]);
+  });
+
+  test("release during the attack ramps down from the level reached, not from the peak", () => {
+    const ctx = stubContext({ holdAtTime: false });
+    const voice = startVoice(ctx, stubInstrument(), env, { note: "A4", velocity: 1, time: 0, destination: ctx.destination });
+    releaseVoice(voice, 0.05);
+    const [cancel, hold, target] = voice.gain.gain.calls.slice(3);
+    expect(cancel).toEqual(["cancelScheduledValues", 0.05]);
+    expect(hold[0]).toBe("linearRampToValueAtTime");
+    expect(hold[1]).toBeCloseTo(MAX_GAIN / 2);
+    expect(hold[2]).toBe(0.05);
+    expect(target).toEqual(["setTargetAtTime", 0, 0.05, 0.1]);
+    expect(voice.source.stop).toHaveBeenCalledWith(0.05 + releaseTail(env));
+  });
+
+  test("release holds the current level where cancelAndHoldAtTime exists", () => {
+    const ctx = stubContext();
+    const voice = startVoice(ctx, stubInstrument(), env, { note: "A4", velocity: 1, time: 0, destination: ctx.destination });
+    releaseVoice(voice, 0.05);
+    expect(voice.gain.gain.calls.slice(3)).toEqual([
+      ["cancelAndHoldAtTime", 0.05],
+      ["setTargetAtTime", 0, 0.05, 0.1]
+    ]);
+    expect(voice.source.release).toHaveBeenCalledWith(0.05);
+  });
+});
+
+describe("createSynthEngine", () => {
+  function setup() {
+    const ctx = stubContext();
+    const instrument = stubInstrument();
+    const engine = createSynthEngine({
+      instrument,
+      envelope: env,
+      getContext: () => ctx,
+      getDestination: () => ctx.destination
+    });
+    return { ctx, engine, voices: instrument.voices };
+  }
+
+  test("plays into the given context's destination when only getContext is passed", () => {
+    const ctx = stubContext();
+    const engine = createSynthEngine({ instrument: stubInstrument(), envelope: env, getContext: () => ctx });
+    engine.play("C4");
+    expect(ctx.destination.connect).not.toHaveBeenCalled();
+    expect(ctx.createdGains[0].connect).toHaveBeenCalledWith(ctx.destination);
+  });
+
+  test("releases a note on key-up", () => {
+    const { ctx, engine, voices } = setup();
+    engine.play("C4");
+    ctx.currentTime = 1;
+    engine.stop("C4");
+    expect(voices[0].release).toHaveBeenCalledWith(1);
+  });
+
+  test("the sustain pedal holds a note past key-up until it lifts", () => {
+    const { ctx, engine, voices } = setup();
+    engine.controlChange(64, 127);
+    engine.play("C4");
+    ctx.currentTime = 1;
+    engine.stop("C4");
+    expect(voices[0].release).not.toHaveBeenCalled();
+    ctx.currentTime = 2;
+    engine.controlChange(64, 0);
+    expect(voices[0].release).toHaveBeenCalledWith(2);
+  });
+
+  test("lifting the pedal leaves notes that are still down sounding", () => {
+    const { engine, voices } = setup();
+    engine.setSustain(true);
+    engine.play("C4");
+    engine.play("E4");
+    engine.stop("C4");
+    engine.setSustain(false);
+    expect(voices[0].release).toHaveBeenCalled();
+    expect(voices[1].release).not.toHaveBeenCalled();
+  });
+
+  test("re-striking a held note fades the old voice and starts a new one", () => {
+    const { ctx, engine, voices } = setup();
+    engine.setSustain(true);
+    engine.play("C4");
+    engine.stop("C4");
+    ctx.currentTime = 0.5;
+    engine.play("C4");
+    expect(voices).toHaveLength(2);
+    expect(voices[0].release).toHaveBeenCalledWith(0.5);
+    expect(voices[1].start).toHaveBeenCalledWith(0.5);
+
+    // The old voice ending must not drop the new one: lifting the pedal still needs a key-up.
+    voices[0].ended();
+    engine.setSustain(false);
+    expect(voices[1].release).not.toHaveBeenCalled();
+    engine.stop("C4");
+    expect(voices[1].release).toHaveBeenCalled();
+  });
+
+  test("schedules notes, releases and pedal lifts at a given context time", () => {
+    const { ctx, engine, voices } = setup();
+    ctx.currentTime = 1;
+    engine.play("C4", 1, 1.5);
+    expect(voices[0].start).toHaveBeenCalledWith(1.5);
+    engine.stop("C4", 2);
+    expect(voices[0].release).toHaveBeenCalledWith(2);
+
+    engine.setSustain(true, 2);
+    engine.play("E4", 1, 2.1);
+    engine.stop("E4", 2.2);
+    engine.setSustain(false, 2.5);
+    expect(voices[1].release).toHaveBeenCalledWith(2.5);
+
+    // A time already past plays now rather than in the past.
+    engine.play("G4", 1, 0.5);
+    expect(voices[2].start).toHaveBeenCalledWith(1);
+  });
+
+  test("releaseAll ignores the pedal", () => {
+    const { engine, voices } = setup();
+    engine.setSustain(true);
+    engine.play("C4");
+    engine.play("G4");
+    engine.releaseAll();
+    expect(voices.every((v) => v.release.mock.calls.length === 1)).toBe(true);
+  });
+});
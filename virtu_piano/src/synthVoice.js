@@ -0,0 +1,106 @@
+// One note of the synth: the instrument's voice plus the amplitude envelope around it.
+// Shared by synthEngine.js (live playing) and offlineRender.js (rendering takes to audio files), so a
+// rendered take sounds like the live one. Everything is scheduled at explicit context times.
+
+import { noteNameToMidi, noteToFrequency } from "./notes";
+
+// PUBLIC_INTERFACE
+/**
+ * Default amplitude envelope. Times are in seconds; `sustain` is a fraction of the peak level.
+ */
+export const DEFAULT_ENVELOPE = {
+  attack: 0.01,
+  decay: 0.18,
+  sustain: 0.78,
+  release: 0.35
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Peak gain of a full-velocity note; leaves headroom for chords.
+ */
+export const MAX_GAIN = 0.23;
+
+// Extra time after the release before sources are stopped; setTargetAtTime is inaudible by then.
+const STOP_MARGIN = 0.05;
+
+// PUBLIC_INTERFACE
+/**
+ * Starts `note` on `instrument` at `time`, with its envelope into `destination`.
+ * The instrument's own envelope, if it has one, wins over `envelope`. `onEnded` runs once the
+ * voice's sources have stopped and it has been disconnected.
+ * Returns a voice { source, gain, env, peak, startTime, sustained } or null when the instrument can't play yet.
+ */
+export function startVoice(ctx, instrument, envelope, { note, velocity, time, destination, onEnded }) {
+  const env = instrument.envelope || envelope || DEFAULT_ENVELOPE;
+  const noteVelocity = Math.min(1, Math.max(0, velocity));
+  const source = instrument.createVoice(ctx, {
+    note,
+    midi: noteNameToMidi(note),
+    frequency: noteToFrequency(note),
+    velocity: noteVelocity,
+    time
+  });
+  if (!source) return null;
+  const peak = MAX_GAIN * noteVelocity;
+  const gain = ctx.createGain();
+  gain.gain.setValueAtTime(0, time);
+  gain.gain.linearRampToValueAtTime(peak, time + env.attack); // attack
+  gain.gain.linearRampToValueAtTime(peak * env.sustain, time + env.attack + env.decay); // decay, then hold
+  source.output.connect(gain);
+  gain.connect(destination);
+  source.start(time);
+  source.onEnded(() => {
+    gain.disconnect();
+    if (onEnded) onEnded();
+  });
+  // Each voice keeps its own release time so an instrument switch doesn't cut notes already sounding.
+  return { source, gain, env, peak, startTime: time, sustained: false };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Starts the release stage of a voice at `time` and stops its sources once it is silent.
+ */
+export function releaseVoice(voice, time) {
+  const param = voice.gain.gain;
+  if (param.cancelAndHoldAtTime) {
+    param.cancelAndHoldAtTime(time);
+  } else {
+    // Without cancelAndHoldAtTime, end the envelope's (linear) segments at the level they reach by
+    // `time`. Reading param.value instead would be wrong when the release is scheduled ahead.
+    param.cancelScheduledValues(time);
+    param.linearRampToValueAtTime(envelopeLevel(voice.env, voice.peak, time - voice.startTime), time);
+  }
+  // setTargetAtTime never quite reaches zero; a time constant of release/5 is inaudible by the end.
+  param.setTargetAtTime(0, time, voice.env.release / 5);
+  voice.source.release(time);
+  voice.source.stop(time + releaseTail(voice.env));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Envelope level `t` seconds after note-on, for a note released at `releasedAt` (seconds after
+ * note-on, or null while held). Mirrors the automation scheduled by startVoice/releaseVoice, for
+ * renderers that compute samples directly.
+ */
+export function envelopeLevel(env, peak, t, releasedAt = null) {
+  const held = (time) => {
+    if (time <= 0) return 0;
+    if (time < env.attack) return peak * (time / env.attack);
+    if (time < env.attack + env.decay) {
+      return peak + (peak * env.sustain - peak) * ((time - env.attack) / env.decay);
+    }
+    return peak * env.sustain;
+  };
+  if (releasedAt === null || t < releasedAt) return held(t);
+  return held(releasedAt) * Math.exp(-(t - releasedAt) / (env.release / 5));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Seconds a voice keeps sounding after its release starts.
+ */
+export function releaseTail(env) {
+  return env.release + STOP_MARGIN;
+}
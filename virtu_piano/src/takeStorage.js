@@ -0,0 +1,45 @@
+// Persists recorded takes in localStorage.
+// A take is { id, name, createdAt, duration, events } - see smf.js for the event shape.
+
+const STORAGE_KEY = "virtupiano.takes";
+
+// PUBLIC_INTERFACE
+/**
+ * Returns every saved take, newest first. Missing or corrupt storage yields an empty list.
+ */
+export function loadTakes() {
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || "[]");
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Replaces the saved takes. Returns false when storage is unavailable or full.
+ */
+export function saveTakes(takes) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(takes));
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Builds a new take object from recorded events.
+ */
+export function createTake(events, { name, duration } = {}) {
+  const createdAt = Date.now();
+  return {
+    id: `take-${createdAt}-${Math.random().toString(36).slice(2, 7)}`,
+    name: name || `Take ${new Date(createdAt).toLocaleString()}`,
+    createdAt,
+    duration: duration != null ? duration : events.reduce((max, e) => Math.max(max, e.time), 0),
+    events
+  };
+}
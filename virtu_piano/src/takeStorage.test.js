@@ -0,0 +1,47 @@
+import { createTake, loadTakes, saveTakes } from "./takeStorage";
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+describe("takeStorage", () => {
+  const events = [
+    { time: 0, type: "on", note: "C4", velocity: 1 },
+    { time: 480, type: "off", note: "C4", velocity: 0 }
+  ];
+
+  test("saves, lists and deletes takes", () => {
+    const first = createTake(events, { name: "First" });
+    const second = createTake(events, { name: "Second" });
+    expect(saveTakes([second, first])).toBe(true);
+    expect(loadTakes()).toEqual([second, first]);
+    saveTakes(loadTakes().filter((t) => t.id !== second.id));
+    expect(loadTakes()).toEqual([first]);
+  });
+
+  test("returns no takes for missing or corrupt storage", () => {
+    expect(loadTakes()).toEqual([]);
+    window.localStorage.setItem("virtupiano.takes", "{broken");
+    expect(loadTakes()).toEqual([]);
+    window.localStorage.setItem("virtupiano.takes", JSON.stringify({ id: "not a list" }));
+    expect(loadTakes()).toEqual([]);
+  });
+
+  test("reports a full or unavailable storage", () => {
+    const spy = jest.spyOn(window.Storage.prototype, "setItem").mockImplementation(() => {
+      throw new Error("QuotaExceededError");
+    });
+    expect(saveTakes([createTake(events)])).toBe(false);
+    spy.mockRestore();
+  });
+
+  test("builds takes with unique ids, a default name and the last event's time as duration", () => {
+    const a = createTake(events);
+    const b = createTake(events, { duration: 1000 });
+    expect(a.id).not.toBe(b.id);
+    expect(a.name).toMatch(/^Take /);
+    expect(a.duration).toBe(480);
+    expect(b.duration).toBe(1000);
+    expect(a.events).toBe(events);
+  });
+});
@@ -0,0 +1,281 @@
+// Music theory helpers: interval sets, chord naming, scale generation and enharmonic spelling.
+// Builds on the note-name parsing in notes.js and stays free of React/DOM so it can be unit-tested.
+
+import { noteNameToMidi, noteNameToPitchClass } from "./notes";
+
+const LETTERS = ["C", "D", "E", "F", "G", "A", "B"];
+const LETTER_SEMITONES = [0, 2, 4, 5, 7, 9, 11];
+
+const SHARP_NAMES = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
+const FLAT_NAMES = ["C", "Db", "D", "Eb", "E", "F", "Gb", "G", "Ab", "A", "Bb", "B"];
+
+// PUBLIC_INTERFACE
+/** Key names offered for scale selection, spelled the way the key is usually written. */
+export const KEY_NAMES = ["C", "C#", "Db", "D", "Eb", "E", "F", "F#", "Gb", "G", "Ab", "A", "Bb", "B"];
+
+// PUBLIC_INTERFACE
+export const INTERVAL_NAMES = [
+  "Unison",
+  "Minor second",
+  "Major second",
+  "Minor third",
+  "Major third",
+  "Perfect fourth",
+  "Tritone",
+  "Perfect fifth",
+  "Minor sixth",
+  "Major sixth",
+  "Minor seventh",
+  "Major seventh"
+];
+
+// PUBLIC_INTERFACE
+/**
+ * Chord qualities as semitone sets above the root. Order matters: when a pitch set matches several
+ * qualities (e.g. C6 = Am7/C), earlier entries win among candidates with the same bass.
+ */
+export const CHORD_TYPES = [
+  { id: "maj", suffix: "", intervals: [0, 4, 7] },
+  { id: "min", suffix: "m", intervals: [0, 3, 7] },
+  { id: "dim", suffix: "dim", intervals: [0, 3, 6] },
+  { id: "aug", suffix: "aug", intervals: [0, 4, 8] },
+  { id: "sus4", suffix: "sus4", intervals: [0, 5, 7] },
+  { id: "sus2", suffix: "sus2", intervals: [0, 2, 7] },
+  { id: "5", suffix: "5", intervals: [0, 7] },
+  { id: "7", suffix: "7", intervals: [0, 4, 7, 10] },
+  { id: "maj7", suffix: "maj7", intervals: [0, 4, 7, 11] },
+  { id: "m7", suffix: "m7", intervals: [0, 3, 7, 10] },
+  { id: "mMaj7", suffix: "m(maj7)", intervals: [0, 3, 7, 11] },
+  { id: "m7b5", suffix: "m7b5", intervals: [0, 3, 6, 10] },
+  { id: "dim7", suffix: "dim7", intervals: [0, 3, 6, 9] },
+  { id: "aug7", suffix: "aug7", intervals: [0, 4, 8, 10] },
+  { id: "7sus4", suffix: "7sus4", intervals: [0, 5, 7, 10] },
+  { id: "6", suffix: "6", intervals: [0, 4, 7, 9] },
+  { id: "m6", suffix: "m6", intervals: [0, 3, 7, 9] },
+  { id: "add9", suffix: "add9", intervals: [0, 2, 4, 7] },
+  { id: "madd9", suffix: "m(add9)", intervals: [0, 2, 3, 7] },
+  { id: "9", suffix: "9", intervals: [0, 2, 4, 7, 10] },
+  { id: "maj9", suffix: "maj9", intervals: [0, 2, 4, 7, 11] },
+  { id: "m9", suffix: "m9", intervals: [0, 2, 3, 7, 10] },
+  // Common voicings that leave out the fifth.
+  { id: "7no5", suffix: "7", intervals: [0, 4, 10] },
+  { id: "maj7no5", suffix: "maj7", intervals: [0, 4, 11] },
+  { id: "m7no5", suffix: "m7", intervals: [0, 3, 10] }
+];
+
+// PUBLIC_INTERFACE
+export const SCALES = [
+  { id: "major", name: "Major (Ionian)", intervals: [0, 2, 4, 5, 7, 9, 11] },
+  { id: "minor", name: "Natural minor (Aeolian)", intervals: [0, 2, 3, 5, 7, 8, 10] },
+  { id: "harmonic-minor", name: "Harmonic minor", intervals: [0, 2, 3, 5, 7, 8, 11] },
+  { id: "melodic-minor", name: "Melodic minor", intervals: [0, 2, 3, 5, 7, 9, 11] },
+  { id: "dorian", name: "Dorian", intervals: [0, 2, 3, 5, 7, 9, 10] },
+  { id: "phrygian", name: "Phrygian", intervals: [0, 1, 3, 5, 7, 8, 10] },
+  { id: "lydian", name: "Lydian", intervals: [0, 2, 4, 6, 7, 9, 11] },
+  { id: "mixolydian", name: "Mixolydian", intervals: [0, 2, 4, 5, 7, 9, 10] },
+  { id: "locrian", name: "Locrian", intervals: [0, 1, 3, 5, 6, 8, 10] },
+  { id: "major-pentatonic", name: "Major pentatonic", intervals: [0, 2, 4, 7, 9] },
+  { id: "minor-pentatonic", name: "Minor pentatonic", intervals: [0, 3, 5, 7, 10] },
+  { id: "blues", name: "Blues", intervals: [0, 3, 5, 6, 7, 10] }
+];
+
+// Scales whose third is minor take the key signature of their relative major.
+const MINOR_THIRD_SCALES = new Set(["minor", "harmonic-minor", "melodic-minor", "dorian", "phrygian", "locrian", "minor-pentatonic", "blues"]);
+
+// Major keys written with flats: F, Bb, Eb, Ab, Db, Gb (Gb over F#, by convention here).
+const FLAT_MAJOR_KEYS = new Set([5, 10, 3, 8, 1, 6]);
+
+// Letter steps above the root for each chord-tone interval (a 9 is read as a sixth, a 10 as a seventh).
+const INTERVAL_LETTER_STEPS = [0, 1, 1, 2, 2, 3, 4, 4, 4, 5, 6, 6];
+
+// Position of each interval when a chord is stacked in thirds: root, third (or the fourth of a
+// suspended chord), fifth, seventh (or sixth), then the ninth/added second. Inversions count along it.
+const STACKED_THIRDS_RANK = [0, 4, 4, 1, 1, 1, 2, 2, 2, 3, 3, 3];
+
+function mod12(n) {
+  return ((n % 12) + 12) % 12;
+}
+
+// Accepts a MIDI number or a note name with or without octave.
+function toPitchClass(note) {
+  if (typeof note === "number") return mod12(note);
+  const pc = noteNameToPitchClass(note);
+  return pc !== null ? pc : mod12(noteNameToMidi(note));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Name of the interval between two notes (names or MIDI numbers), reduced to within an octave.
+ */
+export function intervalName(a, b) {
+  const semitones = Math.abs((typeof b === "number" ? b : noteNameToMidi(b)) - (typeof a === "number" ? a : noteNameToMidi(a)));
+  if (semitones === 12) return "Octave";
+  return INTERVAL_NAMES[semitones % 12] + (semitones > 12 ? " (compound)" : "");
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Sorted pitch-class set (0-11) of the given notes, as MIDI numbers or note names.
+ */
+export function pitchClassSet(notes) {
+  return Array.from(new Set(notes.map(toPitchClass))).sort((a, b) => a - b);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Whether a key (tonic + scale) is conventionally written with flats.
+ */
+export function keyPrefersFlats(tonic, scaleId = "major") {
+  if (typeof tonic === "string" && /b|♭/.test(tonic.slice(1))) return true;
+  if (typeof tonic === "string" && /#|♯/.test(tonic.slice(1))) return false;
+  const pc = toPitchClass(tonic);
+  const relativeMajor = MINOR_THIRD_SCALES.has(scaleId) ? mod12(pc + 3) : pc;
+  return FLAT_MAJOR_KEYS.has(relativeMajor);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Spells a pitch class with sharps or flats.
+ */
+export function spellPitchClass(pc, preferFlats = false) {
+  return (preferFlats ? FLAT_NAMES : SHARP_NAMES)[mod12(pc)];
+}
+
+function spellWithLetter(pc, letterIdx) {
+  const diff = mod12(pc - LETTER_SEMITONES[letterIdx]);
+  const accidentals = { 0: "", 1: "#", 2: "##", 11: "b", 10: "bb" };
+  return diff in accidentals ? LETTERS[letterIdx] + accidentals[diff] : null;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Returns the scale's pitch classes (ascending from the tonic) for a tonic name ("Eb") or pitch class.
+ */
+export function scalePitchClasses(tonic, scaleId) {
+  const scale = SCALES.find((s) => s.id === scaleId);
+  if (!scale) throw new Error(`Unknown scale: ${scaleId}`);
+  const root = toPitchClass(tonic);
+  return scale.intervals.map((i) => mod12(root + i));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Spells the scale's notes. Seven-note scales use each letter exactly once (F major -> ... Bb ...,
+ * F# major -> ... E#); other scales follow the key signature of the tonic.
+ */
+export function spellScale(tonic, scaleId) {
+  const pcs = scalePitchClasses(tonic, scaleId);
+  const tonicName = typeof tonic === "string" ? tonic.replace(/-?\d+$/, "") : spellPitchClass(tonic, keyPrefersFlats(tonic, scaleId));
+  if (pcs.length === 7) {
+    const startLetter = LETTERS.indexOf(tonicName[0]);
+    const spelled = pcs.map((pc, i) => spellWithLetter(pc, (startLetter + i) % 7));
+    if (spelled.every(Boolean)) return spelled;
+  }
+  const flats = keyPrefersFlats(tonic, scaleId);
+  return pcs.map((pc, i) => (i === 0 ? tonicName : spellPitchClass(pc, flats)));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * True when the note (MIDI number or name) belongs to the scale.
+ */
+export function isInScale(note, tonic, scaleId) {
+  return scalePitchClasses(tonic, scaleId).includes(toPitchClass(note));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Names the chord formed by `notes` (MIDI numbers or note names with octaves; the lowest is the bass).
+ * Returns { name, root, quality, bass, inversion, slash } or null when fewer than two pitch classes
+ * are present or the set isn't a known chord. `inversion` is the chord degree in the bass, whichever
+ * tones are left out: 0 for the root, 1 for the third (or suspended fourth), 2 for the fifth, 3 for
+ * the seventh (or sixth) and 4 for a ninth or added second, so C7/Bb with no fifth is a third
+ * inversion. A bass that isn't a chord tone can't occur since every played pitch class must belong
+ * to the chord.
+ * Options: `preferFlats` for spelling (defaults to flats only when the root is a flat-key tonic).
+ */
+export function identifyChord(notes, { preferFlats } = {}) {
+  if (!notes || notes.length < 2) return null;
+  const midis = notes.map((n) => (typeof n === "number" ? n : noteNameToMidi(n)));
+  const bassPc = mod12(Math.min(...midis));
+  const pcs = pitchClassSet(midis);
+  if (pcs.length < 2) return null;
+
+  const candidates = [];
+  pcs.forEach((root) => {
+    const intervals = pcs.map((pc) => mod12(pc - root)).sort((a, b) => a - b);
+    CHORD_TYPES.forEach((type, order) => {
+      if (type.intervals.length === intervals.length && type.intervals.every((v, i) => v === intervals[i])) {
+        candidates.push({ root, type, order });
+      }
+    });
+  });
+  if (!candidates.length) return null;
+
+  // Root-position readings first (C6 over Am7/C when C is in the bass), then chord-type order.
+  candidates.sort((a, b) => (a.root === bassPc ? 0 : 1) - (b.root === bassPc ? 0 : 1) || a.order - b.order);
+  const { root, type } = candidates[0];
+  const flats = preferFlats != null ? preferFlats : FLAT_MAJOR_KEYS.has(root) && root !== 6;
+  const rootName = spellPitchClass(root, flats);
+  // Spell the bass as the chord tone it is (C7/Bb, not C7/A#) unless the caller fixed the accidentals.
+  const bassInterval = mod12(bassPc - root);
+  const bassLetter = (LETTERS.indexOf(rootName[0]) + INTERVAL_LETTER_STEPS[bassInterval]) % 7;
+  const bassName = (preferFlats == null && spellWithLetter(bassPc, bassLetter)) || spellPitchClass(bassPc, flats);
+  const inversion = STACKED_THIRDS_RANK[bassInterval];
+  const slash = bassPc !== root;
+  return {
+    name: `${rootName}${type.suffix}${slash ? `/${bassName}` : ""}`,
+    root: rootName,
+    quality: type.id,
+    bass: bassName,
+    inversion,
+    slash
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Human-readable description of whatever is held: a chord name, an interval, or a single note.
+ * Returns "" for nothing held.
+ */
+export function describeNotes(notes, options) {
+  if (!notes || !notes.length) return "";
+  const midis = notes.map((n) => (typeof n === "number" ? n : noteNameToMidi(n))).sort((a, b) => a - b);
+  const flats = options && options.preferFlats;
+  const pcs = pitchClassSet(midis);
+  if (pcs.length === 1) return spellPitchClass(pcs[0], flats);
+  const chord = identifyChord(midis, options);
+  if (chord) return chord.name;
+  if (midis.length === 2) {
+    return `${spellPitchClass(midis[0], flats)}–${spellPitchClass(midis[1], flats)}: ${intervalName(midis[0], midis[1])}`;
+  }
+  return pcs.map((pc) => spellPitchClass(pc, flats)).join(" ");
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Rewrites note, chord and interval text for screen readers: "C#m7/G#" -> "C sharp minor 7 over G sharp",
+ * "Bb4" -> "B flat 4", "Bm7b5" -> "B minor 7 flat five", "Cm(maj7)" -> "C minor major seven",
+ * "Csus4" -> "C suspended 4", "Cadd9" -> "C add 9".
+ * Text without note names passes through unchanged.
+ */
+export function toSpokenText(text) {
+  return String(text)
+    .replace(/\(([^)]*)\)/g, " $1 ")
+    .replace(/maj7/g, " major seven ")
+    .replace(/maj9/g, " major nine ")
+    .replace(/(\d)b5/g, "$1 flat five")
+    .replace(/sus(\d)/g, " suspended $1")
+    .replace(/add(\d)/g, " add $1")
+    .replace(/([A-G])(##|x)/g, "$1 double sharp")
+    .replace(/([A-G])(#|♯)/g, "$1 sharp")
+    .replace(/([A-G])bb/g, "$1 double flat")
+    .replace(/([A-G])(b|♭)/g, "$1 flat")
+    .replace(/([A-G]|sharp|flat)(?=-?\d)/g, "$1 ")
+    .replace(/([A-G](?: (?:double )?(?:sharp|flat))?)m(?!aj)/g, "$1 minor ")
+    .replace(/\//g, " over ")
+    .replace(/–/g, " to ")
+    .replace(/:/g, ",")
+    .replace(/\s+/g, " ")
+    .trim();
+}
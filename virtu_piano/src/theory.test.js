@@ -0,0 +1,229 @@
+import { noteNameToMidi, noteNameToPitchClass } from "./notes";
+import {
+  describeNotes,
+  identifyChord,
+  intervalName,
+  isInScale,
+  keyPrefersFlats,
+  pitchClassSet,
+  scalePitchClasses,
+  spellPitchClass,
+  spellScale,
+  toSpokenText
+} from "./theory";
+
+describe("note name parsing", () => {
+  test("handles sharps, flats, doubles and enharmonic octave crossings", () => {
+    expect(noteNameToMidi("C4")).toBe(60);
+    expect(noteNameToMidi("A4")).toBe(69);
+    expect(noteNameToMidi("Bb3")).toBe(58);
+    expect(noteNameToMidi("B#3")).toBe(60);
+    expect(noteNameToMidi("Cb4")).toBe(59);
+    expect(noteNameToMidi("Fx4")).toBe(67);
+    expect(noteNameToMidi("Ebb4")).toBe(62);
+    expect(noteNameToMidi("A0")).toBe(21);
+    expect(noteNameToMidi("C8")).toBe(108);
+  });
+
+  test("parses octave-less pitch classes", () => {
+    expect(noteNameToPitchClass("Eb")).toBe(3);
+    expect(noteNameToPitchClass("B#")).toBe(0);
+    expect(noteNameToPitchClass("H")).toBeNull();
+  });
+});
+
+describe("intervalName", () => {
+  test("names simple and compound intervals", () => {
+    expect(intervalName("C4", "G4")).toBe("Perfect fifth");
+    expect(intervalName("E4", "C4")).toBe("Major third");
+    expect(intervalName(60, 72)).toBe("Octave");
+    expect(intervalName("C4", "E5")).toBe("Major third (compound)");
+  });
+});
+
+describe("pitchClassSet", () => {
+  test("dedupes octaves and sorts", () => {
+    expect(pitchClassSet(["E4", "C5", "C3", "G4"])).toEqual([0, 4, 7]);
+  });
+});
+
+describe("identifyChord", () => {
+  test.each([
+    [["C4", "E4", "G4"], "C"],
+    [["A3", "C4", "E4"], "Am"],
+    [["B3", "D4", "F4"], "Bdim"],
+    [["C4", "E4", "G#4"], "Caug"],
+    [["D4", "G4", "A4"], "Dsus4"],
+    [["G3", "B3", "D4", "F4"], "G7"],
+    [["C4", "E4", "G4", "B4"], "Cmaj7"],
+    [["D4", "F4", "A4", "C5"], "Dm7"],
+    [["B3", "D4", "F4", "A4"], "Bm7b5"],
+    [["C4", "E4", "G4", "A4"], "C6"],
+    [["C3", "G3"], "C5"],
+    [["C4", "E4", "Bb4"], "C7"]
+  ])("%j is %s", (notes, name) => {
+    expect(identifyChord(notes).name).toBe(name);
+  });
+
+  test("names inversions as slash chords", () => {
+    const first = identifyChord(["E3", "G3", "C4"]);
+    expect(first.name).toBe("C/E");
+    expect(first.inversion).toBe(1);
+    expect(first.slash).toBe(true);
+
+    const second = identifyChord(["G3", "C4", "E4"]);
+    expect(second.name).toBe("C/G");
+    expect(second.inversion).toBe(2);
+
+    expect(identifyChord(["E3", "G3", "B3", "C4"]).name).toBe("Cmaj7/E");
+    expect(identifyChord(["Bb2", "C4", "E4", "G4"]).name).toBe("C7/Bb");
+  });
+
+  test.each([
+    [["E3", "C4", "D4", "G4"], "Cadd9/E", 1],
+    [["G3", "C4", "D4", "E4"], "Cadd9/G", 2],
+    [["D3", "C4", "E4", "G4"], "Cadd9/D", 4],
+    [["Eb3", "C4", "D4", "G4"], "Cm(add9)/Eb", 1],
+    [["D3", "C4", "Eb4", "G4"], "Cm(add9)/D", 4],
+    [["E3", "C4", "D4", "G4", "Bb4"], "C9/E", 1],
+    [["G3", "C4", "D4", "E4", "Bb4"], "C9/G", 2],
+    [["Bb2", "C4", "D4", "E4", "G4"], "C9/Bb", 3],
+    [["D3", "C4", "E4", "G4", "Bb4"], "C9/D", 4],
+    [["B2", "C4", "D4", "E4", "G4"], "Cmaj9/B", 3],
+    [["D3", "C4", "E4", "G4", "B4"], "Cmaj9/D", 4],
+    [["Eb3", "C4", "D4", "G4", "Bb4"], "Cm9/Eb", 1],
+    [["D3", "C4", "Eb4", "G4", "Bb4"], "Cm9/D", 4],
+    [["C3", "D4", "G4"], "Csus2", 0],
+    // Csus2 over its fifth is Gsus4; over its second, a G chord with its fifth in the bass.
+    [["G3", "C4", "D4"], "Gsus4", 0],
+    [["D3", "C4", "G4"], "Gsus4/D", 2],
+    [["G3", "C4", "F4"], "Csus4/G", 2],
+    [["F3", "C4", "G4", "Bb4"], "C7sus4/F", 1],
+    [["Bb2", "C4", "F4", "G4"], "C7sus4/Bb", 3],
+    // Seventh chords without their fifth still count the seventh as the third inversion.
+    [["Bb2", "C4", "E4"], "C7/Bb", 3],
+    [["B2", "C4", "E4"], "Cmaj7/B", 3],
+    [["E3", "C4", "Bb4"], "C7/E", 1]
+  ])("%j is %s, inversion %i", (notes, name, inversion) => {
+    expect(identifyChord(notes)).toMatchObject({ name, inversion });
+  });
+
+  test("prefers the reading rooted on the bass", () => {
+    expect(identifyChord(["A3", "C4", "E4", "G4"]).name).toBe("Am7");
+    expect(identifyChord(["C4", "E4", "G4", "A4"]).name).toBe("C6");
+  });
+
+  test("reports root position details", () => {
+    expect(identifyChord(["C4", "E4", "G4"])).toEqual({
+      name: "C",
+      root: "C",
+      quality: "maj",
+      bass: "C",
+      inversion: 0,
+      slash: false
+    });
+  });
+
+  test("spells flat roots with flats, or as asked", () => {
+    expect(identifyChord(["Bb3", "D4", "F4"]).name).toBe("Bb");
+    expect(identifyChord(["Eb4", "G4", "Bb4"]).name).toBe("Eb");
+    expect(identifyChord(["Eb4", "G4", "Bb4"], { preferFlats: false }).name).toBe("D#");
+    expect(identifyChord(["F#3", "A#3", "C#4"]).name).toBe("F#");
+  });
+
+  test("accepts MIDI numbers", () => {
+    expect(identifyChord([64, 67, 72]).name).toBe("C/E");
+  });
+
+  test("returns null for single notes, dyads other than fifths, and unknown clusters", () => {
+    expect(identifyChord([])).toBeNull();
+    expect(identifyChord(["C4"])).toBeNull();
+    expect(identifyChord(["C4", "C5"])).toBeNull();
+    expect(identifyChord(["C4", "E4"])).toBeNull();
+    expect(identifyChord(["C4", "C#4", "D4"])).toBeNull();
+  });
+});
+
+describe("describeNotes", () => {
+  test("describes nothing, notes, intervals, chords and clusters", () => {
+    expect(describeNotes([])).toBe("");
+    expect(describeNotes(["C4", "C5"])).toBe("C");
+    expect(describeNotes(["C4", "E4"])).toBe("C–E: Major third");
+    expect(describeNotes(["E3", "G3", "C4"])).toBe("C/E");
+    expect(describeNotes(["C4", "C#4", "D4"])).toBe("C C# D");
+  });
+});
+
+describe("scales", () => {
+  test("generates pitch classes for every scale family", () => {
+    expect(scalePitchClasses("C", "major")).toEqual([0, 2, 4, 5, 7, 9, 11]);
+    expect(scalePitchClasses("A", "minor")).toEqual([9, 11, 0, 2, 4, 5, 7]);
+    expect(scalePitchClasses("D", "dorian")).toEqual([2, 4, 5, 7, 9, 11, 0]);
+    expect(scalePitchClasses("A", "minor-pentatonic")).toEqual([9, 0, 2, 4, 7]);
+    expect(scalePitchClasses("C", "blues")).toEqual([0, 3, 5, 6, 7, 10]);
+    expect(scalePitchClasses(7, "major-pentatonic")).toEqual([7, 9, 11, 2, 4]);
+  });
+
+  test("rejects unknown scales", () => {
+    expect(() => scalePitchClasses("C", "bebop")).toThrow(/Unknown scale/);
+  });
+
+  test("spells heptatonic scales with one letter per degree", () => {
+    expect(spellScale("F", "major")).toEqual(["F", "G", "A", "Bb", "C", "D", "E"]);
+    expect(spellScale("F#", "major")).toEqual(["F#", "G#", "A#", "B", "C#", "D#", "E#"]);
+    expect(spellScale("Gb", "major")).toEqual(["Gb", "Ab", "Bb", "Cb", "Db", "Eb", "F"]);
+    expect(spellScale("A", "harmonic-minor")).toEqual(["A", "B", "C", "D", "E", "F", "G#"]);
+    expect(spellScale("C", "minor")).toEqual(["C", "D", "Eb", "F", "G", "Ab", "Bb"]);
+  });
+
+  test("spells other scales by key signature", () => {
+    expect(spellScale("C", "blues")).toEqual(["C", "Eb", "F", "Gb", "G", "Bb"]);
+    expect(spellScale("E", "minor-pentatonic")).toEqual(["E", "G", "A", "B", "D"]);
+  });
+
+  test("tests scale membership", () => {
+    expect(isInScale("F#4", "G", "major")).toBe(true);
+    expect(isInScale("F4", "G", "major")).toBe(false);
+    expect(isInScale(70, "F", "major")).toBe(true);
+  });
+});
+
+describe("enharmonic spelling", () => {
+  test("follows key signatures", () => {
+    expect(keyPrefersFlats("F")).toBe(true);
+    expect(keyPrefersFlats("G")).toBe(false);
+    expect(keyPrefersFlats("D", "minor")).toBe(true);
+    expect(keyPrefersFlats("E", "minor")).toBe(false);
+    expect(keyPrefersFlats("Db")).toBe(true);
+    expect(keyPrefersFlats("C#")).toBe(false);
+  });
+
+  test("spells pitch classes either way", () => {
+    expect(spellPitchClass(1)).toBe("C#");
+    expect(spellPitchClass(1, true)).toBe("Db");
+    expect(spellPitchClass(-1, true)).toBe("B");
+  });
+});
+
+describe("toSpokenText", () => {
+  test.each([
+    ["C#4", "C sharp 4"],
+    ["Bb", "B flat"],
+    ["A4", "A 4"],
+    ["C#m7/G#", "C sharp minor 7 over G sharp"],
+    ["Cmaj7/E", "C major seven over E"],
+    ["Bm7b5", "B minor 7 flat five"],
+    ["Ebmaj9", "E flat major nine"],
+    ["Cm(maj7)", "C minor major seven"],
+    ["F#m(add9)/A", "F sharp minor add 9 over A"],
+    ["Csus4", "C suspended 4"],
+    ["Dsus2/A", "D suspended 2 over A"],
+    ["Cadd9", "C add 9"],
+    ["C7sus4/F", "C 7 suspended 4 over F"],
+    ["Am", "A minor"],
+    ["C–E: Major third", "C to E, Major third"],
+    ["Fx3", "F double sharp 3"]
+  ])("%s reads as %s", (text, spoken) => {
+    expect(toSpokenText(text)).toBe(spoken);
+  });
+});
@@ -0,0 +1,120 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { DEFAULT_PLAYOUT_DELAY, createJamClient } from "./jamSession";
+
+// PUBLIC_INTERFACE
+/** Largest playout delay offered, in ms. */
+export const MAX_PLAYOUT_DELAY = 300;
+
+/**
+ * Jam session state for a component: joining and leaving a relay, the participant list and the
+ * notes other participants are holding, as [{ from, note, velocity, color }] for PianoKeyboard's
+ * `remoteNotes`. Notes played here go out through `noteDown`/`noteUp` while connected.
+ * `status` is "idle", "connecting", "connected", "closed" or "error" (with `error` set).
+ *
+ * PUBLIC_INTERFACE
+ */
+export default function useJamSession() {
+  // The live session, { client }. Callbacks of a replaced session see it is no longer current and do nothing.
+  const session = useRef(null);
+  const colors = useRef({}); // participant id -> colour
+  const [status, setStatus] = useState("idle");
+  const [error, setError] = useState(null);
+  const [participants, setParticipants] = useState([]);
+  const [selfId, setSelfId] = useState(null);
+  const [remoteNotes, setRemoteNotes] = useState([]);
+  const [playoutDelay, setPlayoutDelayState] = useState(DEFAULT_PLAYOUT_DELAY);
+
+  const reset = () => {
+    setParticipants([]);
+    setSelfId(null);
+    setRemoteNotes([]);
+  };
+
+  // PUBLIC_INTERFACE
+  const leave = useCallback(() => {
+    const current = session.current;
+    session.current = null;
+    if (current) current.client.close();
+    setStatus("idle");
+    reset();
+  }, []);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Joins the relay at `url` as `name`, with `color` ("#rrggbb") for this player's notes on the
+   * other keyboards. Leaves any current session first.
+   */
+  const join = useCallback(
+    ({ url, name, color }) => {
+      leave();
+      setError(null);
+      const current = {};
+      const live = () => session.current === current;
+      session.current = current;
+      current.client = createJamClient({
+        url,
+        name,
+        color,
+        playoutDelay,
+        onStatus: (next, err) => {
+          if (!live()) return;
+          setStatus(next);
+          if (err) setError(err.message);
+          if (next === "closed" || next === "error") reset();
+        },
+        onParticipants: (list, id) => {
+          if (!live()) return;
+          colors.current = Object.fromEntries(list.map((p) => [p.id, p.color]));
+          setParticipants(list);
+          setSelfId(id);
+        },
+        onRemoteNote: ({ from, action, note, velocity }) => {
+          if (!live()) return;
+          setRemoteNotes((prev) => {
+            const others = prev.filter((n) => n.from !== from || n.note !== note);
+            return action === "down" ? [...others, { from, note, velocity, color: colors.current[from] }] : others;
+          });
+        }
+      });
+    },
+    [leave, playoutDelay]
+  );
+
+  useEffect(() => () => {
+    if (session.current) session.current.client.close();
+    session.current = null;
+  }, []);
+
+  // PUBLIC_INTERFACE
+  const noteDown = useCallback((note, velocity) => {
+    if (session.current) session.current.client.noteDown(note, velocity);
+  }, []);
+
+  // PUBLIC_INTERFACE
+  const noteUp = useCallback((note) => {
+    if (session.current) session.current.client.noteUp(note);
+  }, []);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Changes how far behind their original time remote notes play (ms); more smooths out more jitter.
+   */
+  const setPlayoutDelay = useCallback((ms) => {
+    setPlayoutDelayState(ms);
+    if (session.current) session.current.client.setPlayoutDelay(ms);
+  }, []);
+
+  return {
+    status,
+    error,
+    participants,
+    selfId,
+    remoteNotes,
+    playoutDelay,
+    setPlayoutDelay,
+    join,
+    leave,
+    noteDown,
+    noteUp
+  };
+}
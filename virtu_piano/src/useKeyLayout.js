@@ -0,0 +1,36 @@
+import { useCallback, useEffect, useState } from "react";
+import { getLayoutPreset, loadLayout, rebindKey, saveLayout } from "./keyLayouts";
+
+/**
+ * Current computer-keyboard layout, persisted to localStorage on every change.
+ *
+ * PUBLIC_INTERFACE
+ */
+export default function useKeyLayout() {
+  const [layout, setLayout] = useState(() => loadLayout());
+
+  useEffect(() => {
+    saveLayout(layout);
+  }, [layout]);
+
+  // PUBLIC_INTERFACE
+  const selectPreset = useCallback((id) => setLayout(getLayoutPreset(id)), []);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Applies a binding reported by PianoKeyboard's `onBindKey`.
+   */
+  const bindKey = useCallback(({ semitone, code, label }) => {
+    setLayout((prev) => rebindKey(prev, semitone, code, label));
+  }, []);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Drops custom bindings and goes back to the preset they were based on.
+   */
+  const reset = useCallback(() => {
+    setLayout((prev) => getLayoutPreset(prev.basePreset || prev.id));
+  }, []);
+
+  return { layout, selectPreset, bindKey, reset };
+}
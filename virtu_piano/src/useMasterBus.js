@@ -0,0 +1,84 @@
+import { useCallback, useEffect, useState } from "react";
+import { setMasterSettings } from "./masterBus";
+import {
+  BUILTIN_EFFECT_PRESETS,
+  isBuiltinPresetName,
+  loadEffectPresets,
+  loadMasterSettings,
+  saveEffectPresets,
+  saveMasterSettings
+} from "./effectPresets";
+
+/**
+ * Master volume, effects and named presets for the shared master bus (see masterBus.js).
+ * The current settings and the user's presets are persisted to localStorage on every change.
+ * `presetName` is the preset last applied or saved, cleared as soon as a setting is edited.
+ *
+ * PUBLIC_INTERFACE
+ */
+export default function useMasterBus() {
+  const [settings, setSettings] = useState(() => loadMasterSettings());
+  const [userPresets, setUserPresets] = useState(() => loadEffectPresets());
+  const [presetName, setPresetName] = useState("");
+
+  useEffect(() => {
+    setMasterSettings(settings);
+    saveMasterSettings(settings);
+  }, [settings]);
+
+  useEffect(() => {
+    saveEffectPresets(userPresets);
+  }, [userPresets]);
+
+  // PUBLIC_INTERFACE
+  const setVolume = useCallback((volume) => {
+    setSettings((prev) => ({ ...prev, volume }));
+    setPresetName("");
+  }, []);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Merges `changes` into one section ("eq", "chorus", "delay", "reverb" or "compressor").
+   */
+  const updateSection = useCallback((section, changes) => {
+    setSettings((prev) => ({ ...prev, [section]: { ...prev[section], ...changes } }));
+    setPresetName("");
+  }, []);
+
+  const presets = BUILTIN_EFFECT_PRESETS.concat(userPresets);
+
+  // PUBLIC_INTERFACE
+  const applyPreset = useCallback(
+    (name) => {
+      const preset = presets.find((p) => p.name === name);
+      if (!preset) return;
+      setSettings(preset.settings);
+      setPresetName(name);
+    },
+    [presets]
+  );
+
+  // PUBLIC_INTERFACE
+  /**
+   * Saves the current settings under `name`, replacing a user preset of the same name.
+   * Returns false for an empty name or one taken by a built-in preset (in any letter case).
+   */
+  const savePreset = useCallback(
+    (name) => {
+      const trimmed = (name || "").trim();
+      if (!trimmed || isBuiltinPresetName(trimmed)) return false;
+      setUserPresets((prev) => prev.filter((p) => p.name !== trimmed).concat({ name: trimmed, settings }));
+      setPresetName(trimmed);
+      return true;
+    },
+    [settings]
+  );
+
+  // PUBLIC_INTERFACE
+  const deletePreset = useCallback((name) => {
+    setUserPresets((prev) => prev.filter((p) => p.name !== name));
+    setPresetName((current) => (current === name ? "" : current));
+  }, []);
+
+  return { settings, setVolume, updateSection, presets, presetName, applyPreset, savePreset, deletePreset };
+}
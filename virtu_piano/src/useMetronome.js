@@ -0,0 +1,163 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { getAudioContext } from "./audioContext";
+import { getMasterBus } from "./masterBus";
+import { createScheduler, pulseProducer } from "./scheduler";
+
+// PUBLIC_INTERFACE
+export const TIME_SIGNATURES = [
+  { id: "2/4", beats: 2, unit: 4 },
+  { id: "3/4", beats: 3, unit: 4 },
+  { id: "4/4", beats: 4, unit: 4 },
+  { id: "5/4", beats: 5, unit: 4 },
+  { id: "6/8", beats: 6, unit: 8 },
+  { id: "7/8", beats: 7, unit: 8 }
+];
+
+// PUBLIC_INTERFACE
+export const MIN_BPM = 30;
+// PUBLIC_INTERFACE
+export const MAX_BPM = 300;
+
+// Taps further apart than this start a new tap-tempo measurement.
+const TAP_RESET_MS = 2000;
+// Number of tap intervals averaged.
+const TAP_HISTORY = 4;
+
+function clampBpm(bpm) {
+  return Math.min(MAX_BPM, Math.max(MIN_BPM, Math.round(bpm)));
+}
+
+// A short sine blip; the accented click is higher and louder.
+function scheduleClick(ctx, when, accent) {
+  const osc = ctx.createOscillator();
+  const gain = ctx.createGain();
+  osc.frequency.value = accent ? 1760 : 1320;
+  gain.gain.setValueAtTime(0, when);
+  gain.gain.linearRampToValueAtTime(accent ? 0.5 : 0.3, when + 0.002);
+  gain.gain.exponentialRampToValueAtTime(0.001, when + 0.05);
+  osc.connect(gain);
+  gain.connect(getMasterBus().direct); // follows the master volume, skips the effects
+  osc.start(when);
+  osc.stop(when + 0.06);
+  osc.onended = () => gain.disconnect();
+}
+
+/**
+ * Metronome with clicks scheduled ahead on the AudioContext clock through the lookahead scheduler.
+ * `currentBeat` follows the audible click (not the scheduling) for the visual indicator.
+ * BPM counts the time signature's beat unit (quarter notes in 4/4, eighths in 6/8).
+ *
+ * PUBLIC_INTERFACE
+ */
+export default function useMetronome() {
+  const [bpm, setBpmState] = useState(100);
+  const [signatureId, setSignatureIdState] = useState("4/4");
+  const [accent, setAccent] = useState(true);
+  const [running, setRunning] = useState(false);
+  const [currentBeat, setCurrentBeat] = useState(-1);
+
+  const bpmRef = useRef(bpm);
+  const settings = useRef({ beats: 4, accent: true });
+  const schedulerRef = useRef(null);
+  // Beats scheduled but not yet heard: [{ beat, when }], drained by the animation loop.
+  const beatQueue = useRef([]);
+  // Position in the bar of the next beat to schedule.
+  const nextBeat = useRef(0);
+  const taps = useRef([]);
+
+  const signature = TIME_SIGNATURES.find((s) => s.id === signatureId) || TIME_SIGNATURES[2];
+  settings.current = { beats: signature.beats, accent };
+
+  // PUBLIC_INTERFACE
+  const setBpm = useCallback((next) => {
+    const value = clampBpm(next);
+    bpmRef.current = value;
+    setBpmState(value);
+  }, []);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Switches the time signature. A running metronome starts a new bar at its next beat, so the
+   * accent lands on beat 1 of the new signature rather than wherever the old count left off.
+   */
+  const setSignatureId = useCallback((id) => {
+    nextBeat.current = 0;
+    setSignatureIdState(id);
+  }, []);
+
+  // PUBLIC_INTERFACE
+  const start = useCallback(() => {
+    const ctx = getAudioContext();
+    if (!schedulerRef.current) schedulerRef.current = createScheduler({ clock: ctx });
+    beatQueue.current = [];
+    nextBeat.current = 0;
+    schedulerRef.current.start(pulseProducer({
+      startTime: ctx.currentTime + 0.05,
+      getInterval: () => 60 / bpmRef.current,
+      onBeat: (index, when) => {
+        const beat = nextBeat.current % settings.current.beats;
+        nextBeat.current = beat + 1;
+        scheduleClick(ctx, when, settings.current.accent && beat === 0);
+        beatQueue.current.push({ beat, when });
+      }
+    }));
+    setRunning(true);
+  }, []);
+
+  // PUBLIC_INTERFACE
+  const stop = useCallback(() => {
+    if (schedulerRef.current) schedulerRef.current.stop();
+    beatQueue.current = [];
+    setRunning(false);
+    setCurrentBeat(-1);
+  }, []);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Tap tempo: the BPM follows the average interval of the last few taps.
+   */
+  const tap = useCallback(() => {
+    const now = performance.now();
+    const history = taps.current;
+    if (history.length && now - history[history.length - 1] > TAP_RESET_MS) history.length = 0;
+    history.push(now);
+    if (history.length > TAP_HISTORY + 1) history.shift();
+    if (history.length >= 2) {
+      const average = (history[history.length - 1] - history[0]) / (history.length - 1);
+      setBpm(60000 / average);
+    }
+  }, [setBpm]);
+
+  // Visual beat indicator: advance when the scheduled click actually sounds.
+  useEffect(() => {
+    if (!running) return undefined;
+    const ctx = getAudioContext();
+    let frame;
+    const draw = () => {
+      let beat = null;
+      while (beatQueue.current.length && beatQueue.current[0].when <= ctx.currentTime) {
+        beat = beatQueue.current.shift().beat;
+      }
+      if (beat !== null) setCurrentBeat(beat);
+      frame = window.requestAnimationFrame(draw);
+    };
+    frame = window.requestAnimationFrame(draw);
+    return () => window.cancelAnimationFrame(frame);
+  }, [running]);
+
+  useEffect(() => () => schedulerRef.current && schedulerRef.current.stop(), []);
+
+  return {
+    bpm,
+    setBpm,
+    signature,
+    setSignatureId,
+    accent,
+    setAccent,
+    running,
+    start,
+    stop,
+    tap,
+    currentBeat
+  };
+}
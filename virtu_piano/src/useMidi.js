@@ -0,0 +1,98 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { listPorts, parseMidiMessage, requestBrowserMidiAccess } from "./midiAccess";
+
+// PUBLIC_INTERFACE
+/** Input selection that listens to every connected input device. */
+export const ALL_INPUTS = "all";
+
+/**
+ * Manages Web MIDI access: device lists (kept current as devices are plugged in and out),
+ * the selected input/output, message decoding and sending.
+ * Access is only requested when `enable()` is called, so the browser's permission prompt
+ * appears in response to a user action rather than on page load.
+ *
+ * PUBLIC_INTERFACE
+ */
+export default function useMidi({ requestAccess = requestBrowserMidiAccess, onMessage } = {}) {
+  const [access, setAccess] = useState(null);
+  const [error, setError] = useState(null);
+  const [inputs, setInputs] = useState([]);
+  const [outputs, setOutputs] = useState([]);
+  const [inputId, setInputId] = useState(ALL_INPUTS);
+  const [outputId, setOutputId] = useState("");
+
+  // Latest message handler, read from the port callbacks without re-attaching them on every render.
+  const onMessageRef = useRef(onMessage);
+  onMessageRef.current = onMessage;
+
+  // PUBLIC_INTERFACE
+  const enable = useCallback(() => {
+    setError(null);
+    requestAccess().then(setAccess, (err) => setError((err && err.message) || String(err)));
+  }, [requestAccess]);
+
+  // Refresh the device lists now and whenever a port is connected or disconnected.
+  useEffect(() => {
+    if (!access) return undefined;
+    const refresh = () => {
+      setInputs(listPorts(access.inputs));
+      setOutputs(listPorts(access.outputs));
+    };
+    refresh();
+    access.onstatechange = refresh;
+    return () => {
+      access.onstatechange = null;
+    };
+  }, [access]);
+
+  // Listen on the selected input(s); re-run on hot-plug so new devices are picked up.
+  useEffect(() => {
+    if (!access) return undefined;
+    const attached = [];
+    access.inputs.forEach((port) => {
+      if (inputId !== ALL_INPUTS && port.id !== inputId) return;
+      port.onmidimessage = (e) => {
+        const message = parseMidiMessage(e.data);
+        if (message.type && onMessageRef.current) onMessageRef.current(message, port.id);
+      };
+      attached.push(port);
+    });
+    return () => attached.forEach((port) => {
+      port.onmidimessage = null;
+    });
+  }, [access, inputs, inputId]);
+
+  // Fall back gracefully when the selected device is unplugged.
+  useEffect(() => {
+    if (inputId !== ALL_INPUTS && !inputs.some((p) => p.id === inputId)) setInputId(ALL_INPUTS);
+  }, [inputs, inputId]);
+  useEffect(() => {
+    if (outputId && !outputs.some((p) => p.id === outputId)) setOutputId("");
+  }, [outputs, outputId]);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Sends a raw message to the selected output port; a no-op when no output is chosen.
+   */
+  const send = useCallback(
+    (message) => {
+      if (!access || !outputId) return;
+      const port = access.outputs.get(outputId);
+      if (port) port.send(message);
+    },
+    [access, outputId]
+  );
+
+  return {
+    enabled: !!access,
+    error,
+    enable,
+    inputs,
+    outputs,
+    inputId,
+    setInputId,
+    outputId,
+    setOutputId,
+    send
+  };
+}
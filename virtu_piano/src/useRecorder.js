@@ -0,0 +1,167 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { getAudioContext } from "./audioContext";
+import { createScheduler, eventsProducer } from "./scheduler";
+import { createTake, loadTakes, saveTakes } from "./takeStorage";
+
+// Seconds between pressing play and the first note, so it is scheduled rather than late.
+const PLAYBACK_DELAY = 0.05;
+
+/**
+ * Recording and playback of note performances.
+ * Feed it the keyboard's note callbacks through `noteDown`/`noteUp` and its pedal through
+ * `sustainChange`; takes are kept in localStorage.
+ * Playback drives `playNote(note, velocity, when)` / `stopNote(note, when)` / `setSustain(down, when)` -
+ * typically the PianoKeyboard ref API, so replayed notes both sound and light up their keys. Events are
+ * handed over ahead of time through the lookahead scheduler, with `when` the time on `getClock()`'s
+ * clock (the shared AudioContext by default) they are due at.
+ *
+ * PUBLIC_INTERFACE
+ */
+export default function useRecorder({ playNote, stopNote, setSustain, getClock = getAudioContext }) {
+  const [takes, setTakes] = useState(() => loadTakes());
+  const [recording, setRecording] = useState(false);
+  const [playingId, setPlayingId] = useState(null);
+
+  const startTime = useRef(0);
+  const events = useRef([]);
+  const heldNotes = useRef(new Set());
+  const pedalDown = useRef(false); // as last reported, recording or not
+  const schedulerRef = useRef(null);
+  const endTimer = useRef(null);
+  const soundingNotes = useRef(new Set());
+  const playbackPedal = useRef(false);
+
+  useEffect(() => {
+    saveTakes(takes);
+  }, [takes]);
+
+  // PUBLIC_INTERFACE
+  const noteDown = useCallback((note, velocity = 1) => {
+    if (!recording) return;
+    events.current.push({ time: performance.now() - startTime.current, type: "on", note, velocity });
+    heldNotes.current.add(note);
+  }, [recording]);
+
+  // PUBLIC_INTERFACE
+  const noteUp = useCallback((note) => {
+    if (!recording || !heldNotes.current.has(note)) return;
+    events.current.push({ time: performance.now() - startTime.current, type: "off", note, velocity: 0 });
+    heldNotes.current.delete(note);
+  }, [recording]);
+
+  // PUBLIC_INTERFACE
+  const sustainChange = useCallback((down) => {
+    if (down === pedalDown.current) return;
+    pedalDown.current = down;
+    if (recording) events.current.push({ time: performance.now() - startTime.current, type: "sustain", down });
+  }, [recording]);
+
+  // PUBLIC_INTERFACE
+  const startRecording = useCallback(() => {
+    // A take started with the pedal already down starts with it down.
+    events.current = pedalDown.current ? [{ time: 0, type: "sustain", down: true }] : [];
+    heldNotes.current = new Set();
+    startTime.current = performance.now();
+    setRecording(true);
+  }, []);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Ends the recording and saves it as a new take (unless nothing was played). Returns the take or null.
+   */
+  const stopRecording = useCallback(() => {
+    setRecording(false);
+    const duration = performance.now() - startTime.current;
+    // Close notes still held, and lift the pedal, when recording stopped so the take never has
+    // hanging notes.
+    heldNotes.current.forEach((note) => {
+      events.current.push({ time: duration, type: "off", note, velocity: 0 });
+    });
+    heldNotes.current = new Set();
+    if (pedalDown.current) events.current.push({ time: duration, type: "sustain", down: false });
+    if (!events.current.some((e) => e.type === "on")) return null;
+    const take = createTake(events.current, { duration });
+    events.current = [];
+    setTakes((prev) => [take, ...prev]);
+    return take;
+  }, []);
+
+  // PUBLIC_INTERFACE
+  const stopPlayback = useCallback(() => {
+    if (schedulerRef.current) schedulerRef.current.stop();
+    clearTimeout(endTimer.current);
+    endTimer.current = null;
+    soundingNotes.current.forEach((note) => stopNote(note));
+    soundingNotes.current = new Set();
+    if (playbackPedal.current && setSustain) setSustain(false);
+    playbackPedal.current = false;
+    setPlayingId(null);
+  }, [stopNote, setSustain]);
+
+  // PUBLIC_INTERFACE
+  const playTake = useCallback((take) => {
+    stopPlayback();
+    const clock = getClock();
+    if (!schedulerRef.current) schedulerRef.current = createScheduler({ clock });
+    const startTime = clock.currentTime + PLAYBACK_DELAY;
+    setPlayingId(take.id);
+    schedulerRef.current.start(eventsProducer(take.events, {
+      startTime,
+      onEvent: (e, when) => {
+        if (e.type === "sustain") {
+          playbackPedal.current = e.down;
+          if (setSustain) setSustain(e.down, when);
+        } else if (e.type === "on") {
+          soundingNotes.current.add(e.note);
+          playNote(e.note, e.velocity, when);
+        } else {
+          soundingNotes.current.delete(e.note);
+          stopNote(e.note, when);
+        }
+      },
+      onEnd: () => {
+        const end = startTime + take.duration / 1000;
+        endTimer.current = setTimeout(stopPlayback, Math.max(0, end - clock.currentTime) * 1000 + 50);
+      }
+    }));
+  }, [playNote, stopNote, setSustain, stopPlayback, getClock]);
+
+  // Cancel pending playback on unmount.
+  useEffect(() => () => {
+    if (schedulerRef.current) schedulerRef.current.stop();
+    clearTimeout(endTimer.current);
+  }, []);
+
+  // PUBLIC_INTERFACE
+  const addTake = useCallback((events, options) => {
+    const take = createTake(events, options);
+    setTakes((prev) => [take, ...prev]);
+    return take;
+  }, []);
+
+  // PUBLIC_INTERFACE
+  const renameTake = useCallback((id, name) => {
+    setTakes((prev) => prev.map((t) => (t.id === id ? { ...t, name } : t)));
+  }, []);
+
+  // PUBLIC_INTERFACE
+  const deleteTake = useCallback((id) => {
+    setTakes((prev) => prev.filter((t) => t.id !== id));
+  }, []);
+
+  return {
+    takes,
+    recording,
+    playingId,
+    noteDown,
+    noteUp,
+    sustainChange,
+    startRecording,
+    stopRecording,
+    playTake,
+    stopPlayback,
+    addTake,
+    renameTake,
+    deleteTake
+  };
+}
@@ -0,0 +1,182 @@
+import { act, renderHook } from "@testing-library/react";
+import useRecorder from "./useRecorder";
+import { loadTakes } from "./takeStorage";
+
+// An AudioContext-like clock that moves with jest's fake timers (see `advance`).
+const clock = { currentTime: 0 };
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  window.localStorage.clear();
+  clock.currentTime = 10;
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+// Moves the clock and the timers on together, one scheduler interval at a time.
+function advance(ms) {
+  for (let left = ms; left > 0; left -= 25) {
+    const step = Math.min(25, left);
+    clock.currentTime += step / 1000;
+    act(() => jest.advanceTimersByTime(step));
+  }
+}
+
+function setup() {
+  const calls = [];
+  const output = {
+    playNote: (note, velocity, when) => calls.push(["play", note, when]),
+    stopNote: (note, when) => calls.push(["stop", note, when]),
+    setSustain: (down, when) => calls.push(["sustain", down, when])
+  };
+  const { result } = renderHook(() => useRecorder({ ...output, getClock: () => clock }));
+  return { result, calls };
+}
+
+// Call times in ms after the clock started at 10 s, rounded.
+const ms = (calls) => calls.map(([type, what, when]) => [type, what, when === undefined ? undefined : Math.round((when - 10) * 1000)]);
+
+const take = {
+  id: "t1",
+  name: "Take",
+  duration: 1000,
+  events: [
+    { time: 0, type: "on", note: "C4", velocity: 1 },
+    { time: 200, type: "sustain", down: true },
+    { time: 500, type: "off", note: "C4", velocity: 0 },
+    { time: 900, type: "sustain", down: false }
+  ]
+};
+
+// Moves the wall clock the recorder timestamps by.
+function wait(ms) {
+  act(() => jest.advanceTimersByTime(ms));
+}
+
+describe("useRecorder recording", () => {
+  test("timestamps notes from the start of the take and saves it", () => {
+    const { result } = setup();
+    act(() => result.current.startRecording());
+    wait(100);
+    act(() => result.current.noteDown("C4", 0.5));
+    wait(250);
+    act(() => result.current.noteUp("C4"));
+    wait(50);
+    let saved;
+    act(() => {
+      saved = result.current.stopRecording();
+    });
+    expect(result.current.recording).toBe(false);
+    expect(saved.duration).toBe(400);
+    expect(saved.events).toEqual([
+      { time: 100, type: "on", note: "C4", velocity: 0.5 },
+      { time: 350, type: "off", note: "C4", velocity: 0 }
+    ]);
+    expect(result.current.takes).toEqual([saved]);
+    expect(loadTakes()).toEqual([saved]);
+  });
+
+  test("ignores notes outside a recording, and note-offs for notes it never heard start", () => {
+    const { result } = setup();
+    act(() => result.current.noteDown("C4"));
+    act(() => result.current.startRecording());
+    act(() => result.current.noteUp("C4"));
+    let saved;
+    act(() => {
+      saved = result.current.stopRecording();
+    });
+    expect(saved).toBe(null);
+    expect(result.current.takes).toEqual([]);
+  });
+
+  test("closes notes still held when recording stops", () => {
+    const { result } = setup();
+    act(() => result.current.startRecording());
+    act(() => result.current.noteDown("E4"));
+    wait(300);
+    let saved;
+    act(() => {
+      saved = result.current.stopRecording();
+    });
+    expect(saved.events.slice(1)).toEqual([{ time: 300, type: "off", note: "E4", velocity: 0 }]);
+  });
+
+  test("records the pedal, including one already down when recording starts", () => {
+    const { result } = setup();
+    act(() => result.current.sustainChange(true));
+    act(() => result.current.startRecording());
+    act(() => result.current.noteDown("G4"));
+    wait(100);
+    act(() => result.current.sustainChange(false));
+    act(() => result.current.sustainChange(false)); // repeats are dropped
+    wait(100);
+    act(() => result.current.sustainChange(true));
+    act(() => result.current.noteUp("G4"));
+    wait(100);
+    let saved;
+    act(() => {
+      saved = result.current.stopRecording();
+    });
+    expect(saved.events.filter((e) => e.type === "sustain")).toEqual([
+      { time: 0, type: "sustain", down: true },
+      { time: 100, type: "sustain", down: false },
+      { time: 200, type: "sustain", down: true },
+      // Lifted at the end so the take never leaves the pedal down.
+      { time: 300, type: "sustain", down: false }
+    ]);
+  });
+
+  test("renames and deletes takes in storage", () => {
+    const { result } = setup();
+    let first;
+    let second;
+    act(() => {
+      first = result.current.addTake([{ time: 0, type: "on", note: "C4", velocity: 1 }], { name: "One" });
+    });
+    act(() => {
+      second = result.current.addTake([{ time: 0, type: "on", note: "D4", velocity: 1 }], { name: "Two" });
+    });
+    expect(loadTakes().map((t) => t.name)).toEqual(["Two", "One"]);
+    act(() => result.current.renameTake(first.id, "Uno"));
+    act(() => result.current.deleteTake(second.id));
+    expect(loadTakes()).toEqual([{ ...first, name: "Uno" }]);
+  });
+});
+
+describe("useRecorder playback", () => {
+  test("hands events over ahead of time, at their exact clock time", () => {
+    const { result, calls } = setup();
+    act(() => result.current.playTake(take));
+    expect(result.current.playingId).toBe("t1");
+    expect(ms(calls)).toEqual([["play", "C4", 50]]);
+
+    advance(200);
+    expect(ms(calls)).toEqual([
+      ["play", "C4", 50],
+      ["sustain", true, 250]
+    ]);
+
+    advance(1000);
+    expect(ms(calls).slice(2)).toEqual([
+      ["stop", "C4", 550],
+      ["sustain", false, 950]
+    ]);
+    expect(result.current.playingId).toBe(null);
+  });
+
+  test("stopping cancels what hasn't been handed over and silences what has", () => {
+    const { result, calls } = setup();
+    act(() => result.current.playTake(take));
+    advance(300);
+    act(() => result.current.stopPlayback());
+    expect(ms(calls).slice(2)).toEqual([
+      ["stop", "C4", undefined],
+      ["sustain", false, undefined]
+    ]);
+    advance(1000);
+    expect(calls).toHaveLength(4);
+    expect(result.current.playingId).toBe(null);
+  });
+});
@@ -0,0 +1,170 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { noteNameToMidi } from "./notes";
+import { DEMO_SONG } from "./songs";
+import {
+  TIMING_WINDOWS,
+  createScoreState,
+  registerMisses,
+  registerNoteOn,
+  summarizeScore
+} from "./songScoring";
+
+// Song time (ms) the clock starts at, so the first notes have time to fall into view.
+const LEAD_IN = -2000;
+
+// How often misses and the end of the song are checked.
+const TICK_MS = 100;
+
+/**
+ * Learning-mode song player: a song clock (scaled by `tempo`), scoring of the player's note-ons and
+ * an optional wait-for-correct-note practice mode that holds the clock at each note until it is played.
+ * The clock lives in refs and is read through `getSongTime()`, so animation can poll it every frame
+ * without re-rendering the caller.
+ *
+ * PUBLIC_INTERFACE
+ */
+export default function useSongPlayer({ windows = TIMING_WINDOWS } = {}) {
+  const [song, setSongState] = useState(DEMO_SONG);
+  const [tempo, setTempoState] = useState(1);
+  const [waitMode, setWaitModeState] = useState(false);
+  const [playing, setPlaying] = useState(false);
+  const [finished, setFinished] = useState(false);
+  const [score, setScore] = useState(() => createScoreState(DEMO_SONG.notes));
+  const [feedback, setFeedback] = useState(null);
+
+  const songRef = useRef(song);
+  const scoreRef = useRef(score);
+  const tempoRef = useRef(tempo);
+  const waitRef = useRef(waitMode);
+  const clock = useRef({ anchorPerf: 0, anchorSong: LEAD_IN, running: false });
+
+  const updateScore = useCallback((next) => {
+    scoreRef.current = next;
+    setScore(next);
+  }, []);
+
+  // Time of the earliest note not yet judged, or null when all are done.
+  const nextPendingTime = useCallback(() => {
+    const { notes } = songRef.current;
+    const idx = scoreRef.current.judgements.findIndex((j) => !j);
+    return idx === -1 ? null : notes[idx].time;
+  }, []);
+
+  // PUBLIC_INTERFACE
+  const getSongTime = useCallback(() => {
+    const c = clock.current;
+    const raw = c.running ? c.anchorSong + (performance.now() - c.anchorPerf) * tempoRef.current : c.anchorSong;
+    if (waitRef.current) {
+      const pending = nextPendingTime();
+      if (pending !== null && raw > pending) return pending;
+    }
+    return raw;
+  }, [nextPendingTime]);
+
+  const reanchor = useCallback((songTime) => {
+    clock.current.anchorSong = songTime;
+    clock.current.anchorPerf = performance.now();
+  }, []);
+
+  // PUBLIC_INTERFACE
+  const start = useCallback(() => {
+    updateScore(createScoreState(songRef.current.notes));
+    setFeedback(null);
+    setFinished(false);
+    clock.current = { anchorPerf: performance.now(), anchorSong: LEAD_IN, running: true };
+    setPlaying(true);
+  }, [updateScore]);
+
+  // PUBLIC_INTERFACE
+  const stop = useCallback(() => {
+    clock.current.anchorSong = getSongTime();
+    clock.current.running = false;
+    setPlaying(false);
+  }, [getSongTime]);
+
+  // PUBLIC_INTERFACE
+  const setSong = useCallback((next) => {
+    clock.current = { anchorPerf: 0, anchorSong: LEAD_IN, running: false };
+    songRef.current = next;
+    setSongState(next);
+    updateScore(createScoreState(next.notes));
+    setFeedback(null);
+    setFinished(false);
+    setPlaying(false);
+  }, [updateScore]);
+
+  // PUBLIC_INTERFACE
+  const setTempo = useCallback((next) => {
+    // Re-anchor so changing speed mid-song doesn't make the song time jump.
+    reanchor(getSongTime());
+    tempoRef.current = next;
+    setTempoState(next);
+  }, [getSongTime, reanchor]);
+
+  // PUBLIC_INTERFACE
+  const setWaitMode = useCallback((next) => {
+    reanchor(getSongTime());
+    waitRef.current = next;
+    setWaitModeState(next);
+  }, [getSongTime, reanchor]);
+
+  // PUBLIC_INTERFACE
+  /**
+   * Feed the keyboard's onNoteDown here while a song is playing.
+   */
+  const noteDown = useCallback((note) => {
+    if (!clock.current.running) return;
+    const songTime = getSongTime();
+    // In wait mode the clock may be held at a note; restart it from there.
+    if (waitRef.current) reanchor(songTime);
+    const result = registerNoteOn(scoreRef.current, songRef.current.notes, noteNameToMidi(note), songTime, {
+      windows,
+      lenient: waitRef.current
+    });
+    updateScore(result.state);
+    setFeedback({ judgement: result.judgement, note, index: result.index, at: performance.now() });
+  }, [getSongTime, reanchor, updateScore, windows]);
+
+  // Misses and end-of-song detection.
+  useEffect(() => {
+    if (!playing) return undefined;
+    const timer = setInterval(() => {
+      const songTime = getSongTime();
+      const { notes } = songRef.current;
+      if (!waitRef.current) {
+        const next = registerMisses(scoreRef.current, notes, songTime, windows);
+        if (next !== scoreRef.current) {
+          updateScore(next);
+          setFeedback({ judgement: "miss", index: -1, at: performance.now() });
+        }
+      }
+      const last = notes.length ? notes[notes.length - 1] : null;
+      const done = scoreRef.current.judgements.every(Boolean) &&
+        (!last || songTime > last.time + last.duration);
+      if (done || !last) {
+        clock.current.running = false;
+        setPlaying(false);
+        setFinished(true);
+      }
+    }, TICK_MS);
+    return () => clearInterval(timer);
+  }, [playing, getSongTime, updateScore, windows]);
+
+  return {
+    song,
+    setSong,
+    tempo,
+    setTempo,
+    waitMode,
+    setWaitMode,
+    playing,
+    finished,
+    start,
+    stop,
+    noteDown,
+    getSongTime,
+    judgements: score.judgements,
+    summary: summarizeScore(score),
+    feedback
+  };
+}
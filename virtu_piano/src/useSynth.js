@@ -0,0 +1,23 @@
+import { useRef } from "react";
+import { DEFAULT_INSTRUMENT } from "./instruments";
+import { CC_SUSTAIN, createSynthEngine } from "./synthEngine";
+import { DEFAULT_ENVELOPE } from "./synthVoice";
+
+// PUBLIC_INTERFACE
+export { CC_SUSTAIN, DEFAULT_ENVELOPE };
+
+/**
+ * Synth with note-on/note-off behaviour for a component: the built-in engine from synthEngine.js,
+ * playing the current instrument (see instruments.js). The instrument's own envelope, if it has one,
+ * wins over `envelope`. Returns { play, stop, setSustain, controlChange, releaseAll }.
+ *
+ * PUBLIC_INTERFACE
+ */
+export default function useSynth({ envelope = DEFAULT_ENVELOPE, instrument = DEFAULT_INSTRUMENT } = {}) {
+  // One engine for the component's lifetime: the returned object stays stable for callers' effect
+  // dependencies, and notes started before an instrument switch still release.
+  const engine = useRef(null);
+  if (!engine.current) engine.current = createSynthEngine({ envelope, instrument });
+  engine.current.setInstrument(instrument, envelope);
+  return engine.current;
+}
@@ -0,0 +1,80 @@
+// WAV (RIFF, integer PCM) encoding for rendered audio.
+// Pure functions over Float32Array channels - no DOM or Web Audio - so it runs anywhere, including tests.
+
+// PUBLIC_INTERFACE
+export const WAV_BIT_DEPTHS = [16, 24];
+
+// Normalizing aims a little below full scale so the peak survives lossy re-encoding without clipping.
+const NORMALIZE_TARGET = 0.98; // about -0.2 dBFS
+
+// PUBLIC_INTERFACE
+/**
+ * Highest absolute sample value across all channels.
+ */
+export function peakLevel(channels) {
+  let peak = 0;
+  channels.forEach((data) => {
+    for (let i = 0; i < data.length; i++) {
+      const v = Math.abs(data[i]);
+      if (v > peak) peak = v;
+    }
+  });
+  return peak;
+}
+
+function writeAscii(view, pos, text) {
+  for (let i = 0; i < text.length; i++) view.setUint8(pos + i, text.charCodeAt(i));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Encodes channels of float samples (-1..1) as a WAV file.
+ * Options: `bitDepth` 16 or 24, and `normalize` to scale the peak to just under full scale.
+ * Samples outside -1..1 are clipped. Returns a Uint8Array.
+ */
+export function encodeWav(channels, sampleRate, { bitDepth = 16, normalize = false } = {}) {
+  if (!WAV_BIT_DEPTHS.includes(bitDepth)) throw new Error(`Unsupported WAV bit depth: ${bitDepth}`);
+  if (!channels.length) throw new Error("Nothing to encode: no audio channels");
+  const channelCount = channels.length;
+  const frames = channels[0].length;
+  const bytesPerSample = bitDepth / 8;
+  const blockAlign = channelCount * bytesPerSample;
+  const dataLength = frames * blockAlign;
+
+  const buffer = new ArrayBuffer(44 + dataLength);
+  const view = new DataView(buffer);
+  writeAscii(view, 0, "RIFF");
+  view.setUint32(4, 36 + dataLength, true);
+  writeAscii(view, 8, "WAVE");
+  writeAscii(view, 12, "fmt ");
+  view.setUint32(16, 16, true); // fmt chunk size
+  view.setUint16(20, 1, true); // integer PCM
+  view.setUint16(22, channelCount, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true); // byte rate
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bitDepth, true);
+  writeAscii(view, 36, "data");
+  view.setUint32(40, dataLength, true);
+
+  const peak = normalize ? peakLevel(channels) : 0;
+  const gain = peak > 0 ? NORMALIZE_TARGET / peak : 1;
+  const fullScale = Math.pow(2, bitDepth - 1) - 1;
+  let pos = 44;
+  for (let frame = 0; frame < frames; frame++) {
+    for (let ch = 0; ch < channelCount; ch++) {
+      const sample = Math.max(-1, Math.min(1, channels[ch][frame] * gain));
+      const value = Math.round(sample * fullScale);
+      if (bitDepth === 16) {
+        view.setInt16(pos, value, true);
+      } else {
+        // 24-bit little-endian two's complement.
+        view.setUint8(pos, value & 0xff);
+        view.setUint8(pos + 1, (value >> 8) & 0xff);
+        view.setUint8(pos + 2, (value >> 16) & 0xff);
+      }
+      pos += bytesPerSample;
+    }
+  }
+  return new Uint8Array(buffer);
+}